@@ -0,0 +1,141 @@
+import { SimpleBrain } from './SimpleBrain.js';
+import { CARNIVORE_CONFIG } from '../config.js';
+
+/**
+ * CarnivoreBrain - AI state machine for predators that hunt herbivores
+ * Reuses SimpleBrain's wandering and distance/direction helpers.
+ *
+ * States:
+ * - wandering: Random movement when well fed, or hungry with no prey in sight
+ * - stalking: Creep toward distant prey (prey only notices stalkers at close range)
+ * - chasing: Sprint at prey once it is within CHASE_DISTANCE
+ * - eating: Stand still over a kill for EATING_DURATION seconds
+ * - seeking_mate: Head for a visible partner when ready to breed (sexual reproduction only)
+ * - seeking_water: Head for the nearest lake shore and drink when thirsty
+ * - sleeping: Rest in place at night when not hunting
+ */
+export class CarnivoreBrain extends SimpleBrain {
+    constructor(creature, random) {
+        super(creature, random);
+        this.isHunting = false;  // Hunger hysteresis (hunt below HUNGER, stop above SATISFIED)
+        this.eatingTimer = 0;    // Seconds left on the current meal
+    }
+
+    /**
+     * Main thinking loop - decides what action to take
+     */
+    think(deltaTime, world) {
+        const c = this.creature;
+
+        // Finish the current meal before doing anything else
+        if (c.state === 'eating') {
+            this.eatingTimer -= deltaTime;
+            c.velocity.x = 0;
+            c.velocity.z = 0;
+            if (this.eatingTimer > 0) return;
+            c.state = 'wandering';
+        }
+
+        // Ready to breed: court a visible partner ahead of hunting
+        if (this.seekMate(world)) {
+            return;
+        }
+
+        // Drink until quenched (hunting waits)
+        if (this.tendThirst(deltaTime, world)) {
+            return;
+        }
+
+        // Hunting transitions based on energy level
+        if (c.energy < CARNIVORE_CONFIG.HUNGER_THRESHOLD) {
+            this.isHunting = true;
+        } else if (c.energy > CARNIVORE_CONFIG.SATISFIED_THRESHOLD) {
+            this.isHunting = false;
+        }
+
+        // Night: rest between hunts
+        if (!this.isHunting && this.tendSleep(world)) {
+            return;
+        }
+
+        if (this.isHunting) {
+            this.hunt(deltaTime, world);
+        } else {
+            c.state = 'wandering';
+            this.wander(deltaTime, world);
+        }
+    }
+
+    /**
+     * Hunt behavior - stalk, chase and catch the nearest visible prey
+     */
+    hunt(deltaTime, world) {
+        const c = this.creature;
+        const prey = this.findNearestPrey(world);
+
+        if (!prey) {
+            // Nothing in sight: roam until prey turns up
+            c.state = 'wandering';
+            this.wander(deltaTime, world);
+            return;
+        }
+
+        const distance = this.distanceTo(prey);
+        const catchRadius = CARNIVORE_CONFIG.ATTACK_DISTANCE + (c.dna.genes.size + prey.dna.genes.size) * 0.5;
+        if (distance < catchRadius) {
+            c.devour(prey);
+            c.state = 'eating';
+            this.eatingTimer = CARNIVORE_CONFIG.EATING_DURATION;
+            c.velocity.x = 0;
+            c.velocity.z = 0;
+            return;
+        }
+
+        // Creep up on distant prey, then sprint for the final stretch
+        let speedMultiplier;
+        if (distance < CARNIVORE_CONFIG.CHASE_DISTANCE) {
+            c.state = 'chasing';
+            speedMultiplier = CARNIVORE_CONFIG.CHASE_SPEED_MULTIPLIER;
+        } else {
+            c.state = 'stalking';
+            speedMultiplier = CARNIVORE_CONFIG.STALK_SPEED_MULTIPLIER;
+        }
+
+        const direction = this.directionTo(prey);
+        c.velocity.x = direction.x * c.speed * speedMultiplier;
+        c.velocity.z = direction.z * c.speed * speedMultiplier;
+    }
+
+    /**
+     * Find the nearest living herbivore within perception radius
+     */
+    findNearestPrey(world) {
+        return world.getCreatureIndex('herbivore').findNearest(
+            this.creature.position.x,
+            this.creature.position.z,
+            this.creature.perceptionRadius,
+            // Prey killed earlier this tick stays indexed until the world removes it
+            (prey) => !prey.isDead
+        );
+    }
+
+    /**
+     * Serialize brain state for snapshots
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            isHunting: this.isHunting,
+            eatingTimer: this.eatingTimer,
+        };
+    }
+
+    /**
+     * Restore state written by serialize()
+     */
+    restore(data) {
+        super.restore(data);
+        this.isHunting = data.isHunting;
+        this.eatingTimer = data.eatingTimer;
+    }
+}
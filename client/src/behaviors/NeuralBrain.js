@@ -0,0 +1,251 @@
+import { SimpleBrain } from './SimpleBrain.js';
+import { CREATURE_CONFIG, NEURAL_CONFIG } from '../config.js';
+
+// Sensor layout (the order is the weight layout - changing it invalidates evolved weights)
+const INPUTS = [
+    'bias',
+    'foodVisible', 'foodDirX', 'foodDirZ', 'foodDistance', 'foodHeight',
+    'energy', 'hydration',
+    'predatorVisible', 'predatorDirX', 'predatorDirZ',
+    'neighbours', 'neighbourDirX', 'neighbourDirZ',
+    'wanderX', 'wanderZ',
+];
+const OUTPUTS = ['moveX', 'moveZ', 'speed', 'jump'];
+
+// Founder instinct, wired into the first hidden neurons: [neuron, input, weight]
+// 0/1 steer toward food and away from predators on x/z (wandering otherwise), 2 fires when food is above and close
+const INSTINCT_HIDDEN = [
+    [0, 'foodDirX', 3], [0, 'predatorDirX', -4], [0, 'wanderX', 1],
+    [1, 'foodDirZ', 3], [1, 'predatorDirZ', -4], [1, 'wanderZ', 1],
+    [2, 'foodHeight', 4], [2, 'foodVisible', 2], [2, 'foodDistance', -4], [2, 'bias', -3],
+];
+// [output, hidden neuron (or 'bias'), weight]
+const INSTINCT_OUTPUT = [
+    ['moveX', 0, 3],
+    ['moveZ', 1, 3],
+    ['speed', 'bias', 1],
+    ['jump', 'bias', -1], ['jump', 2, 3],
+];
+
+/**
+ * NeuralBrain - evolvable feed-forward network driving herbivore movement
+ *
+ * One hidden tanh layer maps the sensors (nearest reachable food direction, distance
+ * and height; energy and hydration; nearest predator; same-species neighbours; and a
+ * slowly changing random heading to wander by) to a movement direction, a speed
+ * (up to the seeking speed) and a jump trigger. The weights are stored in the
+ * creature's DNA (dna.weights), so they are inherited, mutated and crossed over
+ * with the other genes. Founders start from a hand-wired instinct plus noise.
+ * Eating food within reach is a reflex, and thirst, sleep and mate seeking use
+ * the same shared routines as SimpleBrain.
+ *
+ * States (labels only, derived from what the network chose to do):
+ * - seeking_food: Heading toward visible food
+ * - fleeing: Heading away from a visible predator
+ * - wandering: Anything else
+ * - seeking_water / sleeping / seeking_mate: Shared SimpleBrain routines
+ */
+export class NeuralBrain extends SimpleBrain {
+    constructor(creature, random) {
+        super(creature, random);
+
+        // First-generation creatures get random weights; offspring arrive with inherited ones
+        if (!creature.dna.weights) {
+            creature.dna.weights = NeuralBrain.randomWeights(random);
+        }
+
+        this.inputs = new Array(INPUTS.length).fill(0);
+        this.hidden = new Array(NEURAL_CONFIG.HIDDEN_NEURONS).fill(0);
+        this.outputs = new Array(OUTPUTS.length).fill(0);
+    }
+
+    /**
+     * Number of weights in a network (inputs -> hidden, then hidden + bias -> outputs)
+     */
+    static getWeightCount() {
+        const hidden = NEURAL_CONFIG.HIDDEN_NEURONS;
+        return INPUTS.length * hidden + (hidden + 1) * OUTPUTS.length;
+    }
+
+    /**
+     * First-generation weights: the instinct network plus random noise
+     * Purely random networks rarely find food before starving, which would leave
+     * selection nothing to work with; the noise gives it variation to start from.
+     * @param {Random} random - World RNG
+     */
+    static randomWeights(random) {
+        const range = NEURAL_CONFIG.INITIAL_WEIGHT_RANGE;
+        const weights = NeuralBrain.instinctWeights();
+        for (let i = 0; i < weights.length; i++) {
+            weights[i] += random.range(-range, range);
+        }
+        return weights;
+    }
+
+    /**
+     * Hand-wired network that forages, flees and jumps for high fruit (unused weights are 0)
+     */
+    static instinctWeights() {
+        const hiddenCount = NEURAL_CONFIG.HIDDEN_NEURONS;
+        const weights = new Array(NeuralBrain.getWeightCount()).fill(0);
+
+        for (const [neuron, input, weight] of INSTINCT_HIDDEN) {
+            weights[neuron * INPUTS.length + INPUTS.indexOf(input)] = weight;
+        }
+        // Output weights follow the hidden layer: bias first, then one per hidden neuron
+        for (const [output, source, weight] of INSTINCT_OUTPUT) {
+            const start = INPUTS.length * hiddenCount + OUTPUTS.indexOf(output) * (hiddenCount + 1);
+            weights[source === 'bias' ? start : start + 1 + source] = weight;
+        }
+        return weights;
+    }
+
+    /**
+     * Main thinking loop - shared needs first, then the network steers
+     */
+    think(deltaTime, world) {
+        const c = this.creature;
+
+        // Thirst comes first, so courting never keeps a creature from drinking
+        if (this.tendThirst(deltaTime, world)) {
+            return;
+        }
+
+        // Ready to breed: court a visible partner ahead of foraging
+        if (this.seekMate(world)) {
+            return;
+        }
+        if (c.state === 'seeking_mate') {
+            c.state = 'wandering';
+        }
+        if (this.tendSleep(world)) {
+            return;
+        }
+
+        this.updateWanderDirection(deltaTime, world);
+
+        // Reflex: eat reachable food that is close enough, whenever there is room for it
+        const food = this.findNearestFood(world);
+        const eatingRadius = CREATURE_CONFIG.EATING_DISTANCE + c.dna.genes.size * 0.5;
+        if (food && c.energy < c.maxEnergy && this.distance3DTo(food) < eatingRadius) {
+            c.eat(food);
+        }
+
+        const predator = this.findNearestPredator(world);
+        this.sense(world, food && !food.isConsumed ? food : null, predator);
+        this.evaluate();
+        this.act(predator);
+    }
+
+    /**
+     * Fill the input vector (all values roughly within -1..1)
+     */
+    sense(world, food, predator) {
+        const c = this.creature;
+        const inputs = this.inputs;
+        inputs.fill(0);
+        inputs[0] = 1; // Bias
+
+        if (food) {
+            const direction = this.directionTo(food);
+            inputs[1] = 1;
+            inputs[2] = direction.x;
+            inputs[3] = direction.z;
+            inputs[4] = Math.min(1, this.distanceTo(food) / c.perceptionRadius);
+            inputs[5] = Math.max(-1, Math.min(2, this.verticalReachTo(food) / Math.max(c.maxJumpHeight, 0.1)));
+        } else {
+            inputs[4] = 1;
+        }
+
+        inputs[6] = c.energy / c.maxEnergy;
+        inputs[7] = c.hydration / c.maxHydration;
+
+        if (predator) {
+            const direction = this.directionTo(predator);
+            inputs[8] = 1;
+            inputs[9] = direction.x;
+            inputs[10] = direction.z;
+        }
+
+        // Same-species neighbours: how crowded it is and where the nearest one is
+        const neighbours = world.getCreatureIndex(c.species).queryRange(
+            c.position.x,
+            c.position.z,
+            c.perceptionRadius,
+            (other) => other !== c && !other.isDead
+        );
+        if (neighbours.length > 0) {
+            let nearest = neighbours[0];
+            for (const other of neighbours) {
+                if (this.distanceTo(other) < this.distanceTo(nearest)) nearest = other;
+            }
+            const direction = this.directionTo(nearest);
+            inputs[11] = Math.min(1, neighbours.length / NEURAL_CONFIG.NEIGHBOUR_SATURATION);
+            inputs[12] = direction.x;
+            inputs[13] = direction.z;
+        }
+
+        inputs[14] = this.wanderDirection.x;
+        inputs[15] = this.wanderDirection.z;
+    }
+
+    /**
+     * Forward pass: inputs -> tanh hidden layer -> raw outputs
+     */
+    evaluate() {
+        const weights = this.creature.dna.weights;
+        const hiddenCount = this.hidden.length;
+        let w = 0;
+
+        for (let h = 0; h < hiddenCount; h++) {
+            let sum = 0;
+            for (let i = 0; i < this.inputs.length; i++) {
+                sum += this.inputs[i] * weights[w++];
+            }
+            this.hidden[h] = Math.tanh(sum);
+        }
+
+        for (let o = 0; o < this.outputs.length; o++) {
+            let sum = weights[w++]; // Output bias
+            for (let h = 0; h < hiddenCount; h++) {
+                sum += this.hidden[h] * weights[w++];
+            }
+            this.outputs[o] = sum;
+        }
+    }
+
+    /**
+     * Turn the outputs into velocity, a jump attempt and a state label
+     */
+    act(predator) {
+        const c = this.creature;
+        const moveX = Math.tanh(this.outputs[0]);
+        const moveZ = Math.tanh(this.outputs[1]);
+        const length = Math.sqrt(moveX * moveX + moveZ * moveZ);
+
+        if (length < 0.05) {
+            // Network chose to stand still
+            c.velocity.x = 0;
+            c.velocity.z = 0;
+        } else {
+            const speedFraction = 1 / (1 + Math.exp(-this.outputs[2])); // Sigmoid, 0-1
+            const speed = c.speed * c.dna.genes.seekSpeed * speedFraction;
+            c.velocity.x = (moveX / length) * speed;
+            c.velocity.z = (moveZ / length) * speed;
+        }
+
+        if (this.outputs[3] > 0) {
+            c.jump(); // Fails on cooldown, in the air or without enough energy
+        }
+
+        // Label what the network is doing (icons, inspector, thirst priority)
+        const heading = length < 0.05 ? { x: 0, z: 0 } : { x: moveX / length, z: moveZ / length };
+        if (predator && heading.x * this.inputs[9] + heading.z * this.inputs[10] < -0.5) {
+            c.state = 'fleeing';
+        } else if (this.inputs[1] > 0 && heading.x * this.inputs[2] + heading.z * this.inputs[3] > 0.5) {
+            c.state = 'seeking_food';
+        } else {
+            c.state = 'wandering';
+        }
+    }
+}
@@ -1,4 +1,5 @@
-import { CREATURE_CONFIG, JUMPING_CONFIG, PHYSICS_CONFIG } from '../config.js';
+import { CREATURE_CONFIG, GENETICS_CONFIG, JUMPING_CONFIG, PHYSICS_CONFIG, WATER_CONFIG, DAY_NIGHT_CONFIG } from '../config.js';
+import { heightmap } from '../core/Heightmap.js';
 
 /**
  * SimpleBrain - AI state machine for creature behavior
@@ -6,16 +7,19 @@ import { CREATURE_CONFIG, JUMPING_CONFIG, PHYSICS_CONFIG } from '../config.js';
  * States:
  * - wandering: Random movement when energy is sufficient
  * - seeking_food: Move toward nearest food when hungry
+ * - seeking_water: Head for the nearest lake shore and drink when thirsty
+ * - sleeping: Rest in place at night when well fed (slower energy and hydration drain)
+ * - fleeing: Run directly away from a nearby predator (overrides everything else)
+ * - seeking_mate: Head for a visible partner when ready to breed (sexual reproduction only)
  */
 export class SimpleBrain {
-    constructor(creature) {
+    constructor(creature, random) {
         this.creature = creature;
         this.wanderTimer = 0;
-        this.wanderDirection = this.randomDirection();
+        this.wanderDirection = this.randomDirection(random);
 
-        // Add ±20% randomness to wander interval to prevent resonance
-        const fuzzFactor = 0.8 + Math.random() * 0.4; // Range: 0.8 to 1.2 (±20%)
-        this.wanderChangeInterval = CREATURE_CONFIG.WANDER_DIRECTION_CHANGE * fuzzFactor;
+        // Heritable, so creatures don't all turn in step
+        this.wanderChangeInterval = creature.dna.genes.wanderInterval;
     }
 
     /**
@@ -24,17 +28,43 @@ export class SimpleBrain {
     think(deltaTime, world) {
         const c = this.creature;
 
+        // Flee from any predator close enough to notice, whatever we were doing
+        const predator = this.findNearestPredator(world);
+        if (predator) {
+            c.state = 'fleeing';
+            this.flee(predator);
+            return;
+        }
+        // Thirst: drink until quenched (takes over from courting, and from foraging when it is the more urgent need)
+        if (this.tendThirst(deltaTime, world)) {
+            return;
+        }
+
+        // Ready to breed: court a visible partner ahead of foraging
+        if (this.seekMate(world)) {
+            return;
+        }
+
+        if (c.state === 'fleeing' || c.state === 'seeking_mate') {
+            c.state = 'wandering'; // Escaped or done mating - energy check below resumes foraging if hungry
+        }
+
+        // Night: well-fed creatures rest until morning
+        if (this.tendSleep(world)) {
+            return;
+        }
+
         // State transitions based on energy level
-        if (c.energy < CREATURE_CONFIG.HUNGER_THRESHOLD) {
+        if (c.energy < c.dna.genes.hungerThreshold) {
             c.state = 'seeking_food';
-        } else if (c.energy > CREATURE_CONFIG.SATISFIED_THRESHOLD) {
+        } else if (c.energy > c.dna.genes.satietyThreshold) {
             c.state = 'wandering';
         }
 
         // Execute behavior based on current state
         switch (c.state) {
             case 'wandering':
-                this.wander(deltaTime);
+                this.wander(deltaTime, world);
                 break;
             case 'seeking_food':
                 this.seekFood(deltaTime, world);
@@ -45,18 +75,162 @@ export class SimpleBrain {
     /**
      * Wander behavior - random movement
      */
-    wander(deltaTime) {
+    wander(deltaTime, world) {
+        this.updateWanderDirection(deltaTime, world);
+
+        // Set velocity in wander direction
+        this.creature.velocity.x = this.wanderDirection.x * this.creature.speed;
+        this.creature.velocity.z = this.wanderDirection.z * this.creature.speed;
+    }
+
+    /**
+     * Advance the wander timer, picking a new random heading every few seconds
+     */
+    updateWanderDirection(deltaTime, world) {
         this.wanderTimer += deltaTime;
 
         // Change direction every few seconds
         if (this.wanderTimer > this.wanderChangeInterval) {
-            this.wanderDirection = this.randomDirection();
+            this.wanderDirection = this.randomDirection(world.random);
             this.wanderTimer = 0;
         }
+    }
 
-        // Set velocity in wander direction
-        this.creature.velocity.x = this.wanderDirection.x * this.creature.speed;
-        this.creature.velocity.z = this.wanderDirection.z * this.creature.speed;
+    /**
+     * Flee behavior - run straight away from a predator
+     */
+    flee(predator) {
+        const toward = this.directionTo(predator);
+        const fleeSpeed = this.creature.speed * CREATURE_CONFIG.FLEE_SPEED_MULTIPLIER;
+        this.creature.velocity.x = -toward.x * fleeSpeed;
+        this.creature.velocity.z = -toward.z * fleeSpeed;
+    }
+
+    /**
+     * Mate seeking behavior (sexual reproduction) - approach the nearest willing partner and mate on contact
+     * Ready creatures look well beyond their perception radius (MATE_SEARCH_MULTIPLIER). With no
+     * willing partner around they head for the nearest of their own kind instead, who may be ready
+     * by the time they meet; once alongside it they carry on as usual. A search, once started, goes
+     * on while the creature could still accept a partner itself, since it takes longer than
+     * energy stays above the reproduction threshold.
+     * @returns {boolean} True if courting or searching this tick (state is now seeking_mate)
+     */
+    seekMate(world) {
+        const c = this.creature;
+        if (!world.sexualReproduction) return false;
+
+        // Courting starts at the reproduction threshold and goes on while mating is affordable
+        const isCourting = c.state === 'seeking_mate' && c.canAcceptMate();
+        if (!c.canReproduce() && !isCourting) return false;
+
+        const searchRadius = c.perceptionRadius * GENETICS_CONFIG.MATE_SEARCH_MULTIPLIER;
+        const partner = this.findNearestMate(world, searchRadius);
+        const target = partner || this.findNearestCompany(world, searchRadius);
+        if (!target) return false;
+
+        const matingRadius = GENETICS_CONFIG.MATING_DISTANCE + (c.dna.genes.size + target.dna.genes.size) * 0.5;
+        const distance = this.distanceTo(target);
+        if (partner && distance < matingRadius) {
+            c.state = 'seeking_mate';
+            c.mateWith(partner, world);
+            c.velocity.x = 0;
+            c.velocity.z = 0;
+            return true;
+        }
+        if (!partner && distance < matingRadius * 2) {
+            return false; // Keep company while waiting for it to be ready
+        }
+
+        // At seeking speed, or a wandering partner would stay out of reach
+        c.state = 'seeking_mate';
+        const direction = this.directionTo(target);
+        const speed = c.speed * c.dna.genes.seekSpeed;
+        c.velocity.x = direction.x * speed;
+        c.velocity.z = direction.z * speed;
+        return true;
+    }
+
+    /**
+     * Thirst handling shared by all brains
+     * Starts seeking water below THIRST_THRESHOLD (unless foraging for a more urgent
+     * energy shortfall) and keeps at it until hydration passes QUENCHED_THRESHOLD.
+     * @returns {boolean} True if the creature is busy with water this tick (state is seeking_water)
+     */
+    tendThirst(deltaTime, world) {
+        if (!WATER_CONFIG.ENABLED) return false;
+
+        const c = this.creature;
+        if (c.state === 'seeking_water') {
+            if (c.hydration > WATER_CONFIG.QUENCHED_THRESHOLD) {
+                c.state = 'wandering';
+                return false;
+            }
+        } else if (c.hydration < WATER_CONFIG.THIRST_THRESHOLD &&
+                   (c.state !== 'seeking_food' || c.hydration / c.maxHydration < c.energy / c.maxEnergy)) {
+            c.state = 'seeking_water';
+        } else {
+            return false;
+        }
+
+        this.seekWater(deltaTime, world);
+        return true;
+    }
+
+    /**
+     * Sleep handling shared by all brains
+     * Sleeps in place while it is night and energy stays above SLEEP_ENERGY_THRESHOLD;
+     * wakes (back to wandering) at dawn or when hunger sets in.
+     * @returns {boolean} True if the creature is asleep this tick
+     */
+    tendSleep(world) {
+        const c = this.creature;
+        const canSleep = DAY_NIGHT_CONFIG.SLEEP_ENABLED &&
+            world.dayNight.isNight() &&
+            c.energy > DAY_NIGHT_CONFIG.SLEEP_ENERGY_THRESHOLD;
+
+        if (!canSleep) {
+            if (c.state === 'sleeping') {
+                c.state = 'wandering';
+            }
+            return false;
+        }
+
+        c.state = 'sleeping';
+        c.velocity.x = 0;
+        c.velocity.z = 0;
+        return true;
+    }
+
+    /**
+     * Seek water behavior - walk to the nearest visible lake and drink at its shore
+     */
+    seekWater(deltaTime, world) {
+        const c = this.creature;
+        const nearest = heightmap.findNearestLake(
+            c.position.x,
+            c.position.z,
+            c.perceptionRadius * WATER_CONFIG.WATER_DETECTION_MULTIPLIER
+        );
+
+        if (!nearest) {
+            // No lake in sight: roam until one turns up
+            this.wander(deltaTime, world);
+            return;
+        }
+
+        if (nearest.shoreDistance < WATER_CONFIG.DRINK_DISTANCE + c.dna.genes.size * 0.5) {
+            c.velocity.x = 0;
+            c.velocity.z = 0;
+            c.drink(deltaTime);
+            return;
+        }
+
+        // Straight for the lake centre (the shoreline stops us at the water's edge)
+        const dx = nearest.lake.x - c.position.x;
+        const dz = nearest.lake.z - c.position.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        c.velocity.x = (dx / length) * c.speed * c.dna.genes.seekSpeed;
+        c.velocity.z = (dz / length) * c.speed * c.dna.genes.seekSpeed;
     }
 
     /**
@@ -68,7 +242,7 @@ export class SimpleBrain {
 
         if (nearestFood) {
             const horizontalDist = this.distanceTo(nearestFood); // 2D horizontal distance
-            const verticalDist = nearestFood.position.y - this.creature.position.y;
+            const verticalDist = this.verticalReachTo(nearestFood);
             const totalDist = this.distance3DTo(nearestFood); // Full 3D distance
 
             // Check if we're close enough to eat (3D distance check)
@@ -77,7 +251,7 @@ export class SimpleBrain {
                 // Close enough to eat
                 this.creature.eat(nearestFood);
                 // Continue seeking if still hungry, otherwise return to wandering
-                if (this.creature.energy > CREATURE_CONFIG.SATISFIED_THRESHOLD) {
+                if (this.creature.energy > this.creature.dna.genes.satietyThreshold) {
                     this.creature.state = 'wandering';
                 }
             } else {
@@ -97,12 +271,12 @@ export class SimpleBrain {
 
                 // Move toward food horizontally (whether jumping or not)
                 const direction = this.directionTo(nearestFood);
-                this.creature.velocity.x = direction.x * this.creature.speed * CREATURE_CONFIG.SEEK_SPEED_MULTIPLIER;
-                this.creature.velocity.z = direction.z * this.creature.speed * CREATURE_CONFIG.SEEK_SPEED_MULTIPLIER;
+                this.creature.velocity.x = direction.x * this.creature.speed * this.creature.dna.genes.seekSpeed;
+                this.creature.velocity.z = direction.z * this.creature.speed * this.creature.dna.genes.seekSpeed;
             }
         } else {
             // No food nearby, wander instead
-            this.wander(deltaTime);
+            this.wander(deltaTime, world);
         }
     }
 
@@ -110,36 +284,64 @@ export class SimpleBrain {
      * Find nearest food within perception radius that is actually reachable
      */
     findNearestFood(world) {
-        let nearest = null;
-        let minDist = Infinity;
-
-        for (const food of world.foodEntities) {
-            // Skip consumed food
-            if (food.isConsumed) continue;
-
-            const dist = this.distanceTo(food);
-
-            // Check if within perception radius
-            if (dist >= this.creature.perceptionRadius) continue;
+        // Spatial index only visits cells within the perception radius
+        return world.foodIndex.findNearest(
+            this.creature.position.x,
+            this.creature.position.z,
+            this.creature.perceptionRadius,
+            // Skip consumed food and food that is out of reach
+            (food) => !food.isConsumed && this.isFoodReachable(food)
+        );
+    }
 
-            // Check if food is actually reachable
-            if (!this.isFoodReachable(food)) continue;
+    /**
+     * Find the nearest same-species creature willing to breed with a ready one
+     * @param {number} radius - Search radius (defaults to the perception radius)
+     */
+    findNearestMate(world, radius = this.creature.perceptionRadius) {
+        const c = this.creature;
+        return world.getCreatureIndex(c.species).findNearest(
+            c.position.x,
+            c.position.z,
+            radius,
+            (other) => other !== c && !other.isDead && other.canAcceptMate()
+        );
+    }
 
-            // This food is reachable and closer than previous
-            if (dist < minDist) {
-                minDist = dist;
-                nearest = food;
-            }
-        }
+    /**
+     * Find the nearest living same-species creature, ready to breed or not
+     */
+    findNearestCompany(world, radius) {
+        const c = this.creature;
+        return world.getCreatureIndex(c.species).findNearest(
+            c.position.x,
+            c.position.z,
+            radius,
+            (other) => other !== c && !other.isDead
+        );
+    }
 
-        return nearest;
+    /**
+     * Find the nearest predator close enough to notice
+     * Predators are noticed at a fraction of the perception radius, and stalking ones only much closer
+     */
+    findNearestPredator(world) {
+        const detectionRadius = this.creature.perceptionRadius * CREATURE_CONFIG.PREDATOR_DETECTION_FACTOR;
+        const stalkerRadius = detectionRadius * CREATURE_CONFIG.STALKER_DETECTION_FACTOR;
+
+        return world.getCreatureIndex('carnivore').findNearest(
+            this.creature.position.x,
+            this.creature.position.z,
+            detectionRadius,
+            (predator) => predator.state !== 'stalking' || this.distanceTo(predator) < stalkerRadius
+        );
     }
 
     /**
      * Check if food is reachable (either on ground or within jump range)
      */
     isFoodReachable(food) {
-        const verticalDist = food.position.y - this.creature.position.y;
+        const verticalDist = this.verticalReachTo(food);
 
         // Food at ground level or below us - always reachable
         if (verticalDist <= 1.0) {
@@ -155,6 +357,16 @@ export class SimpleBrain {
         return false;
     }
 
+    /**
+     * Vertical distance to an entity, not counting the terrain rise between the two
+     * (a fruit over a hillside is no harder to jump for than one over flat ground)
+     */
+    verticalReachTo(entity) {
+        const c = this.creature;
+        const terrainRise = heightmap.getHeight(entity.position.x, entity.position.z) - heightmap.getHeight(c.position.x, c.position.z);
+        return entity.position.y - c.position.y - terrainRise;
+    }
+
     /**
      * Calculate horizontal (2D) distance to another entity
      */
@@ -181,9 +393,7 @@ export class SimpleBrain {
         if (!JUMPING_CONFIG.ENABLED) return false;
 
         // Calculate required jump height to reach food
-        const foodHeight = food.position.y;
-        const creatureHeight = this.creature.position.y;
-        const requiredJumpHeight = foodHeight - creatureHeight;
+        const requiredJumpHeight = this.verticalReachTo(food);
 
         // Can reach if max jump height >= required height
         return this.creature.maxJumpHeight >= requiredJumpHeight;
@@ -208,11 +418,31 @@ export class SimpleBrain {
         };
     }
 
+    /**
+     * Serialize brain state for snapshots
+     */
+    serialize() {
+        return {
+            wanderTimer: this.wanderTimer,
+            wanderDirection: { ...this.wanderDirection },
+        };
+    }
+
+    /**
+     * Restore state written by serialize() (call after the creature's DNA is restored)
+     */
+    restore(data) {
+        this.wanderTimer = data.wanderTimer;
+        this.wanderDirection = { ...data.wanderDirection };
+        this.wanderChangeInterval = this.creature.dna.genes.wanderInterval;
+    }
+
     /**
      * Generate random direction vector
+     * @param {Random} random - World RNG
      */
-    randomDirection() {
-        const angle = Math.random() * Math.PI * 2;
+    randomDirection(random) {
+        const angle = random.angle();
         return {
             x: Math.cos(angle),
             z: Math.sin(angle)
@@ -23,12 +23,13 @@ function parseColor(hexColor) {
  * Uses Box-Muller transform
  * @param {number} mean - Mean of the distribution
  * @param {number} stddev - Standard deviation of the distribution
+ * @param {Function} rng - Uniform [0, 1) source (pass world.random.next for reproducible runs)
  * @returns {number} Random value from the Gaussian distribution
  */
-export function gaussianRandom(mean, stddev) {
+export function gaussianRandom(mean, stddev, rng = Math.random) {
     // Box-Muller transform to generate Gaussian random numbers
-    const u1 = Math.random();
-    const u2 = Math.random();
+    const u1 = 1 - rng(); // (0, 1] so log() stays finite
+    const u2 = rng();
     const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
     return z0 * stddev + mean;
 }
@@ -44,10 +45,21 @@ export const WORLD_CONFIG = {
 
     // Initial population
     DEFAULT_FOOD_COUNT: 80,         // Starting number of food items
-    DEFAULT_CREATURE_COUNT: 12,     // Starting number of creatures
+    DEFAULT_CREATURE_COUNT: 12,     // Starting number of creatures (herbivores)
+    DEFAULT_CARNIVORE_COUNT: 0,     // Starting number of predators (0 = classic herbivore-only island)
+
+    // Random seed for reset (null = pick a new random seed each reset)
+    SEED: null,
 
     // Time delta filtering (prevents jumps when tabbing away)
     MAX_DELTA_TIME: 1.0,            // Maximum allowed time delta in seconds (ignore larger deltas)
+
+    // Fixed-timestep simulation loop
+    FIXED_TIME_STEP: 1 / 60,        // Simulated seconds per tick (independent of frame rate and speed)
+    MAX_STEPS_PER_FRAME: 300,       // Cap on ticks per rendered frame (drops backlog instead of spiralling)
+
+    // Spatial index for proximity queries
+    SPATIAL_CELL_SIZE: 5,           // Grid cell width (world units) for food/creature lookups
 };
 
 // ============================================================================
@@ -63,22 +75,65 @@ export const CREATURE_CONFIG = {
 
     // Movement
     SPEED: 5,                       // Base movement speed (units/second)
-    SEEK_SPEED_MULTIPLIER: 1.5,     // Speed boost when seeking food
 
     // AI behavior
     PERCEPTION_RADIUS: 15,          // How far creature can "see" food
-    HUNGER_THRESHOLD: 40,           // Energy level to start seeking food
-    SATISFIED_THRESHOLD: 95,        // Energy level to stop seeking food
     EATING_DISTANCE: 1.5,           // How close to be to eat food
+    // Hunger/satiety, seek speed and wander interval are genes (GENE_REGISTRY)
 
-    // Wandering behavior
-    WANDER_DIRECTION_CHANGE: 3,     // Seconds between direction changes
+    // Predator avoidance (herbivores)
+    PREDATOR_DETECTION_FACTOR: 0.6, // Fraction of perception radius at which predators are noticed
+    STALKER_DETECTION_FACTOR: 0.5,  // Stalking predators are only noticed at this fraction of that range
+    FLEE_SPEED_MULTIPLIER: 1.6,     // Speed boost when fleeing a predator
 
     // Visual
     MIN_SCALE: 0.5,                 // Scale when energy is 0%
     MAX_SCALE: 1.0,                 // Scale when energy is 100%
 };
 
+// ============================================================================
+// CARNIVORE SETTINGS
+// ============================================================================
+
+export const CARNIVORE_CONFIG = {
+    // Trait multipliers (applied on top of CREATURE_CONFIG and genes)
+    SPEED_MULTIPLIER: 1.1,          // Slightly faster base speed than herbivores
+    PERCEPTION_MULTIPLIER: 1.5,     // Spot prey from further away
+    ENERGY_DRAIN_MULTIPLIER: 0.5,   // Slower metabolism (meals are big but rare)
+
+    // Hunting behavior
+    HUNGER_THRESHOLD: 50,           // Energy level to start hunting
+    SATISFIED_THRESHOLD: 90,        // Energy level to stop hunting
+    STALK_SPEED_MULTIPLIER: 0.6,    // Creep toward distant prey
+    CHASE_DISTANCE: 6,              // Break into a chase when prey is this close
+    CHASE_SPEED_MULTIPLIER: 1.4,    // Sprint speed while chasing
+    ATTACK_DISTANCE: 0.5,           // Catch distance (plus half of each creature's size)
+
+    // Feeding
+    PREY_ENERGY_PER_SIZE: 35,       // Energy gained per unit of prey size gene
+    EATING_DURATION: 5,             // Seconds spent standing over a kill
+
+    // Reproduction
+    REPRODUCTION_COOLDOWN: 90,      // Seconds between litters (herbivores use GENETICS_CONFIG)
+};
+
+// ============================================================================
+// AGING SETTINGS
+// ============================================================================
+// Juveniles grow to adult size and become fertile at their maturityAge gene; elders
+// weaken from SENESCENCE_START of their maxLifespan gene and die of old age at its end.
+
+export const AGING_CONFIG = {
+    JUVENILE_SCALE: 0.5,            // Body size at birth, as a fraction of adult size
+    GROWTH_ENERGY_COST: 10,         // Energy spent growing up, spread over the maturity age (fast growth is costly)
+    SENESCENCE_START: 0.75,         // Fraction of max lifespan at which old age sets in
+    ELDER_DRAIN_MULTIPLIER: 1.0,    // Extra energy drain at max lifespan (+100%), rising from 0 at the onset
+    ELDER_SPEED_PENALTY: 0.4,       // Speed lost at max lifespan (40%), rising from 0 at the onset
+    LONGEVITY_DRAIN_COST: 0.1,      // Drain change per REFERENCE_LIFESPAN of lifespan above (or below) it (body upkeep)
+    REFERENCE_LIFESPAN: 600,        // Lifespan with neither longevity cost nor saving
+    FOUNDER_MAX_AGE: 0.5,           // Founders start as adults aged up to this fraction of their lifespan
+};
+
 // ============================================================================
 // FOOD SETTINGS
 // ============================================================================
@@ -106,6 +161,10 @@ export const UI_CONFIG = {
     CREATURE_SLIDER_MAX: 50,
     CREATURE_SLIDER_STEP: 1,
 
+    CARNIVORE_SLIDER_MIN: 0,
+    CARNIVORE_SLIDER_MAX: 20,
+    CARNIVORE_SLIDER_STEP: 1,
+
     TREE_SLIDER_MIN: 0,
     TREE_SLIDER_MAX: 250,
     TREE_SLIDER_STEP: 1,
@@ -114,6 +173,10 @@ export const UI_CONFIG = {
     ISLAND_RADIUS_SLIDER_MAX: 100,      // Double of default (50 * 2)
     ISLAND_RADIUS_SLIDER_STEP: 5,
 
+    DAY_LENGTH_SLIDER_MIN: 30,          // Seconds per day/night cycle
+    DAY_LENGTH_SLIDER_MAX: 1200,
+    DAY_LENGTH_SLIDER_STEP: 30,
+
     // Simulation speed
     SPEED_SLIDER_MIN: 0.2,
     SPEED_SLIDER_MAX: 15.0,
@@ -139,12 +202,53 @@ export const TREE_CONFIG = {
     COUNT: 25,                      // Number of trees on the island
     HEIGHT_MIN: 3.0,                // Minimum tree height (meters)
     HEIGHT_MAX: 15.0,               // Maximum tree height (meters)
+    WIDTH_MIN: 1.0,                 // Minimum canopy radius (meters)
+    WIDTH_MAX: 3.0,                 // Maximum canopy radius (meters)
     FOOD_SPAWN_RADIUS: 5.0,         // Radius around tree where food spawns
     FOOD_SPAWN_RATE_MIN: 2.0,       // Min fruits per minute
     FOOD_SPAWN_RATE_MAX: 6.0,       // Max fruits per minute
     MAX_FOOD_PER_TREE: 10,          // Max food items a tree can have at once
     INITIAL_FOOD_MIN: 1,            // Min food items spawned at tree creation
     INITIAL_FOOD_MAX: 3,            // Max food items spawned at tree creation
+
+    // Life cycle
+    LIFESPAN_MIN: 1500,             // Shortest natural lifespan (seconds)
+    LIFESPAN_MAX: 3000,             // Longest natural lifespan (seconds)
+    MATURITY_AGE: 300,              // Age at which a sapling reaches full height/width
+    SAPLING_SCALE: 0.2,             // Size of a fresh sapling relative to its full size
+    FRUITING_AGE: 150,              // Trees bear fruit from this age
+
+    // Seeds (mature trees only)
+    SEED_INTERVAL_MIN: 60,          // Min seconds between dropped seeds
+    SEED_INTERVAL_MAX: 120,         // Max seconds between dropped seeds
+    SEED_DISPERSAL_MIN: 4,          // Seeds land at least this far from the parent
+    SEED_DISPERSAL_MAX: 14,         // ...and at most this far
+    SPROUT_CHANCE: 0.5,             // Chance a seed sprouts in normal conditions (scaled by season/weather fruiting)
+    MIN_TREE_SPACING: 3,            // Seeds never sprout closer than this to another tree
+    CROWDING_RADIUS: 12,            // Neighbourhood checked for crowding
+    CROWDING_LIMIT: 2,              // Seeds fail when this many trees already grow within CROWDING_RADIUS
+
+    // Overgrazing
+    GRAZING_DAMAGE: 0.04,           // Health lost each time one of the tree's fruits is eaten
+    HEALTH_REGEN_RATE: 0.002,       // Health recovered per second (health is 0-1; the tree dies at 0)
+
+    // Seed dispersal by animals (eaten fruit)
+    EATEN_SEED_CHANCE: 0.1,         // Chance an eaten fruit's seed is carried off
+    ANIMAL_DISPERSAL_MAX: 25,       // Carried seeds land up to this far from where the fruit was eaten
+
+    // Genetics: initial genes are drawn from the ranges above (height, width, spawn rate),
+    // around JUMPING_CONFIG.FOOD_HEIGHT_BIAS and FOOD_CONFIG.NUTRITION; seedlings inherit with mutation
+    MUTATION_RATE: 0.15,            // Chance per gene to mutate
+    MUTATION_AMOUNT: 0.2,           // Max change per mutation (fraction of the gene's initial range, ±half)
+    FRUIT_HEIGHT_BIAS_SPREAD: 0.1,  // Initial fruitHeightBias = FOOD_HEIGHT_BIAS ± this
+    NUTRITION_SPREAD: 0.2,          // Initial nutrition = FOOD_CONFIG.NUTRITION ± this fraction
+    GENE_LIMITS: {                  // Hard bounds after mutation
+        height: [1.5, 25],
+        width: [0.5, 5],
+        spawnRate: [0.5, 12],
+        fruitHeightBias: [0, 1],
+        nutrition: [5, 60],
+    },
 };
 
 // ============================================================================
@@ -156,14 +260,32 @@ export const VISUAL_CONFIG = {
     // Colors (hex strings parsed to integers for Three.js)
     // Format: '#RRGGBB' or '#RRGGBBAA' (alpha will be stripped)
     TERRAIN_COLOR: parseColor('#104420ff'),       // Grass green
+    SAND_COLOR: parseColor('#c2b280'),          // Beaches
+    ROCK_COLOR: parseColor('#6b6b5e'),          // High slopes near the peak
+    WATER_COLOR: parseColor('#2f6fb5'),         // Lakes
     FOOD_COLOR: parseColor('#90ee90'),          // Light green
 
     // Creature colors
     CREATURE_HEALTHY_COLOR: parseColor('#4169e1'),   // Blue when healthy
+    CARNIVORE_MARK_COLOR: parseColor('#8b0000'),     // Dark red stripe on predators
 
     // Theme colors
     SKY_COLOR_LIGHT: '#87CEEB',     // Light blue sky
     SKY_COLOR_DARK: '#1a1a2e',      // Dark blue-grey night sky
+
+    // Day/night cycle colors
+    SKY_COLOR_NIGHT: '#0b1026',     // Sky at full night
+    SKY_COLOR_DUSK: '#e8956a',      // Sky at sunrise/sunset
+    SUN_COLOR: '#ffffff',           // Midday sunlight
+    SUN_COLOR_DUSK: '#ffb070',      // Low sun
+    MOON_COLOR: '#8fa8ff',          // Night light
+
+    // Weather effects
+    STORM_SKY_COLOR: '#55606b',     // Sky under full cloud cover
+    DROUGHT_SKY_COLOR: '#d8c08a',   // Hazy sky during droughts
+    RAIN_COLOR: '#a8c4e0',          // Raindrops
+    SNOW_COLOR: '#ffffff',          // Snowflakes (precipitation below freezing)
+    PRECIPITATION_PARTICLES: 3000,  // Drops/flakes simulated over the island
 };
 
 // ============================================================================
@@ -171,29 +293,273 @@ export const VISUAL_CONFIG = {
 // ============================================================================
 
 export const GENETICS_CONFIG = {
-    MUTATION_RATE: 0.15,            // 15% chance per gene to mutate
-    MUTATION_AMOUNT: 0.2,           // Max change per mutation (±0.1)
+    MUTATION_RATE: 0.15,            // 15% chance per gene to mutate (genes may override it)
+    MUTATION_AMOUNT: 0.2,           // Max change per mutation of the physical multipliers (±0.1)
 
     // Reproduction settings
-    REPRODUCTION_ENERGY_THRESHOLD: 85,  // Energy needed to reproduce
     REPRODUCTION_ENERGY_COST: 40,       // Energy lost when reproducing
     REPRODUCTION_COOLDOWN: 30,          // Seconds between reproductions
 
+    // Sexual reproduction (off = clonal offspring from a single parent)
+    SEXUAL_REPRODUCTION: false,         // Ready creatures seek a partner and offspring get crossover DNA
+    MATING_ENERGY_COST: 25,             // Energy each parent pays when mating
+    MATING_DISTANCE: 1.5,               // How close partners must be to mate (plus half of each size)
+    MATE_SEARCH_MULTIPLIER: 3.0,        // Ready creatures look for partners this many perception radii away
+    PARTNER_MIN_ENERGY: 30,             // Energy a willing partner needs (just above MATING_ENERGY_COST; it need not be ready itself)
+
     // Offspring settings
     OFFSPRING_STARTING_ENERGY: 60,      // Baby creatures start with this energy
     OFFSPRING_SPAWN_DISTANCE: 2,        // How far from parent to spawn
 };
 
+// ============================================================================
+// GENE REGISTRY
+// ============================================================================
+// Every creature gene, in DNA order. Adding a trait is one entry here; DNA, World.getStats(),
+// the population graph, the inspector and the family tree all iterate this list.
+//
+//   name, label    Key in dna.genes and display name
+//   min, max       Hard bounds, applied after mutation
+//   initial        Founder distribution: { type: 'uniform', min, max } or { type: 'gaussian', mean, stddev }
+//   mutation       { type: 'uniform', amount } changes by up to ±amount/2, { type: 'gaussian', amount } by
+//                  a normal step with stddev = amount; optional rate overrides GENETICS_CONFIG.MUTATION_RATE,
+//                  and without an amount the step is GENETICS_CONFIG.MUTATION_AMOUNT (read at each mutation)
+//   boundary       'clamp' to min/max, or 'wrap' around (cyclic genes like hue)
+//   species        Species whose behaviour reads the gene (stats average over these); null = all
+//   graph          { color, axis } to plot the average; genes with the same axis share a y-axis
+
+const PHYSICAL_MUTATION = { type: 'uniform' }; // Amount from GENETICS_CONFIG.MUTATION_AMOUNT
+
+export const GENE_REGISTRY = [
+    // Physical multipliers around 1
+    {
+        name: 'speed', label: 'Speed', min: 0.5, max: 2.0, boundary: 'clamp', species: null,
+        initial: { type: 'uniform', min: 0.8, max: 1.2 }, mutation: PHYSICAL_MUTATION,
+        graph: null,
+    },
+    {
+        name: 'perception', label: 'Perception', min: 0.5, max: 2.0, boundary: 'clamp', species: null,
+        initial: { type: 'uniform', min: 0.8, max: 1.2 }, mutation: PHYSICAL_MUTATION,
+        graph: null,
+    },
+    {
+        name: 'efficiency', label: 'Efficiency', min: 0.5, max: 2.0, boundary: 'clamp', species: null,
+        initial: { type: 'uniform', min: 0.8, max: 1.2 }, mutation: PHYSICAL_MUTATION,
+        graph: null,
+    },
+    {
+        name: 'size', label: 'Size', min: 0.5, max: 2.0, boundary: 'clamp', species: null,
+        initial: { type: 'uniform', min: 0.8, max: 1.2 }, mutation: PHYSICAL_MUTATION,
+        graph: { color: '#ff69b4', axis: 'Size' },
+    },
+    {
+        name: 'hue', label: 'Hue', min: 0, max: 1, boundary: 'wrap', species: null,
+        initial: { type: 'uniform', min: 0, max: 1 }, mutation: PHYSICAL_MUTATION,
+        graph: null,
+    },
+    {
+        name: 'jumpPower', label: 'Jump Power', min: 0.5, max: 2.0, boundary: 'clamp', species: null,
+        initial: { type: 'uniform', min: 0.8, max: 1.2 }, mutation: PHYSICAL_MUTATION,
+        graph: { color: '#00d4ff', axis: 'Jump Power' },
+    },
+
+    // Behaviour (absolute values; founders centred on the old fixed constants)
+    {
+        name: 'hungerThreshold', label: 'Hunger Threshold', min: 10, max: 90, boundary: 'clamp', species: 'herbivore',
+        initial: { type: 'uniform', min: 30, max: 50 }, mutation: { type: 'uniform', amount: 10 },
+        graph: { color: '#daa520', axis: 'Energy Threshold' },
+    },
+    {
+        name: 'satietyThreshold', label: 'Satiety Threshold', min: 50, max: 100, boundary: 'clamp', species: 'herbivore',
+        initial: { type: 'uniform', min: 90, max: 100 }, mutation: { type: 'uniform', amount: 10 },
+        graph: { color: '#9370db', axis: 'Energy Threshold' },
+    },
+    {
+        name: 'seekSpeed', label: 'Seek Speed', min: 1, max: 2.5, boundary: 'clamp', species: null,
+        initial: { type: 'uniform', min: 1.3, max: 1.7 }, mutation: { type: 'uniform', amount: 0.2 },
+        graph: null,
+    },
+    {
+        name: 'wanderInterval', label: 'Wander Interval', min: 0.5, max: 10, boundary: 'clamp', species: null,
+        initial: { type: 'uniform', min: 2.4, max: 3.6 }, mutation: { type: 'uniform', amount: 1 },
+        graph: null,
+    },
+    {
+        name: 'reproductionThreshold', label: 'Reproduction Threshold', min: 45, max: 100, boundary: 'clamp', species: null,
+        initial: { type: 'uniform', min: 75, max: 95 }, mutation: { type: 'uniform', amount: 10 },
+        graph: null,
+    },
+
+    // Life history in seconds (see AGING_CONFIG)
+    {
+        name: 'maturityAge', label: 'Maturity Age', min: 5, max: 120, boundary: 'clamp', species: null,
+        initial: { type: 'uniform', min: 20, max: 30 }, mutation: { type: 'uniform', amount: 6 },
+        graph: null,
+    },
+    {
+        name: 'maxLifespan', label: 'Max Lifespan', min: 120, max: 1500, boundary: 'clamp', species: null,
+        initial: { type: 'gaussian', mean: 600, stddev: 75 }, mutation: { type: 'gaussian', amount: 30 },
+        graph: { color: '#d8bfd8', axis: 'Lifespan (s)' },
+    },
+];
+
+// ============================================================================
+// DEATH STATISTICS
+// ============================================================================
+// Every cause a creature can die of (Creature.causeOfDeath), in display order. World
+// counts deaths per cause; the control panel and population graph show one entry each.
+
+export const DEATH_CAUSES = [
+    { name: 'starvation', label: 'Starved', color: '#cd853f' },
+    { name: 'dehydration', label: 'Thirst', color: '#4fc3f7' },
+    { name: 'predation', label: 'Eaten', color: '#b22222' },
+    { name: 'old age', label: 'Old age', color: '#c0c0c0' },
+];
+
+export const MORTALITY_CONFIG = {
+    DEATH_RATE_WINDOW: 60,          // Seconds of recent deaths behind the per-cause death rates
+    LIFE_EXPECTANCY_WINDOW: 120,    // Life expectancy = average age at death over this many recent seconds
+};
+
+// ============================================================================
+// NEURAL BRAIN SETTINGS
+// ============================================================================
+
+export const NEURAL_CONFIG = {
+    DEFAULT_BRAIN_TYPE: 'simple',   // Herbivore brain for new runs: 'simple' (state machine) or 'neural'
+    HIDDEN_NEURONS: 8,              // Size of the single hidden layer (tanh)
+    INITIAL_WEIGHT_RANGE: 0.3,      // Founders get the instinct network plus uniform noise in ±this
+    WEIGHT_MUTATION_RATE: 0.1,      // Chance per weight to mutate
+    WEIGHT_MUTATION_AMOUNT: 0.6,    // Max change per mutation (±half)
+    WEIGHT_LIMIT: 4.0,              // Weights are clamped to ±this
+    NEIGHBOUR_SATURATION: 5,        // Same-species neighbour count that maps to a full input
+};
+
 // ============================================================================
 // PHYSICS SETTINGS
 // ============================================================================
 
 export const PHYSICS_CONFIG = {
     GRAVITY: 20.0,                  // Gravity acceleration (m/s²) - stronger than Earth for visible effect
-    GROUND_LEVEL: 0.0,              // Y position of ground plane
+    GROUND_LEVEL: 0.0,              // Y position of ground plane (sea-level beaches)
+    GROUND_SNAP_DISTANCE: 0.5,      // Walking entities stick to descending slopes within this drop per tick
     AIR_RESISTANCE: 0.98,           // Velocity dampening per second (1.0 = no resistance)
 };
 
+// ============================================================================
+// TERRAIN SETTINGS
+// ============================================================================
+
+export const TERRAIN_CONFIG = {
+    ENABLED: true,                  // false = flat island at GROUND_LEVEL
+
+    // Shape (generated from the run seed, so each seed has its own island)
+    PEAK_HEIGHT: 8.0,               // Height of the central peak
+    PEAK_WIDTH: 0.3,                // Peak falloff (fraction of island radius)
+    HILL_HEIGHT: 3.0,               // Height of the noise hills
+    HILL_SCALE: 0.08,               // Noise frequency (lower = broader hills)
+    NOISE_OCTAVES: 3,               // Detail layers added to the hills
+    BEACH_WIDTH: 8.0,               // Flat strip along the shore (world units)
+    GRID_SPACING: 1.0,              // Distance between height samples (world units)
+
+    // Movement on slopes
+    UPHILL_ENERGY_COST: 2.0,        // Energy per metre climbed, per unit of size gene
+    DOWNHILL_SPEED_BONUS: 0.5,      // Extra speed fraction at a 1:1 downhill grade
+
+    // Mesh
+    MESH_RINGS: 64,                 // Concentric vertex rings from centre to shore
+    MESH_SEGMENTS: 128,             // Vertices around each ring
+};
+
+// ============================================================================
+// WATER SETTINGS
+// ============================================================================
+
+export const WATER_CONFIG = {
+    ENABLED: true,                  // false = no lakes and no thirst
+
+    // Lakes (placed from the run seed, carved into the heightmap)
+    LAKE_COUNT: 3,                  // Number of lakes on the island
+    LAKE_RADIUS_MIN: 0.08,          // Minimum lake radius (fraction of island radius)
+    LAKE_RADIUS_MAX: 0.14,          // Maximum lake radius (fraction of island radius)
+    LAKE_PLACEMENT_MIN: 0.25,       // Lake centres lie between these fractions of the island radius
+    LAKE_PLACEMENT_MAX: 0.65,       // (clear of the peak and the beaches)
+    LAKE_DEPTH: 1.5,                // Depth of the basin below the water surface
+    SHORE_FLATTEN: 0.5,             // Ground levels out to the water line within (1 + this) x lake radius
+
+    // Hydration
+    MAX_HYDRATION: 100,             // Maximum hydration capacity
+    STARTING_HYDRATION_MIN: 60,     // Minimum starting hydration
+    STARTING_HYDRATION_MAX: 90,     // Maximum starting hydration
+    OFFSPRING_STARTING_HYDRATION: 70, // Baby creatures start with this hydration
+    HYDRATION_DRAIN_RATE: 1.0,      // Hydration lost per second (scaled by size gene)
+    THIRST_THRESHOLD: 40,           // Hydration level to start seeking water
+    QUENCHED_THRESHOLD: 95,         // Hydration level to stop drinking
+    DRINK_RATE: 25,                 // Hydration gained per second while drinking
+    DRINK_DISTANCE: 1.0,            // How close to the shoreline to drink (plus half of size)
+    WATER_DETECTION_MULTIPLIER: 2.0, // Lakes are landmarks: noticed from this multiple of the perception radius
+};
+
+// ============================================================================
+// DAY/NIGHT SETTINGS
+// ============================================================================
+
+export const DAY_NIGHT_CONFIG = {
+    ENABLED: true,                  // false = permanent daylight (static lighting)
+    DAY_LENGTH: 240,                // Simulated seconds per full day/night cycle
+    START_TIME: 0.3,                // Time of day at reset (0 = midnight, 0.25 = sunrise, 0.5 = noon)
+    TWILIGHT: 0.15,                 // Sun elevation (sine) band around the horizon over which light fades
+    SUN_TILT: 0.4,                  // Sun path tilt toward +z (so noon shadows aren't straight down)
+
+    // Effects of darkness
+    NIGHT_DAYLIGHT: 0.25,           // Below this daylight level it counts as night (sleeping allowed)
+    NIGHT_FRUIT_MULTIPLIER: 0.4,    // Tree fruiting rate at full night
+    NIGHT_PERCEPTION_MULTIPLIER: 0.6, // Creature perception radius at full night
+
+    // Sleep
+    SLEEP_ENABLED: true,            // Well-fed creatures rest at night
+    SLEEP_ENERGY_THRESHOLD: 40,     // Only creatures above this energy go to sleep (hungry ones keep foraging)
+    SLEEP_DRAIN_MULTIPLIER: 0.3,    // Energy and hydration drain while asleep
+};
+
+// ============================================================================
+// SEASONS & WEATHER
+// ============================================================================
+
+export const ENVIRONMENT_CONFIG = {
+    ENABLED: true,                  // false = endless mild summer without weather events
+    SEASON_LENGTH: 300,             // Simulated seconds per season (a year is four seasons)
+    START_SEASON: 0,                // Index into SEASONS at reset
+    SEASON_TRANSITION: 0.25,        // Fraction at the end of each season spent blending into the next
+
+    // Per-season modifiers (blended during transitions)
+    //   fruiting   - tree spawn rate multiplier
+    //   expiration - FOOD_CONFIG.EXPIRATION_TIME_MEAN multiplier for food spawned now
+    //   temperature - base air temperature (°C)
+    //   weather    - chance of each event starting at every weather check
+    SEASONS: [
+        { name: 'spring', fruiting: 1.4, expiration: 1.0, temperature: 14, weather: { rain: 0.35, storm: 0.05, drought: 0.0 } },
+        { name: 'summer', fruiting: 1.1, expiration: 0.7, temperature: 24, weather: { rain: 0.1, storm: 0.1, drought: 0.25 } },
+        { name: 'autumn', fruiting: 0.8, expiration: 1.2, temperature: 11, weather: { rain: 0.3, storm: 0.15, drought: 0.0 } },
+        { name: 'winter', fruiting: 0.3, expiration: 1.6, temperature: 1, weather: { rain: 0.1, storm: 0.15, drought: 0.0 } },
+    ],
+
+    // Temperature effects
+    NIGHT_COOLING: 5,               // Degrees colder at full night (with the day/night cycle on)
+    COLD_THRESHOLD: 10,             // Below this temperature creatures burn extra energy
+    COLD_DRAIN_PER_DEGREE: 0.03,    // Extra energy drain fraction per degree below COLD_THRESHOLD
+
+    // Weather events
+    WEATHER_CHECK_INTERVAL: 30,     // Seconds of clear weather between rolls for a new event
+    WEATHER: {
+        // Multipliers as in SEASONS plus hydration drain; temperature is an offset (°C),
+        // cloudCover darkens the sky (0-1) and the duration is drawn from the range (s)
+        rain:    { fruiting: 1.4, expiration: 0.8, hydration: 0.5, temperature: -2, cloudCover: 0.6, durationMin: 40, durationMax: 120 },
+        storm:   { fruiting: 0.6, expiration: 0.8, hydration: 0.7, temperature: -6, cloudCover: 1.0, durationMin: 20, durationMax: 60 },
+        drought: { fruiting: 0.4, expiration: 0.6, hydration: 1.6, temperature: 6, cloudCover: 0.0, durationMin: 90, durationMax: 240 },
+    },
+};
+
 // ============================================================================
 // JUMPING SETTINGS
 // ============================================================================
@@ -231,3 +597,178 @@ export const AUDIO_CONFIG = {
     BIRTH_SOUND_FREQ_END: 800,
     BIRTH_SOUND_DURATION: 0.2,
 };
+
+// ============================================================================
+// SCENARIO PRESETS
+// ============================================================================
+// Named setups for the preset picker (and ?preset=<id> in the page URL). Each preset
+// overrides any top-level values of the *_CONFIG objects above; everything it does not
+// mention keeps its default. Applied by ScenarioManager, followed by a reset.
+
+export const SCENARIO_PRESETS = [
+    {
+        id: 'default', name: 'Default', description: 'The island as configured in this file',
+        overrides: {},
+    },
+    {
+        id: 'scarce-food', name: 'Scarce Food', description: 'Few, slow-fruiting trees bearing less nutritious fruit',
+        overrides: {
+            TREE_CONFIG: { COUNT: 15, FOOD_SPAWN_RATE_MAX: 5.0 },
+            FOOD_CONFIG: { NUTRITION: 22 },
+        },
+    },
+    {
+        id: 'tall-forest', name: 'Tall Forest', description: 'A dense forest of tall trees with fruit high in the canopy',
+        overrides: {
+            TREE_CONFIG: { COUNT: 40, HEIGHT_MIN: 8.0, HEIGHT_MAX: 18.0 },
+        },
+    },
+    {
+        id: 'jumping-pressure', name: 'Jumping Pressure', description: 'Fruit hangs high, jumps are cheap and genes mutate fast',
+        overrides: {
+            JUMPING_CONFIG: { FOOD_HEIGHT_BIAS: 0.95, JUMP_ENERGY_COST_BASE: 2 },
+            GENETICS_CONFIG: { MUTATION_RATE: 0.3 },
+        },
+    },
+    {
+        id: 'overpopulation', name: 'Overpopulation', description: 'A crowded island that breeds quickly',
+        overrides: {
+            WORLD_CONFIG: { DEFAULT_CREATURE_COUNT: 50 },
+            GENETICS_CONFIG: { REPRODUCTION_COOLDOWN: 15, OFFSPRING_STARTING_ENERGY: 70 },
+        },
+    },
+    {
+        id: 'predator-pressure', name: 'Predator Pressure', description: 'A large herd hunted by a pack of carnivores',
+        overrides: {
+            WORLD_CONFIG: { DEFAULT_CREATURE_COUNT: 30, DEFAULT_CARNIVORE_COUNT: 5 },
+        },
+    },
+];
+
+// ============================================================================
+// CONFIG EDITOR
+// ============================================================================
+// How the Advanced panel (ConfigEditorPanel) offers the values above. Edits are written
+// to the config objects at once; APPLY says when the simulation picks them up. Values
+// not listed there are read every time they are used, so they apply live.
+//   live   - read every time it is used (the default; listed only to override a section wildcard)
+//   spawn  - read when a creature, tree or fruit is created (existing ones keep theirs)
+//   reset  - read when a run starts (Reset Simulation)
+//   reload - read when the page loads (the URL keeps the edit)
+// Keys are 'SECTION.KEY' or 'SECTION.*'; an exact key wins over its section's wildcard.
+
+export const CONFIG_EDITOR = {
+    HIDDEN: [
+        'WORLD_CONFIG.ISLAND_USABLE_RADIUS',    // Derived from ISLAND_RADIUS at every reset
+        'NEURAL_CONFIG.HIDDEN_NEURONS',         // Weight layout of every brain in the population
+    ],
+
+    APPLY: {
+        'WORLD_CONFIG.ISLAND_RADIUS': 'reset',
+        'WORLD_CONFIG.DEFAULT_FOOD_COUNT': 'reset',
+        'WORLD_CONFIG.DEFAULT_CREATURE_COUNT': 'reset',
+        'WORLD_CONFIG.DEFAULT_CARNIVORE_COUNT': 'reset',
+        'WORLD_CONFIG.SEED': 'reset',
+        'WORLD_CONFIG.SPATIAL_CELL_SIZE': 'reload',
+        'CREATURE_CONFIG.STARTING_ENERGY_MIN': 'reset',
+        'CREATURE_CONFIG.STARTING_ENERGY_MAX': 'reset',
+        'CREATURE_CONFIG.MAX_ENERGY': 'spawn',
+        'CREATURE_CONFIG.ENERGY_DRAIN_RATE': 'spawn',
+        'CREATURE_CONFIG.SPEED': 'spawn',
+        'CREATURE_CONFIG.PERCEPTION_RADIUS': 'spawn',
+        'CARNIVORE_CONFIG.SPEED_MULTIPLIER': 'spawn',
+        'CARNIVORE_CONFIG.PERCEPTION_MULTIPLIER': 'spawn',
+        'CARNIVORE_CONFIG.ENERGY_DRAIN_MULTIPLIER': 'spawn',
+        'CARNIVORE_CONFIG.REPRODUCTION_COOLDOWN': 'spawn',
+        'AGING_CONFIG.GROWTH_ENERGY_COST': 'spawn',
+        'AGING_CONFIG.LONGEVITY_DRAIN_COST': 'spawn',
+        'AGING_CONFIG.REFERENCE_LIFESPAN': 'spawn',
+        'AGING_CONFIG.FOUNDER_MAX_AGE': 'reset',
+        'FOOD_CONFIG.NUTRITION': 'reset',           // Founder trees' nutrition gene
+        'FOOD_CONFIG.EXPIRATION_TIME_MEAN': 'spawn',
+        'FOOD_CONFIG.EXPIRATION_TIME_VARIANCE': 'spawn',
+        'UI_CONFIG.*': 'reload',
+        'UI_CONFIG.SHOW_STATE_ICONS': 'live',
+        'UI_CONFIG.SHOW_TREES': 'live',
+        'TREE_CONFIG.COUNT': 'reset',
+        'TREE_CONFIG.HEIGHT_MIN': 'reset',          // Ranges of the founder trees' genes
+        'TREE_CONFIG.HEIGHT_MAX': 'reset',
+        'TREE_CONFIG.WIDTH_MIN': 'reset',
+        'TREE_CONFIG.WIDTH_MAX': 'reset',
+        'TREE_CONFIG.FOOD_SPAWN_RATE_MIN': 'reset',
+        'TREE_CONFIG.FOOD_SPAWN_RATE_MAX': 'reset',
+        'TREE_CONFIG.FRUIT_HEIGHT_BIAS_SPREAD': 'reset',
+        'TREE_CONFIG.NUTRITION_SPREAD': 'reset',
+        'TREE_CONFIG.INITIAL_FOOD_MIN': 'reset',
+        'TREE_CONFIG.INITIAL_FOOD_MAX': 'reset',
+        'TREE_CONFIG.LIFESPAN_MIN': 'spawn',
+        'TREE_CONFIG.LIFESPAN_MAX': 'spawn',
+        'TREE_CONFIG.MATURITY_AGE': 'spawn',
+        'VISUAL_CONFIG.*': 'reload',
+        'GENETICS_CONFIG.REPRODUCTION_COOLDOWN': 'spawn',
+        'NEURAL_CONFIG.DEFAULT_BRAIN_TYPE': 'reset',
+        'NEURAL_CONFIG.INITIAL_WEIGHT_RANGE': 'reset',
+        'PHYSICS_CONFIG.GROUND_LEVEL': 'reset',
+        'TERRAIN_CONFIG.*': 'reset',                // The heightmap is generated at reset
+        'TERRAIN_CONFIG.UPHILL_ENERGY_COST': 'live',
+        'TERRAIN_CONFIG.DOWNHILL_SPEED_BONUS': 'live',
+        'WATER_CONFIG.ENABLED': 'reset',            // Lakes are carved at reset
+        'WATER_CONFIG.LAKE_COUNT': 'reset',
+        'WATER_CONFIG.LAKE_RADIUS_MIN': 'reset',
+        'WATER_CONFIG.LAKE_RADIUS_MAX': 'reset',
+        'WATER_CONFIG.LAKE_PLACEMENT_MIN': 'reset',
+        'WATER_CONFIG.LAKE_PLACEMENT_MAX': 'reset',
+        'WATER_CONFIG.LAKE_DEPTH': 'reset',
+        'WATER_CONFIG.SHORE_FLATTEN': 'reset',
+        'WATER_CONFIG.MAX_HYDRATION': 'spawn',
+        'WATER_CONFIG.STARTING_HYDRATION_MIN': 'reset',
+        'WATER_CONFIG.STARTING_HYDRATION_MAX': 'reset',
+        'WATER_CONFIG.HYDRATION_DRAIN_RATE': 'spawn',
+        'DAY_NIGHT_CONFIG.START_TIME': 'reset',
+        'ENVIRONMENT_CONFIG.START_SEASON': 'reset',
+        'JUMPING_CONFIG.FOOD_HEIGHT_BIAS': 'reset', // Founder trees' fruit height gene
+    },
+
+    // [min, max] of values with a fixed range; other numbers only keep the sign of their default
+    LIMITS: {
+        'WORLD_CONFIG.ISLAND_RADIUS': [UI_CONFIG.ISLAND_RADIUS_SLIDER_MIN, UI_CONFIG.ISLAND_RADIUS_SLIDER_MAX],
+        'WORLD_CONFIG.DEFAULT_CREATURE_COUNT': [UI_CONFIG.CREATURE_SLIDER_MIN, UI_CONFIG.CREATURE_SLIDER_MAX],
+        'WORLD_CONFIG.DEFAULT_CARNIVORE_COUNT': [UI_CONFIG.CARNIVORE_SLIDER_MIN, UI_CONFIG.CARNIVORE_SLIDER_MAX],
+        'WORLD_CONFIG.FIXED_TIME_STEP': [1 / 240, 0.1],
+        'WORLD_CONFIG.MAX_STEPS_PER_FRAME': [1, 1000],
+        'WORLD_CONFIG.SPATIAL_CELL_SIZE': [1, 50],
+        'TREE_CONFIG.COUNT': [UI_CONFIG.TREE_SLIDER_MIN, UI_CONFIG.TREE_SLIDER_MAX],
+        'TREE_CONFIG.SPROUT_CHANCE': [0, 1],
+        'TREE_CONFIG.EATEN_SEED_CHANCE': [0, 1],
+        'TREE_CONFIG.MUTATION_RATE': [0, 1],
+        'AGING_CONFIG.JUVENILE_SCALE': [0.1, 1],
+        'AGING_CONFIG.SENESCENCE_START': [0, 1],
+        'AGING_CONFIG.ELDER_SPEED_PENALTY': [0, 1],
+        'AGING_CONFIG.REFERENCE_LIFESPAN': [1, 10000],
+        'AGING_CONFIG.FOUNDER_MAX_AGE': [0, 1],
+        'GENETICS_CONFIG.MUTATION_RATE': [0, 1],
+        'NEURAL_CONFIG.WEIGHT_MUTATION_RATE': [0, 1],
+        'NEURAL_CONFIG.NEIGHBOUR_SATURATION': [1, 100],
+        'PHYSICS_CONFIG.GRAVITY': [1, 100],
+        'PHYSICS_CONFIG.AIR_RESISTANCE': [0, 1],
+        'DAY_NIGHT_CONFIG.DAY_LENGTH': [UI_CONFIG.DAY_LENGTH_SLIDER_MIN, UI_CONFIG.DAY_LENGTH_SLIDER_MAX],
+        'DAY_NIGHT_CONFIG.START_TIME': [0, 1],
+        'DAY_NIGHT_CONFIG.NIGHT_DAYLIGHT': [0, 1],
+        'DAY_NIGHT_CONFIG.NIGHT_FRUIT_MULTIPLIER': [0, 1],
+        'DAY_NIGHT_CONFIG.NIGHT_PERCEPTION_MULTIPLIER': [0, 1],
+        'ENVIRONMENT_CONFIG.SEASON_LENGTH': [10, 3600],
+        'ENVIRONMENT_CONFIG.START_SEASON': [0, ENVIRONMENT_CONFIG.SEASONS.length - 1],
+        'ENVIRONMENT_CONFIG.SEASON_TRANSITION': [0, 1],
+        'JUMPING_CONFIG.FOOD_HEIGHT_MIN': [0, 1],
+        'JUMPING_CONFIG.FOOD_HEIGHT_MAX': [0, 1],
+        'JUMPING_CONFIG.FOOD_HEIGHT_BIAS': [0, 1],
+        'AUDIO_CONFIG.DEATH_SOUND_VOLUME': [0, 1],
+        'AUDIO_CONFIG.EAT_SOUND_VOLUME': [0, 1],
+        'AUDIO_CONFIG.BIRTH_SOUND_VOLUME': [0, 1],
+    },
+
+    // Allowed values of string settings (shown as a drop-down)
+    OPTIONS: {
+        'NEURAL_CONFIG.DEFAULT_BRAIN_TYPE': ['simple', 'neural'],
+    },
+};
@@ -0,0 +1,144 @@
+import { DAY_NIGHT_CONFIG } from '../config.js';
+
+/**
+ * DayNightCycle - simulated clock that drives daylight, behaviour and lighting
+ *
+ * Owned by World and advanced once per tick. timeOfDay runs from 0 to 1
+ * (0 = midnight, 0.25 = sunrise, 0.5 = noon, 0.75 = sunset). Simulation code
+ * reads the cached daylight level (0 = night, 1 = full day) and the multipliers
+ * derived from it; the renderer reads the sun direction. When disabled the clock
+ * stops and it is always full daylight.
+ */
+export class DayNightCycle {
+    constructor() {
+        this.enabled = DAY_NIGHT_CONFIG.ENABLED;
+        this.dayLength = DAY_NIGHT_CONFIG.DAY_LENGTH; // Simulated seconds per full cycle
+        this.reset();
+    }
+
+    /**
+     * Start a new run at the configured time of day on day 1
+     */
+    reset() {
+        this.timeOfDay = DAY_NIGHT_CONFIG.START_TIME;
+        this.day = 1;
+        this.updateDaylight();
+    }
+
+    /**
+     * Advance the clock
+     * @param {number} deltaTime - Simulated seconds
+     */
+    update(deltaTime) {
+        if (!this.enabled) return;
+
+        this.timeOfDay += deltaTime / this.dayLength;
+        while (this.timeOfDay >= 1) {
+            this.timeOfDay -= 1;
+            this.day++;
+        }
+        this.updateDaylight();
+    }
+
+    /**
+     * Turn the cycle on or off (off = permanent daylight)
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.updateDaylight();
+    }
+
+    /**
+     * Change the length of a full day (keeps the current time of day)
+     * @param {number} seconds - Simulated seconds per cycle
+     */
+    setDayLength(seconds) {
+        this.dayLength = seconds;
+    }
+
+    /**
+     * Recompute the cached daylight level (fades over the twilight band around the horizon)
+     */
+    updateDaylight() {
+        if (!this.enabled) {
+            this.daylight = 1;
+            return;
+        }
+        const twilight = DAY_NIGHT_CONFIG.TWILIGHT;
+        const t = Math.max(0, Math.min(1, (this.getSunElevation() + twilight) / (2 * twilight)));
+        this.daylight = t * t * (3 - 2 * t);
+    }
+
+    /**
+     * Sine of the sun's height above the horizon (1 = noon, -1 = midnight)
+     */
+    getSunElevation() {
+        return Math.sin(2 * Math.PI * (this.timeOfDay - 0.25));
+    }
+
+    /**
+     * Unit vector pointing at the sun (rises in +x, sets in -x, tilted toward +z)
+     */
+    getSunDirection() {
+        const angle = 2 * Math.PI * (this.timeOfDay - 0.25);
+        const x = Math.cos(angle);
+        const y = Math.sin(angle);
+        const z = DAY_NIGHT_CONFIG.SUN_TILT;
+        const length = Math.sqrt(x * x + y * y + z * z);
+        return { x: x / length, y: y / length, z: z / length };
+    }
+
+    /**
+     * Whether it is dark enough for creatures to sleep
+     */
+    isNight() {
+        return this.daylight < DAY_NIGHT_CONFIG.NIGHT_DAYLIGHT;
+    }
+
+    /**
+     * Tree fruiting rate multiplier (NIGHT_FRUIT_MULTIPLIER in the dark, 1 by day)
+     */
+    getFruitingMultiplier() {
+        return DAY_NIGHT_CONFIG.NIGHT_FRUIT_MULTIPLIER + (1 - DAY_NIGHT_CONFIG.NIGHT_FRUIT_MULTIPLIER) * this.daylight;
+    }
+
+    /**
+     * Perception radius multiplier (NIGHT_PERCEPTION_MULTIPLIER in the dark, 1 by day)
+     */
+    getPerceptionMultiplier() {
+        return DAY_NIGHT_CONFIG.NIGHT_PERCEPTION_MULTIPLIER + (1 - DAY_NIGHT_CONFIG.NIGHT_PERCEPTION_MULTIPLIER) * this.daylight;
+    }
+
+    /**
+     * Human-readable clock, e.g. "Day 3, 14:05"
+     */
+    getClockString() {
+        const minutes = Math.floor(this.timeOfDay * 24 * 60);
+        const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+        const mm = String(minutes % 60).padStart(2, '0');
+        return `Day ${this.day}, ${hh}:${mm}`;
+    }
+
+    /**
+     * Serialize clock state for snapshots
+     */
+    serialize() {
+        return {
+            enabled: this.enabled,
+            dayLength: this.dayLength,
+            timeOfDay: this.timeOfDay,
+            day: this.day,
+        };
+    }
+
+    /**
+     * Restore state written by serialize()
+     */
+    restore(data) {
+        this.enabled = data.enabled;
+        this.dayLength = data.dayLength;
+        this.timeOfDay = data.timeOfDay;
+        this.day = data.day;
+        this.updateDaylight();
+    }
+}
@@ -1,4 +1,5 @@
 import { WORLD_CONFIG, PHYSICS_CONFIG } from '../config.js';
+import { heightmap } from './Heightmap.js';
 
 /**
  * Base Entity class - represents any object in the world
@@ -12,7 +13,7 @@ export class Entity {
         this.id = nextEntityId++;
         this.position = { x, y: 0, z }; // y starts at ground level
         this.velocity = { x: 0, y: 0, z: 0 }; // Now includes y-component for vertical movement
-        this.mesh = null; // Set by subclass
+        this.previousPosition = { x, y: 0, z }; // Position at the start of the last tick (render interpolation)
         this.isGrounded = true; // Track if entity is on the ground
         this.affectedByGravity = true; // Can be disabled for static entities
     }
@@ -33,9 +34,28 @@ export class Entity {
         this.position.y += this.velocity.y * deltaTime;
         this.position.z += this.velocity.z * deltaTime;
 
-        // Ground collision check
+        // Lakes are impassable: push back onto the shore and bounce
+        const lake = heightmap.getLakeAt(this.position.x, this.position.z);
+        if (lake) {
+            const angle = Math.atan2(this.position.z - lake.z, this.position.x - lake.x);
+            this.position.x = lake.x + Math.cos(angle) * lake.radius;
+            this.position.z = lake.z + Math.sin(angle) * lake.radius;
+
+            // Reflect horizontal velocity off the shoreline (normal points out of the lake)
+            const normal = { x: Math.cos(angle), z: Math.sin(angle) };
+            const dot = this.velocity.x * normal.x + this.velocity.z * normal.z;
+            if (dot < 0) {
+                this.velocity.x -= 2 * dot * normal.x;
+                this.velocity.z -= 2 * dot * normal.z;
+            }
+        }
+
+        // Ground collision check (walking entities follow the ground down slopes
+        // instead of going airborne over every small drop)
         const groundHeight = this.getGroundHeight();
-        if (this.position.y <= groundHeight) {
+        const isFollowingSlope = this.isGrounded && this.velocity.y <= 0 &&
+            this.position.y - groundHeight < PHYSICS_CONFIG.GROUND_SNAP_DISTANCE;
+        if (this.position.y <= groundHeight || isFollowingSlope) {
             this.position.y = groundHeight;
             this.velocity.y = 0;
             this.isGrounded = true;
@@ -58,20 +78,64 @@ export class Entity {
             this.velocity.x -= 2 * dot * normal.x;
             this.velocity.z -= 2 * dot * normal.z;
         }
+    }
 
-        // Update mesh position if it exists
-        if (this.mesh) {
-            this.mesh.position.set(this.position.x, this.position.y, this.position.z);
-        }
+    /**
+     * Record the current position as the start of the next tick
+     */
+    storePreviousPosition() {
+        this.previousPosition.x = this.position.x;
+        this.previousPosition.y = this.position.y;
+        this.previousPosition.z = this.position.z;
+    }
+
+    /**
+     * Position blended between the previous and current tick
+     * @param {number} alpha - 0 = previous tick, 1 = current tick
+     * @returns {{x: number, y: number, z: number}}
+     */
+    getInterpolatedPosition(alpha) {
+        const prev = this.previousPosition;
+        return {
+            x: prev.x + (this.position.x - prev.x) * alpha,
+            y: prev.y + (this.position.y - prev.y) * alpha,
+            z: prev.z + (this.position.z - prev.z) * alpha,
+        };
     }
 
     /**
      * Get the ground height at this entity's position
-     * Subclasses can override for entity-specific ground heights
+     * Subclasses add their own resting offset on top of the terrain
      * @returns {number} Ground height in world units
      */
     getGroundHeight() {
-        return PHYSICS_CONFIG.GROUND_LEVEL;
+        return heightmap.getHeight(this.position.x, this.position.z);
+    }
+
+    /**
+     * Serialize entity state to a plain JSON-safe object
+     * Subclasses extend this with their own fields
+     */
+    serialize() {
+        return {
+            id: this.id,
+            position: { ...this.position },
+            velocity: { ...this.velocity },
+            isGrounded: this.isGrounded,
+        };
+    }
+
+    /**
+     * Restore state written by serialize()
+     * @param {Object} data - Serialized entity state
+     */
+    restore(data) {
+        this.id = data.id;
+        nextEntityId = Math.max(nextEntityId, data.id + 1); // Keep future ids unique
+        this.position = { ...data.position };
+        this.velocity = { ...data.velocity };
+        this.isGrounded = data.isGrounded;
+        this.storePreviousPosition();
     }
 
     /**
@@ -0,0 +1,210 @@
+import { ENVIRONMENT_CONFIG } from '../config.js';
+
+// Modifiers while the environment is switched off (or in clear weather)
+const NEUTRAL_WEATHER = { fruiting: 1, expiration: 1, hydration: 1, temperature: 0, cloudCover: 0 };
+
+/**
+ * Environment - seasons and weather events that modulate the ecosystem
+ *
+ * Owned by World and advanced once per tick, after the day/night clock. The year
+ * cycles through ENVIRONMENT_CONFIG.SEASONS, blending into the next season over the
+ * last part of each one. While the weather is clear, a random event (rain, storm,
+ * drought) may start at every check, with chances depending on the season. The
+ * combined modifiers are cached each tick: tree fruiting rate, lifetime of newly
+ * spawned food, temperature (cold raises creature energy drain) and hydration drain.
+ * The renderer reads the cloud cover and precipitation for its effects.
+ * When disabled it is always a mild summer with clear skies.
+ */
+export class Environment {
+    constructor() {
+        this.enabled = ENVIRONMENT_CONFIG.ENABLED;
+        this.reset();
+    }
+
+    /**
+     * Start a new run at the beginning of the configured season in year 1, clear skies
+     */
+    reset() {
+        this.yearTime = ENVIRONMENT_CONFIG.START_SEASON * ENVIRONMENT_CONFIG.SEASON_LENGTH;
+        this.year = 1;
+        this.weather = 'clear';
+        this.weatherTimeLeft = 0;
+        this.timeSinceWeatherCheck = 0;
+        this.updateConditions(1);
+    }
+
+    /**
+     * Advance the season and weather
+     * @param {number} deltaTime - Simulated seconds
+     * @param {Random} random - World RNG (weather rolls)
+     * @param {DayNightCycle} dayNight - Clock (nights are colder)
+     */
+    update(deltaTime, random, dayNight) {
+        if (this.enabled) {
+            const yearLength = ENVIRONMENT_CONFIG.SEASON_LENGTH * ENVIRONMENT_CONFIG.SEASONS.length;
+            this.yearTime += deltaTime;
+            while (this.yearTime >= yearLength) {
+                this.yearTime -= yearLength;
+                this.year++;
+            }
+            this.updateWeather(deltaTime, random);
+        }
+        this.updateConditions(dayNight.daylight);
+    }
+
+    /**
+     * End the current weather event or roll for a new one
+     */
+    updateWeather(deltaTime, random) {
+        if (this.weather !== 'clear') {
+            this.weatherTimeLeft -= deltaTime;
+            if (this.weatherTimeLeft <= 0) {
+                this.weather = 'clear';
+                this.weatherTimeLeft = 0;
+                this.timeSinceWeatherCheck = 0;
+            }
+            return;
+        }
+
+        this.timeSinceWeatherCheck += deltaTime;
+        if (this.timeSinceWeatherCheck < ENVIRONMENT_CONFIG.WEATHER_CHECK_INTERVAL) return;
+        this.timeSinceWeatherCheck = 0;
+
+        // One roll picks at most one event, weighted by the season's chances
+        const chances = this.getSeason().weather;
+        let roll = random.next();
+        for (const [type, chance] of Object.entries(chances)) {
+            if (roll < chance) {
+                const event = ENVIRONMENT_CONFIG.WEATHER[type];
+                this.weather = type;
+                this.weatherTimeLeft = random.range(event.durationMin, event.durationMax);
+                return;
+            }
+            roll -= chance;
+        }
+    }
+
+    /**
+     * Recompute the cached modifiers from the season blend, weather and daylight
+     * @param {number} daylight - 0 (night) to 1 (day)
+     */
+    updateConditions(daylight) {
+        if (!this.enabled) {
+            const summer = ENVIRONMENT_CONFIG.SEASONS[1];
+            this.fruitingMultiplier = 1;
+            this.expirationMultiplier = 1;
+            this.hydrationMultiplier = 1;
+            this.temperature = summer.temperature;
+            this.cloudCover = 0;
+            this.coldDrainMultiplier = 1;
+            return;
+        }
+
+        const seasons = ENVIRONMENT_CONFIG.SEASONS;
+        const index = this.getSeasonIndex();
+        const current = seasons[index];
+        const next = seasons[(index + 1) % seasons.length];
+        const blend = this.getTransitionBlend();
+        const mix = (key) => current[key] + (next[key] - current[key]) * blend;
+
+        const weather = this.weather === 'clear' ? NEUTRAL_WEATHER : ENVIRONMENT_CONFIG.WEATHER[this.weather];
+
+        this.fruitingMultiplier = mix('fruiting') * weather.fruiting;
+        this.expirationMultiplier = mix('expiration') * weather.expiration;
+        this.hydrationMultiplier = weather.hydration;
+        this.temperature = mix('temperature') + weather.temperature - ENVIRONMENT_CONFIG.NIGHT_COOLING * (1 - daylight);
+        this.cloudCover = weather.cloudCover;
+
+        const degreesBelow = Math.max(0, ENVIRONMENT_CONFIG.COLD_THRESHOLD - this.temperature);
+        this.coldDrainMultiplier = 1 + degreesBelow * ENVIRONMENT_CONFIG.COLD_DRAIN_PER_DEGREE;
+    }
+
+    /**
+     * Turn seasons and weather on or off (off = mild summer, clear skies)
+     */
+    setEnabled(enabled, daylight = 1) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.weather = 'clear';
+            this.weatherTimeLeft = 0;
+        }
+        this.updateConditions(daylight);
+    }
+
+    /**
+     * Index of the current season in ENVIRONMENT_CONFIG.SEASONS
+     */
+    getSeasonIndex() {
+        return Math.floor(this.yearTime / ENVIRONMENT_CONFIG.SEASON_LENGTH) % ENVIRONMENT_CONFIG.SEASONS.length;
+    }
+
+    /**
+     * Current season settings ({ name, fruiting, expiration, temperature, weather })
+     */
+    getSeason() {
+        return ENVIRONMENT_CONFIG.SEASONS[this.getSeasonIndex()];
+    }
+
+    /**
+     * How far into the current season we are (0-1)
+     */
+    getSeasonProgress() {
+        return (this.yearTime % ENVIRONMENT_CONFIG.SEASON_LENGTH) / ENVIRONMENT_CONFIG.SEASON_LENGTH;
+    }
+
+    /**
+     * Weight of the next season (0 for most of the season, smoothly rising to 1 at its end)
+     */
+    getTransitionBlend() {
+        const transition = ENVIRONMENT_CONFIG.SEASON_TRANSITION;
+        if (transition <= 0) return 0;
+        const t = Math.max(0, (this.getSeasonProgress() - (1 - transition)) / transition);
+        return t * t * (3 - 2 * t);
+    }
+
+    /**
+     * Falling rain or snow (null when dry); snow below freezing
+     */
+    getPrecipitation() {
+        if (this.weather !== 'rain' && this.weather !== 'storm') return null;
+        return this.temperature < 0 ? 'snow' : 'rain';
+    }
+
+    /**
+     * Human-readable summary, e.g. "Winter, year 2 - storm, -3°C"
+     */
+    getDescription() {
+        if (!this.enabled) return 'off';
+        const season = this.getSeason().name;
+        const seasonName = season.charAt(0).toUpperCase() + season.slice(1);
+        return `${seasonName}, year ${this.year} - ${this.weather}, ${Math.round(this.temperature)}°C`;
+    }
+
+    /**
+     * Serialize season and weather state for snapshots
+     */
+    serialize() {
+        return {
+            enabled: this.enabled,
+            yearTime: this.yearTime,
+            year: this.year,
+            weather: this.weather,
+            weatherTimeLeft: this.weatherTimeLeft,
+            timeSinceWeatherCheck: this.timeSinceWeatherCheck,
+        };
+    }
+
+    /**
+     * Restore state written by serialize()
+     * @param {number} daylight - Current daylight (restored clock) for the temperature
+     */
+    restore(data, daylight = 1) {
+        this.enabled = data.enabled;
+        this.yearTime = data.yearTime;
+        this.year = data.year;
+        this.weather = data.weather;
+        this.weatherTimeLeft = data.weatherTimeLeft;
+        this.timeSinceWeatherCheck = data.timeSinceWeatherCheck;
+        this.updateConditions(daylight);
+    }
+}
@@ -0,0 +1,240 @@
+import { Random } from '../utils/Random.js';
+import { TERRAIN_CONFIG, PHYSICS_CONFIG, WATER_CONFIG } from '../config.js';
+
+/**
+ * Heightmap - procedural island elevation shared by the simulation and the terrain mesh
+ *
+ * A central peak plus fractal value-noise hills, flattened into beaches near the
+ * shore, with lake basins carved in (see WATER_CONFIG). Lakes are circular, with a
+ * flat water surface; entities cannot enter them and drink at the shoreline.
+ * Heights are precomputed on a regular grid when the island is generated
+ * (World.reset / setIslandRadius) and bilinearly sampled, so per-tick ground
+ * lookups are cheap and the same seed always yields the same island.
+ */
+export class Heightmap {
+    constructor() {
+        this.seed = 0;
+        this.radius = 0;
+        this.spacing = TERRAIN_CONFIG.GRID_SPACING;
+        this.size = 0;          // Grid points per side
+        this.heights = null;    // Float32Array of size * size samples (null = flat)
+        this.maxHeight = 0;     // Highest sample (used for terrain colouring)
+        this.lakes = [];        // { x, z, radius, level } - level is the water surface height
+    }
+
+    /**
+     * Build the height grid for an island
+     * @param {number} seed - Run seed (terrain is reproducible per seed)
+     * @param {number} radius - Island radius
+     */
+    generate(seed, radius) {
+        this.seed = seed >>> 0;
+        this.radius = radius;
+        this.spacing = TERRAIN_CONFIG.GRID_SPACING;
+        this.lakes = WATER_CONFIG.ENABLED ? this.placeLakes(radius) : [];
+
+        if (!TERRAIN_CONFIG.ENABLED && this.lakes.length === 0) {
+            this.heights = null;
+            this.maxHeight = 0;
+            return;
+        }
+
+        this.size = Math.ceil((radius * 2) / this.spacing) + 1;
+        this.heights = new Float32Array(this.size * this.size);
+        this.maxHeight = 0;
+
+        for (let i = 0; i < this.size; i++) {
+            for (let j = 0; j < this.size; j++) {
+                const height = this.computeHeight(-radius + i * this.spacing, -radius + j * this.spacing);
+                this.heights[i * this.size + j] = height;
+                this.maxHeight = Math.max(this.maxHeight, height);
+            }
+        }
+    }
+
+    /**
+     * Pick non-overlapping lake sites from the seed (own RNG, so the world's sequence is untouched)
+     */
+    placeLakes(radius) {
+        const random = new Random(this.seed ^ 0x5bd1e995);
+        const lakes = [];
+
+        for (let attempt = 0; attempt < WATER_CONFIG.LAKE_COUNT * 10 && lakes.length < WATER_CONFIG.LAKE_COUNT; attempt++) {
+            const angle = random.angle();
+            const distance = random.range(WATER_CONFIG.LAKE_PLACEMENT_MIN, WATER_CONFIG.LAKE_PLACEMENT_MAX) * radius;
+            const lakeRadius = random.range(WATER_CONFIG.LAKE_RADIUS_MIN, WATER_CONFIG.LAKE_RADIUS_MAX) * radius;
+            const x = Math.cos(angle) * distance;
+            const z = Math.sin(angle) * distance;
+
+            // Keep the flattened shores of different lakes apart
+            const reach = lakeRadius * (1 + WATER_CONFIG.SHORE_FLATTEN);
+            const overlaps = lakes.some(lake =>
+                Math.hypot(lake.x - x, lake.z - z) < reach + lake.radius * (1 + WATER_CONFIG.SHORE_FLATTEN)
+            );
+            if (!overlaps) {
+                lakes.push({ x, z, radius: lakeRadius, level: this.computeBaseHeight(x, z) });
+            }
+        }
+
+        return lakes;
+    }
+
+    /**
+     * Elevation including lake basins
+     */
+    computeHeight(x, z) {
+        let height = this.computeBaseHeight(x, z);
+
+        for (const lake of this.lakes) {
+            const distance = Math.hypot(x - lake.x, z - lake.z);
+            const shoreReach = lake.radius * (1 + WATER_CONFIG.SHORE_FLATTEN);
+            if (distance >= shoreReach) continue;
+
+            // Level the surrounding ground to the water line, then dig a bowl below it
+            height += (lake.level - height) * smoothstep(shoreReach, lake.radius, distance);
+            if (distance < lake.radius) {
+                height = lake.level - WATER_CONFIG.LAKE_DEPTH * (1 - (distance / lake.radius) ** 2);
+            }
+        }
+
+        return height;
+    }
+
+    /**
+     * Elevation formula without lakes (peak + hills, faded to beach level toward the shore)
+     */
+    computeBaseHeight(x, z) {
+        const r = Math.sqrt(x * x + z * z) / this.radius;
+        if (r >= 1 || !TERRAIN_CONFIG.ENABLED) return PHYSICS_CONFIG.GROUND_LEVEL;
+
+        const peak = TERRAIN_CONFIG.PEAK_HEIGHT * Math.exp(-((r / TERRAIN_CONFIG.PEAK_WIDTH) ** 2));
+        const hills = TERRAIN_CONFIG.HILL_HEIGHT * this.fractalNoise(x * TERRAIN_CONFIG.HILL_SCALE, z * TERRAIN_CONFIG.HILL_SCALE);
+
+        // 0 at the water's edge rising to 1 one beach-width inland
+        const beachStart = Math.max(0, 1 - TERRAIN_CONFIG.BEACH_WIDTH / this.radius);
+        const inland = smoothstep(1, beachStart, r);
+
+        return PHYSICS_CONFIG.GROUND_LEVEL + (peak + hills) * inland;
+    }
+
+    /**
+     * Ground elevation at a world position (bilinear between grid samples)
+     */
+    getHeight(x, z) {
+        if (!this.heights) return PHYSICS_CONFIG.GROUND_LEVEL;
+
+        const gx = Math.max(0, Math.min(this.size - 1.001, (x + this.radius) / this.spacing));
+        const gz = Math.max(0, Math.min(this.size - 1.001, (z + this.radius) / this.spacing));
+        const i = Math.floor(gx);
+        const j = Math.floor(gz);
+        const fx = gx - i;
+        const fz = gz - j;
+
+        const row = i * this.size;
+        const nextRow = row + this.size;
+        const h00 = this.heights[row + j];
+        const h01 = this.heights[row + j + 1];
+        const h10 = this.heights[nextRow + j];
+        const h11 = this.heights[nextRow + j + 1];
+
+        const near = h00 + (h01 - h00) * fz;
+        const far = h10 + (h11 - h10) * fz;
+        return near + (far - near) * fx;
+    }
+
+    /**
+     * Rise per unit of horizontal distance when moving in a direction (negative = downhill)
+     * @param {number} dirX - Normalized horizontal direction x
+     * @param {number} dirZ - Normalized horizontal direction z
+     */
+    getSlope(x, z, dirX, dirZ) {
+        const step = this.spacing * 0.5;
+        return (this.getHeight(x + dirX * step, z + dirZ * step) - this.getHeight(x, z)) / step;
+    }
+
+    /**
+     * Lake whose water covers a position (or null)
+     */
+    getLakeAt(x, z) {
+        for (const lake of this.lakes) {
+            if (Math.hypot(x - lake.x, z - lake.z) < lake.radius) {
+                return lake;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Lake with the closest shoreline within maxDistance of a position
+     * @returns {{lake: Object, shoreDistance: number}|null}
+     */
+    findNearestLake(x, z, maxDistance) {
+        let nearest = null;
+        for (const lake of this.lakes) {
+            const shoreDistance = Math.hypot(x - lake.x, z - lake.z) - lake.radius;
+            if (shoreDistance < maxDistance && (!nearest || shoreDistance < nearest.shoreDistance)) {
+                nearest = { lake, shoreDistance };
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Smooth value noise summed over several octaves, in [0, 1]
+     */
+    fractalNoise(x, z) {
+        let total = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let maxTotal = 0;
+
+        for (let octave = 0; octave < TERRAIN_CONFIG.NOISE_OCTAVES; octave++) {
+            total += this.valueNoise(x * frequency, z * frequency, octave) * amplitude;
+            maxTotal += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2;
+        }
+
+        return total / maxTotal;
+    }
+
+    /**
+     * Value noise: random lattice values blended with a smoothstep curve
+     */
+    valueNoise(x, z, octave) {
+        const ix = Math.floor(x);
+        const iz = Math.floor(z);
+        const fx = x - ix;
+        const fz = z - iz;
+        const u = fx * fx * (3 - 2 * fx);
+        const v = fz * fz * (3 - 2 * fz);
+
+        const a = this.lattice(ix, iz, octave);
+        const b = this.lattice(ix + 1, iz, octave);
+        const c = this.lattice(ix, iz + 1, octave);
+        const d = this.lattice(ix + 1, iz + 1, octave);
+
+        return a + (b - a) * u + (c - a) * v + (a - b - c + d) * u * v;
+    }
+
+    /**
+     * Deterministic pseudo-random value in [0, 1) for a lattice point
+     */
+    lattice(ix, iz, octave) {
+        let h = Math.imul(ix, 374761393) ^ Math.imul(iz, 668265263) ^ Math.imul(this.seed + octave, 1442695041);
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        h ^= h >>> 16;
+        return (h >>> 0) / 4294967296;
+    }
+}
+
+/**
+ * Hermite interpolation between two edges (edge0 may be greater than edge1)
+ */
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+// Shared island elevation (regenerated by World whenever the island changes)
+export const heightmap = new Heightmap();
@@ -0,0 +1,215 @@
+/**
+ * LineageRegistry - record of every creature that has lived in the current run
+ *
+ * One record per creature: id, species, parent ids, generation, birth and death
+ * time, genes at birth and cause of death. Records are kept after death so the
+ * family tree can always be traced back to the founders spawned by World.reset().
+ */
+export class LineageRegistry {
+    constructor() {
+        this.records = new Map();   // creature id -> record
+        this.childIds = new Map();  // creature id -> ids of its offspring
+    }
+
+    /**
+     * Add a record for a newly spawned creature
+     * @param {Creature} creature - Creature with its id, parentIds and DNA set
+     * @param {number} time - Simulation time of birth (seconds)
+     */
+    recordBirth(creature, time) {
+        this.addRecord({
+            id: creature.id,
+            species: creature.species,
+            parentIds: [...creature.parentIds],
+            generation: creature.generation,
+            birthTime: time,
+            deathTime: null,
+            causeOfDeath: null,
+            genes: { ...creature.dna.genes },
+        });
+    }
+
+    /**
+     * Mark a creature's record as dead
+     * @param {Creature} creature - Creature being removed from the world
+     * @param {number} time - Simulation time of death (seconds)
+     */
+    recordDeath(creature, time) {
+        const record = this.records.get(creature.id);
+        if (!record) return;
+
+        record.deathTime = time;
+        record.causeOfDeath = creature.causeOfDeath;
+    }
+
+    /**
+     * Store a record and link it to its parents
+     */
+    addRecord(record) {
+        this.records.set(record.id, record);
+        for (const parentId of record.parentIds) {
+            let children = this.childIds.get(parentId);
+            if (!children) {
+                children = [];
+                this.childIds.set(parentId, children);
+            }
+            children.push(record.id);
+        }
+    }
+
+    /**
+     * Record for a creature id (or undefined)
+     */
+    get(id) {
+        return this.records.get(id);
+    }
+
+    /**
+     * Records of a creature's offspring, in birth order
+     */
+    getChildren(id) {
+        const children = this.childIds.get(id);
+        return children ? children.map(childId => this.records.get(childId)) : [];
+    }
+
+    /**
+     * Records of the creatures spawned without parents (the founders of each lineage)
+     */
+    getFounders() {
+        const founders = [];
+        for (const record of this.records.values()) {
+            if (record.parentIds.length === 0) {
+                founders.push(record);
+            }
+        }
+        return founders;
+    }
+
+    /**
+     * Founder reached by following first parents up from a creature
+     */
+    getFounder(id) {
+        let record = this.records.get(id);
+        while (record && record.parentIds.length > 0 && this.records.has(record.parentIds[0])) {
+            record = this.records.get(record.parentIds[0]);
+        }
+        return record;
+    }
+
+    /**
+     * Ids of every living creature and all of its ancestors (the surviving lineages)
+     * @returns {Set<number>}
+     */
+    getSurvivingIds() {
+        const surviving = new Set();
+        for (const record of this.records.values()) {
+            if (record.deathTime !== null) continue;
+
+            // Walk up through both parents, stopping at ancestors already marked
+            const stack = [record.id];
+            while (stack.length > 0) {
+                const id = stack.pop();
+                if (surviving.has(id)) continue;
+                surviving.add(id);
+
+                const ancestor = this.records.get(id);
+                if (ancestor) {
+                    stack.push(...ancestor.parentIds);
+                }
+            }
+        }
+        return surviving;
+    }
+
+    /**
+     * Records of the creatures that were alive at a moment of the run
+     * Genes never change during a life, so this reconstructs the gene pool at any time.
+     * @param {number} time - Simulation time (seconds)
+     */
+    getAliveAt(time) {
+        const alive = [];
+        for (const record of this.records.values()) {
+            if (record.birthTime <= time && (record.deathTime === null || record.deathTime > time)) {
+                alive.push(record);
+            }
+        }
+        return alive;
+    }
+
+    /**
+     * One World death record ({ time, id, species, cause, age, generation }) per dead
+     * creature, oldest first (rebuilds World.deathRecords for snapshots without them)
+     */
+    getDeathRecords() {
+        const deaths = [];
+        for (const record of this.records.values()) {
+            if (record.deathTime !== null && record.causeOfDeath) {
+                deaths.push({
+                    time: record.deathTime,
+                    id: record.id,
+                    species: record.species,
+                    cause: record.causeOfDeath,
+                    age: record.deathTime - record.birthTime,
+                    generation: record.generation,
+                });
+            }
+        }
+        return deaths.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Number of living descendants of a creature (not counting itself)
+     */
+    countLivingDescendants(id) {
+        let count = 0;
+        const visited = new Set([id]);
+        const stack = [...(this.childIds.get(id) || [])];
+        while (stack.length > 0) {
+            const childId = stack.pop();
+            if (visited.has(childId)) continue; // Sexual offspring are reachable through both parents
+            visited.add(childId);
+
+            if (this.records.get(childId).deathTime === null) {
+                count++;
+            }
+            stack.push(...(this.childIds.get(childId) || []));
+        }
+        return count;
+    }
+
+    /**
+     * Total number of records (living and dead)
+     */
+    get size() {
+        return this.records.size;
+    }
+
+    /**
+     * Forget every record (new run)
+     */
+    clear() {
+        this.records.clear();
+        this.childIds.clear();
+    }
+
+    /**
+     * Serialize all records for snapshots
+     */
+    serialize() {
+        return Array.from(this.records.values(), record => ({
+            ...record,
+            parentIds: [...record.parentIds],
+            genes: { ...record.genes },
+        }));
+    }
+
+    /**
+     * Replace all records with ones written by serialize()
+     */
+    restore(records) {
+        this.clear();
+        for (const record of records) {
+            this.addRecord({ ...record, parentIds: [...record.parentIds], genes: { ...record.genes } });
+        }
+    }
+}
@@ -0,0 +1,229 @@
+import * as CONFIG from '../config.js';
+import { SCENARIO_PRESETS } from '../config.js';
+
+/**
+ * ScenarioManager - applies named presets and custom overrides on top of config.js
+ *
+ * Overrides are { SECTION_CONFIG: { KEY: value } } for top-level number, boolean and
+ * string values of the *_CONFIG objects; the config objects are changed in place, so
+ * everything that reads them at use time (and the next reset) picks the values up.
+ * Every application starts again from the defaults captured at load, so switching
+ * presets never leaves stale values behind. The active setup round-trips through a
+ * URL query string ("preset=scarce-food&TREE_CONFIG.COUNT=30") for sharing by link.
+ */
+export class ScenarioManager {
+    constructor() {
+        this.sections = ScenarioManager.getConfigSections();
+        this.defaults = {};     // Section -> key -> default value (overridable values only)
+        for (const [name, section] of Object.entries(this.sections)) {
+            this.defaults[name] = {};
+            for (const [key, value] of Object.entries(section)) {
+                if (ScenarioManager.isOverridable(value)) {
+                    this.defaults[name][key] = value;
+                }
+            }
+        }
+
+        this.presetId = 'default';
+        this.overrides = {};    // Section -> key -> value currently applied (preset plus custom)
+    }
+
+    /**
+     * The *_CONFIG objects exported by config.js, keyed by export name
+     */
+    static getConfigSections() {
+        const sections = {};
+        for (const [name, value] of Object.entries(CONFIG)) {
+            if (name.endsWith('_CONFIG') && typeof value === 'object' && value !== null && !Array.isArray(value)) {
+                sections[name] = value;
+            }
+        }
+        return sections;
+    }
+
+    /**
+     * Whether a config value can be overridden (scalars; null stands for "unset", e.g. SEED)
+     */
+    static isOverridable(value) {
+        return value === null || ['number', 'boolean', 'string'].includes(typeof value);
+    }
+
+    /**
+     * Preset settings by id (undefined if there is none)
+     */
+    getPreset(id) {
+        return SCENARIO_PRESETS.find(preset => preset.id === id);
+    }
+
+    /**
+     * Apply a preset, plus optional custom overrides on top of it
+     * @param {string} id - SCENARIO_PRESETS id
+     * @param {Object} extraOverrides - { SECTION: { KEY: value } } applied after the preset
+     * @throws {Error} If there is no preset with this id
+     */
+    applyPreset(id, extraOverrides = {}) {
+        const preset = this.getPreset(id);
+        if (!preset) {
+            throw new Error(`Unknown scenario preset: ${id}`);
+        }
+
+        this.restoreDefaults();
+        this.presetId = id;
+        this.setOverrides(preset.overrides);
+        this.setOverrides(extraOverrides);
+    }
+
+    /**
+     * Put every overridable config value back to its default and forget all overrides
+     */
+    restoreDefaults() {
+        for (const [name, values] of Object.entries(this.defaults)) {
+            Object.assign(this.sections[name], values);
+        }
+        this.presetId = 'default';
+        this.overrides = {};
+    }
+
+    /**
+     * Apply overrides on top of the current ones; unknown keys and values of the wrong type are skipped
+     * @param {Object} overrides - { SECTION: { KEY: value } }
+     */
+    setOverrides(overrides) {
+        for (const [name, values] of Object.entries(overrides)) {
+            for (const [key, value] of Object.entries(values)) {
+                this.setOverride(name, key, value);
+            }
+        }
+    }
+
+    /**
+     * Override one config value
+     * @returns {boolean} False (with a warning) if the key is unknown or the value has the wrong type
+     */
+    setOverride(name, key, value) {
+        const defaults = this.defaults[name];
+        if (!defaults || !(key in defaults)) {
+            console.warn(`Scenario: unknown config value ${name}.${key}`);
+            return false;
+        }
+        const expected = defaults[key];
+        if (value !== null && expected !== null && typeof value !== typeof expected) {
+            console.warn(`Scenario: ${name}.${key} must be a ${typeof expected}, got ${JSON.stringify(value)}`);
+            return false;
+        }
+
+        this.sections[name][key] = value;
+        if (!this.overrides[name]) {
+            this.overrides[name] = {};
+        }
+        this.overrides[name][key] = value;
+        return true;
+    }
+
+    /**
+     * Put one config value back to its default
+     * A value the active preset changes stays an override (holding the default), so the
+     * URL still records that it differs from the preset.
+     */
+    resetOverride(name, key) {
+        const presetOverrides = this.getPreset(this.presetId).overrides[name];
+        if (presetOverrides && key in presetOverrides) {
+            this.setOverride(name, key, this.defaults[name][key]);
+            return;
+        }
+
+        this.sections[name][key] = this.defaults[name][key];
+        if (this.overrides[name]) {
+            delete this.overrides[name][key];
+        }
+    }
+
+    /**
+     * Value the active scenario gives a config key (its override, else the default)
+     * Unlike the config object itself, this ignores runtime changes such as World.setIslandRadius().
+     */
+    getValue(name, key) {
+        const overrides = this.overrides[name];
+        return overrides && key in overrides ? overrides[key] : this.defaults[name][key];
+    }
+
+    /**
+     * Copy of the overrides currently applied ({ SECTION: { KEY: value } })
+     */
+    getOverrides() {
+        const copy = {};
+        for (const [name, values] of Object.entries(this.overrides)) {
+            copy[name] = { ...values };
+        }
+        return copy;
+    }
+
+    /**
+     * Encode the active setup as URL query parameters: the preset, then every value that
+     * differs from what the preset alone gives (empty string for the plain defaults)
+     */
+    toQueryString() {
+        const params = new URLSearchParams();
+        if (this.presetId !== 'default') {
+            params.set('preset', this.presetId);
+        }
+
+        const presetOverrides = this.getPreset(this.presetId).overrides;
+        for (const [name, values] of Object.entries(this.overrides)) {
+            for (const [key, value] of Object.entries(values)) {
+                const inPreset = presetOverrides[name] && key in presetOverrides[name];
+                const presetValue = inPreset ? presetOverrides[name][key] : this.defaults[name][key];
+                if (value !== presetValue) {
+                    params.set(`${name}.${key}`, value === null ? 'null' : String(value));
+                }
+            }
+        }
+        return params.toString();
+    }
+
+    /**
+     * Apply the setup encoded by toQueryString() (defaults if it names no scenario)
+     * Parameters that are not scenario settings (e.g. "seed") are ignored.
+     * @param {string} query - URL query string, with or without the leading '?'
+     */
+    applyQueryString(query) {
+        const params = new URLSearchParams(query);
+        const presetId = params.get('preset') || 'default';
+
+        const extraOverrides = {};
+        for (const [param, text] of params) {
+            const match = param.match(/^(\w+_CONFIG)\.(\w+)$/);
+            if (!match) continue;
+
+            const [, name, key] = match;
+            const expected = this.defaults[name] ? this.defaults[name][key] : undefined;
+            if (!extraOverrides[name]) {
+                extraOverrides[name] = {};
+            }
+            extraOverrides[name][key] = ScenarioManager.parseValue(text, expected);
+        }
+
+        if (this.getPreset(presetId)) {
+            this.applyPreset(presetId, extraOverrides);
+        } else {
+            console.warn(`Scenario: unknown preset "${presetId}" in URL, using defaults`);
+            this.applyPreset('default', extraOverrides);
+        }
+    }
+
+    /**
+     * Convert URL text to the type of a config value's default
+     */
+    static parseValue(text, expected) {
+        if (text === 'null') return null;
+        if (typeof expected === 'boolean') return text === 'true';
+        if (typeof expected === 'number' || expected === null) {
+            const number = Number(text);
+            return Number.isNaN(number) ? text : number;
+        }
+        return text;
+    }
+}
+
+// Single shared instance (config.js is shared too)
+export const scenarioManager = new ScenarioManager();
@@ -0,0 +1,192 @@
+/**
+ * SpatialHash - uniform grid index over the XZ plane for proximity queries
+ *
+ * Works with any entity that has a `position` ({x, z} used, y ignored).
+ * The World keeps one index per entity type (one per species for creatures) and
+ * updates it as entities move, so "nearest food within perception" style queries
+ * only visit nearby cells instead of scanning every entity.
+ */
+export class SpatialHash {
+    /**
+     * @param {number} cellSize - Width of a grid cell in world units
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();        // cell key -> array of entities
+        this.entityCells = new Map();  // entity -> cell key it is stored in
+    }
+
+    /**
+     * Integer cell coordinate for a world coordinate
+     */
+    cellCoord(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Combine cell coordinates into a single numeric key
+     */
+    cellKey(cx, cz) {
+        // Offset keeps coordinates positive and the key a small integer (fast Map lookups);
+        // islands are far smaller than 1024 cells across
+        return ((cx + 1024) << 11) | (cz + 1024);
+    }
+
+    /**
+     * Add an entity to the index
+     */
+    insert(entity) {
+        const key = this.cellKey(this.cellCoord(entity.position.x), this.cellCoord(entity.position.z));
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(entity);
+        this.entityCells.set(entity, key);
+    }
+
+    /**
+     * Remove an entity from the index
+     */
+    remove(entity) {
+        const key = this.entityCells.get(entity);
+        if (key === undefined) return;
+
+        // Swap-remove from the cell array (order within a cell doesn't matter)
+        const cell = this.cells.get(key);
+        const index = cell.indexOf(entity);
+        cell[index] = cell[cell.length - 1];
+        cell.pop();
+        if (cell.length === 0) {
+            this.cells.delete(key);
+        }
+        this.entityCells.delete(entity);
+    }
+
+    /**
+     * Move an entity to its current cell (call after its position changes)
+     */
+    update(entity) {
+        const key = this.cellKey(this.cellCoord(entity.position.x), this.cellCoord(entity.position.z));
+        if (this.entityCells.get(entity) === key) return;
+
+        this.remove(entity);
+        this.insert(entity);
+    }
+
+    /**
+     * Check whether an entity is in the index
+     */
+    has(entity) {
+        return this.entityCells.has(entity);
+    }
+
+    /**
+     * Remove every entity
+     */
+    clear() {
+        this.cells.clear();
+        this.entityCells.clear();
+    }
+
+    /**
+     * Number of indexed entities
+     */
+    get size() {
+        return this.entityCells.size;
+    }
+
+    /**
+     * All entities strictly within `radius` (horizontal distance) of (x, z)
+     * @param {Function|null} filter - Optional predicate(entity) => boolean
+     * @returns {Array} Matching entities (unordered)
+     */
+    queryRange(x, z, radius, filter = null) {
+        const results = [];
+        const radiusSq = radius * radius;
+        const minX = this.cellCoord(x - radius);
+        const maxX = this.cellCoord(x + radius);
+        const minZ = this.cellCoord(z - radius);
+        const maxZ = this.cellCoord(z + radius);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                const cell = this.cells.get(this.cellKey(cx, cz));
+                if (!cell) continue;
+
+                for (let i = 0; i < cell.length; i++) {
+                    const entity = cell[i];
+                    const dx = entity.position.x - x;
+                    const dz = entity.position.z - z;
+                    if (dx * dx + dz * dz >= radiusSq) continue;
+                    if (filter && !filter(entity)) continue;
+                    results.push(entity);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Nearest entity strictly within `radius` (horizontal distance) of (x, z)
+     * Searches outward ring by ring from the query cell and stops as soon as no
+     * unvisited cell can hold anything closer than the best match so far.
+     * @param {Function|null} filter - Optional predicate(entity) => boolean
+     * @returns {Object|null} Nearest matching entity, or null if none
+     */
+    findNearest(x, z, radius, filter = null) {
+        if (this.entityCells.size === 0) return null; // e.g. no predators on the island
+
+        const search = { nearest: null, minDistSq: radius * radius };
+        const centerX = this.cellCoord(x);
+        const centerZ = this.cellCoord(z);
+        const maxRing = Math.ceil(radius / this.cellSize);
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Every cell in this ring is at least (ring - 1) cells away from the query point
+            if (search.nearest) {
+                const ringDist = (ring - 1) * this.cellSize;
+                if (ringDist * ringDist >= search.minDistSq) break;
+            }
+
+            if (ring === 0) {
+                this.searchCell(centerX, centerZ, x, z, filter, search);
+                continue;
+            }
+
+            // Top and bottom rows of the ring, then the left and right columns
+            for (let cx = centerX - ring; cx <= centerX + ring; cx++) {
+                this.searchCell(cx, centerZ - ring, x, z, filter, search);
+                this.searchCell(cx, centerZ + ring, x, z, filter, search);
+            }
+            for (let cz = centerZ - ring + 1; cz <= centerZ + ring - 1; cz++) {
+                this.searchCell(centerX - ring, cz, x, z, filter, search);
+                this.searchCell(centerX + ring, cz, x, z, filter, search);
+            }
+        }
+
+        return search.nearest;
+    }
+
+    /**
+     * Check one cell's entities against the current best match (findNearest helper)
+     */
+    searchCell(cx, cz, x, z, filter, search) {
+        const cell = this.cells.get(this.cellKey(cx, cz));
+        if (!cell) return;
+
+        for (let i = 0; i < cell.length; i++) {
+            const entity = cell[i];
+            const dx = entity.position.x - x;
+            const dz = entity.position.z - z;
+            const distSq = dx * dx + dz * dz;
+            // Filter only runs for candidates closer than the best so far
+            if (distSq >= search.minDistSq) continue;
+            if (filter && !filter(entity)) continue;
+            search.minDistSq = distSq;
+            search.nearest = entity;
+        }
+    }
+}
@@ -1,60 +1,106 @@
 import { Creature } from '../entities/Creature.js';
 import { Food } from '../entities/Food.js';
 import { Tree } from '../entities/Tree.js';
+import { DNA } from '../genetics/DNA.js';
 import { soundManager } from '../utils/SoundManager.js';
-import { PopulationGraph } from '../ui/PopulationGraph.js';
-import { WORLD_CONFIG, UI_CONFIG, TREE_CONFIG } from '../config.js';
+import { Random } from '../utils/Random.js';
+import { SpatialHash } from './SpatialHash.js';
+import { LineageRegistry } from './LineageRegistry.js';
+import { heightmap } from './Heightmap.js';
+import { DayNightCycle } from './DayNightCycle.js';
+import { Environment } from './Environment.js';
+import { scenarioManager } from './ScenarioManager.js';
+import * as CONFIG from '../config.js';
+import { WORLD_CONFIG, UI_CONFIG, TREE_CONFIG, GENETICS_CONFIG, NEURAL_CONFIG, GENE_REGISTRY, DEATH_CAUSES, MORTALITY_CONFIG } from '../config.js';
+
+// Bump when the snapshot format changes incompatibly. Fields added since version 1 (thirst,
+// tree life cycles, evolvable genes, terrain seed, ...) are not a bump: restore() falls back
+// with `??` when they are missing, and DNA gives missing genes their typical value.
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Zeroed per-cause death counters (keys match Creature.causeOfDeath, see DEATH_CAUSES)
+ */
+function emptyDeathCounts() {
+    const counts = {};
+    for (const cause of DEATH_CAUSES) {
+        counts[cause.name] = 0;
+    }
+    return counts;
+}
 
 /**
  * World class - manages all entities and simulation state
  * Handles spawning, updating, and removing entities
+ *
+ * The renderer, terrain and population graph are all optional: without them the
+ * world runs headless (e.g. in Node) and is advanced with tick() or runFor().
  */
 export class World {
-    constructor(renderer, terrain = null) {
+    constructor(renderer = null, terrain = null, populationGraph = null) {
         this.renderer = renderer;
         this.terrain = terrain; // Reference to terrain for resizing
         this.creatures = [];
         this.foodEntities = [];
         this.trees = [];
+
+        // Spatial indices for proximity queries (kept in sync as entities spawn, move and die)
+        this.foodIndex = new SpatialHash(WORLD_CONFIG.SPATIAL_CELL_SIZE);
+        this.creatureIndices = new Map(); // species -> SpatialHash (see getCreatureIndex)
+
         this.time = 0;
         this.isPaused = false;
         this.lastTimestamp = 0;
         this.timeScale = 1.0; // Simulation speed multiplier
+        this.accumulator = 0; // Scaled frame time not yet simulated (carried between frames)
+        this.random = new Random(); // Single seeded RNG for the whole simulation (re-seeded by reset())
+        this.seed = this.random.seed;
         this.soundManager = soundManager;
         this.showStateIcons = UI_CONFIG.SHOW_STATE_ICONS; // Track icon visibility state
         this.showTrees = UI_CONFIG.SHOW_TREES; // Track tree visibility state
+        this.logEvents = true; // Log births/deaths to the console (disable for fast headless runs)
+        this.sexualReproduction = GENETICS_CONFIG.SEXUAL_REPRODUCTION; // Mate seeking + crossover instead of cloning
+        this.brainType = NEURAL_CONFIG.DEFAULT_BRAIN_TYPE; // Herbivore brain for new runs ('simple' or 'neural')
+        this.initialCounts = null; // { herbivores, carnivores, trees } the current run started with
+        this.dayNight = new DayNightCycle(); // Simulated clock (daylight, fruiting, perception, sleep)
+        this.environment = new Environment(); // Seasons and weather (fruiting, food lifetime, cold)
 
         // Statistics tracking
         this.totalBirths = 0;
+        this.deathsByCause = emptyDeathCounts(); // Deaths so far, keyed by cause
+        this.deathRecords = []; // { time, id, species, cause, age, generation } per death, oldest first
+        this.lineage = new LineageRegistry(); // Every creature of the run (family tree)
 
-        // Extinction tracking
+        // Extinction tracking (overlay is looked up in start(), only when running in a browser)
         this.isExtinct = false;
-        this.extinctionOverlay = document.getElementById('extinction-overlay');
+        this.extinctionOverlay = null;
         this.onExtinctionCallback = null; // Callback to notify when extinction happens
 
-        // Population graph
-        this.populationGraph = new PopulationGraph();
+        // Population graph (optional, Chart.js based)
+        this.populationGraph = populationGraph;
     }
 
     /**
-     * Start the simulation - begin update loop (entities spawned separately by reset())
+     * Start the browser simulation loop (entities spawned separately by reset())
      */
     start() {
         console.log('Starting world simulation...');
 
         // Initialize population graph
         const canvas = document.getElementById('population-graph');
-        if (canvas) {
+        if (canvas && this.populationGraph) {
             this.populationGraph.init(canvas);
         }
 
+        this.extinctionOverlay = document.getElementById('extinction-overlay');
+
         // Start update loop (entities will be spawned by ControlPanel calling reset())
         this.lastTimestamp = performance.now();
         this.update();
     }
 
     /**
-     * Main update loop - called every frame
+     * Main browser update loop - called every animation frame
      */
     update(timestamp = performance.now()) {
         if (!this.isPaused && !this.isExtinct) {
@@ -70,88 +116,228 @@ export class World {
             }
 
             const deltaTime = rawDeltaTime * this.timeScale; // Apply time scale
+            const simulatedTime = this.advance(deltaTime);
+            this.updatePopulationGraph(simulatedTime);
+        }
 
-            // Update all creatures
-            for (let i = this.creatures.length - 1; i >= 0; i--) {
-                const creature = this.creatures[i];
-                creature.update(deltaTime, this);
+        // Sun, sky, light colours and weather follow the clock (also while paused, e.g. after a snapshot load)
+        if (this.renderer) {
+            this.renderer.updateDayNight(this.dayNight);
+            this.renderer.updateWeather(this.environment);
+        }
 
-                // Remove dead creatures
-                if (creature.isDead) {
-                    this.removeCreature(creature);
-                }
-            }
+        // Continue animation loop
+        requestAnimationFrame((t) => this.update(t));
+    }
 
-            // Update all food and remove consumed or expired food
-            for (let i = this.foodEntities.length - 1; i >= 0; i--) {
-                const food = this.foodEntities[i];
-                food.update(deltaTime, this);
+    /**
+     * Consume scaled frame time in fixed-size ticks
+     * Faster speeds run more ticks per frame rather than larger ticks, so results do not
+     * depend on frame rate or speed setting. The remainder stays in the accumulator and
+     * is used to interpolate rendering between the last two ticks.
+     * @param {number} deltaTime - Scaled real time since the last frame (seconds)
+     * @returns {number} Simulated seconds actually advanced
+     */
+    advance(deltaTime) {
+        const step = WORLD_CONFIG.FIXED_TIME_STEP;
+        this.accumulator += deltaTime;
+
+        let steps = 0;
+        while (this.accumulator >= step && steps < WORLD_CONFIG.MAX_STEPS_PER_FRAME && !this.isExtinct) {
+            this.tick(step);
+            this.accumulator -= step;
+            steps++;
+        }
 
-                // Remove consumed or expired food permanently (trees will spawn new food)
-                if (food.isConsumed || food.isExpired) {
-                    this.foodEntities.splice(i, 1);
-                    this.renderer.removeMesh(food.mesh);
-                }
-            }
+        // Can't keep up (or extinct): drop the backlog but keep a sub-step remainder
+        if (this.accumulator >= step) {
+            this.accumulator %= step;
+        }
+
+        return steps * step;
+    }
 
-            // Update all trees (they spawn food)
-            for (const tree of this.trees) {
-                tree.update(deltaTime, this);
+    /**
+     * Fraction of a tick between the last simulated state and the current frame (0-1)
+     * Used by the renderer to interpolate entity positions
+     */
+    getInterpolationAlpha() {
+        return this.accumulator / WORLD_CONFIG.FIXED_TIME_STEP;
+    }
+
+    /**
+     * Advance the simulation by one tick of deltaTime seconds (no DOM or animation frame required)
+     * The browser loop and runFor() always pass WORLD_CONFIG.FIXED_TIME_STEP
+     * @param {number} deltaTime - Simulated seconds to advance
+     */
+    tick(deltaTime) {
+        this.dayNight.update(deltaTime);
+        this.environment.update(deltaTime, this.random, this.dayNight);
+
+        // Remember where moving entities were for render interpolation
+        for (const creature of this.creatures) {
+            creature.storePreviousPosition();
+        }
+        for (const food of this.foodEntities) {
+            food.storePreviousPosition();
+        }
+
+        // Update all creatures
+        for (let i = this.creatures.length - 1; i >= 0; i--) {
+            const creature = this.creatures[i];
+            creature.update(deltaTime, this);
+
+            // Remove dead creatures
+            if (creature.isDead) {
+                this.removeCreature(creature);
+            } else {
+                this.getCreatureIndex(creature.species).update(creature);
             }
+        }
 
-            this.time += deltaTime;
+        // Update all food and remove consumed or expired food
+        for (let i = this.foodEntities.length - 1; i >= 0; i--) {
+            const food = this.foodEntities[i];
+            food.update(deltaTime, this);
+
+            // Remove consumed or expired food permanently (trees will spawn new food)
+            if (food.isConsumed || food.isExpired) {
+                this.foodEntities.splice(i, 1);
+                this.foodIndex.remove(food);
+                this.removeFromRenderer(food);
+            } else if (!food.isAttachedToTree) {
+                this.foodIndex.update(food); // Only loose food can move
+            }
+        }
 
-            // Check for extinction (triggers whenever all creatures die)
-            if (!this.isExtinct && this.creatures.length === 0) {
-                this.handleExtinction();
+        // Update all trees (they spawn food and seeds) and remove dead ones
+        // Saplings sprouted this tick are appended and start updating next tick
+        for (let i = this.trees.length - 1; i >= 0; i--) {
+            const tree = this.trees[i];
+            tree.update(deltaTime, this);
+            if (tree.isDead) {
+                this.removeTree(tree);
             }
+        }
+
+        this.time += deltaTime;
+
+        // Check for extinction (triggers whenever all creatures die)
+        if (!this.isExtinct && this.creatures.length === 0) {
+            this.handleExtinction();
+        }
+    }
+
+    /**
+     * Spatial index holding the living creatures of one species (created on first use)
+     * @param {string} species - 'herbivore' or 'carnivore'
+     * @returns {SpatialHash}
+     */
+    getCreatureIndex(species) {
+        let index = this.creatureIndices.get(species);
+        if (!index) {
+            index = new SpatialHash(WORLD_CONFIG.SPATIAL_CELL_SIZE);
+            this.creatureIndices.set(species, index);
+        }
+        return index;
+    }
 
-            // Update population graph
+    /**
+     * Feed current statistics to the population graph (once per frame, not per tick)
+     * @param {number} deltaTime - Simulated seconds since the previous graph update
+     */
+    updatePopulationGraph(deltaTime) {
+        if (this.populationGraph) {
             const stats = this.getStats();
             stats.elapsedTime = this.time;
             stats.creatureCount = this.creatures.length;
             this.populationGraph.update(deltaTime, stats);
         }
+    }
 
-        // Continue animation loop
-        requestAnimationFrame((t) => this.update(t));
+    /**
+     * Run the simulation for a number of simulated seconds as fast as possible
+     * Uses the same fixed tick as the browser loop, so a seeded run matches it exactly.
+     * Stops early on extinction. Intended for headless experiments and tests.
+     * @param {number} seconds - Simulated seconds to run (rounded to whole ticks)
+     * @returns {Object} Statistics at the end of the run
+     */
+    runFor(seconds) {
+        const step = WORLD_CONFIG.FIXED_TIME_STEP;
+        const steps = Math.round(seconds / step);
+        for (let i = 0; i < steps && !this.isExtinct; i++) {
+            this.tick(step);
+        }
+        return this.getStats();
+    }
+
+    /**
+     * Add an entity's visual representation (no-op when headless)
+     */
+    addToRenderer(entity) {
+        if (this.renderer) {
+            this.renderer.addEntity(entity);
+        }
+    }
+
+    /**
+     * Remove an entity's visual representation (no-op when headless)
+     */
+    removeFromRenderer(entity) {
+        if (this.renderer) {
+            this.renderer.removeEntity(entity);
+        }
     }
 
     /**
-     * Spawn a new creature at specified position
+     * Spawn a new first-generation creature (an adult of random age) at specified position
      */
     spawnCreature(x, z, species = 'herbivore') {
-        const creature = new Creature(x, z, species);
+        const creature = new Creature(x, z, species, null, this.random, this.brainType);
+        creature.randomizeFounderAge(this.random);
         creature.setShowStateIcon(this.showStateIcons); // Apply current icon setting
         this.creatures.push(creature);
-        this.renderer.addMesh(creature.mesh);
+        this.getCreatureIndex(species).insert(creature);
+        this.lineage.recordBirth(creature, this.time);
+        this.addToRenderer(creature);
         return creature;
     }
 
     /**
-     * Spawn food at specified position (with optional height)
+     * Spawn food at specified position (with optional height; default rests on the terrain)
      */
-    spawnFood(x, z, y = 0.5) {
-        const food = new Food(x, z, y);
+    spawnFood(x, z, y = null) {
+        const food = new Food(x, z, y, this.random, this.environment.expirationMultiplier);
         this.foodEntities.push(food);
-        this.renderer.addMesh(food.mesh);
+        this.foodIndex.insert(food);
+        this.addToRenderer(food);
         return food;
     }
 
     /**
-     * Spawn offspring from parent DNA
+     * Spawn offspring of one parent (clonal) or two parents (sexual, crossover DNA)
+     * The child is the same species as its parents and records both parent ids.
+     * @param {Creature} parent - Parent (the one that initiated mating in sexual mode)
+     * @param {Creature|null} mate - Second parent, or null for asexual reproduction
      */
-    spawnOffspring(x, z, parentDNA) {
-        const offspring = new Creature(x, z, 'herbivore', parentDNA);
+    spawnOffspring(x, z, parent, mate = null) {
+        const species = parent.species;
+        const inheritedDNA = mate ? parent.dna.crossover(mate.dna, this.random) : parent.dna;
+        const offspring = new Creature(x, z, species, inheritedDNA, this.random, parent.brainType);
+        offspring.parentIds = mate ? [parent.id, mate.id] : [parent.id];
         offspring.setShowStateIcon(this.showStateIcons); // Apply current icon setting
         this.creatures.push(offspring);
-        this.renderer.addMesh(offspring.mesh);
+        this.getCreatureIndex(species).insert(offspring);
+        this.lineage.recordBirth(offspring, this.time);
+        this.addToRenderer(offspring);
         this.totalBirths++;
 
         // Play birth sound
         this.soundManager.playBirthSound();
 
-        console.log(`Birth! Generation ${offspring.generation}, Population: ${this.creatures.length}`);
+        if (this.logEvents) {
+            console.log(`Birth! ${species} generation ${offspring.generation}, Population: ${this.creatures.length}`);
+        }
         return offspring;
     }
 
@@ -171,14 +357,14 @@ export class World {
         for (let i = 0; i < gridSize; i++) {
             for (let j = 0; j < gridSize; j++) {
                 // Grid position with random jitter for natural look
-                const jitterX = (Math.random() - 0.5) * cellSize * 0.8;
-                const jitterZ = (Math.random() - 0.5) * cellSize * 0.8;
+                const jitterX = (this.random.next() - 0.5) * cellSize * 0.8;
+                const jitterZ = (this.random.next() - 0.5) * cellSize * 0.8;
                 const x = offset + (i + 0.5) * cellSize + jitterX;
                 const z = offset + (j + 0.5) * cellSize + jitterZ;
 
-                // Only include if within island radius
+                // Only include if within island radius and not in a lake
                 const distFromCenter = Math.sqrt(x * x + z * z);
-                if (distFromCenter < WORLD_CONFIG.ISLAND_USABLE_RADIUS) {
+                if (distFromCenter < WORLD_CONFIG.ISLAND_USABLE_RADIUS && !heightmap.getLakeAt(x, z)) {
                     validPositions.push({ x, z });
                 }
             }
@@ -186,7 +372,7 @@ export class World {
 
         // Shuffle positions for randomness
         for (let i = validPositions.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = this.random.int(0, i);
             [validPositions[i], validPositions[j]] = [validPositions[j], validPositions[i]];
         }
 
@@ -197,6 +383,48 @@ export class World {
         }
     }
 
+    /**
+     * Plant a sapling from a dropped seed if the spot allows it
+     * Seeds need dry land on the island, room to grow (no close or crowding neighbours)
+     * and favourable conditions: the chance scales with the seasonal/weather fruiting rate.
+     * @param {TreeDNA} parentDna - Genes of the tree that dropped the seed (inherited with mutation)
+     * @returns {Tree|null} The new sapling, or null if the seed failed
+     */
+    trySproutTree(x, z, parentDna) {
+        if (Math.hypot(x, z) > WORLD_CONFIG.ISLAND_USABLE_RADIUS - 5 || heightmap.getLakeAt(x, z)) {
+            return null;
+        }
+
+        let crowding = 0;
+        for (const tree of this.trees) {
+            const distance = Math.hypot(tree.position.x - x, tree.position.z - z);
+            if (distance < TREE_CONFIG.MIN_TREE_SPACING) return null;
+            if (distance < TREE_CONFIG.CROWDING_RADIUS && ++crowding >= TREE_CONFIG.CROWDING_LIMIT) return null;
+        }
+
+        const chance = TREE_CONFIG.SPROUT_CHANCE * Math.min(1, this.environment.fruitingMultiplier);
+        if (this.random.next() >= chance) return null;
+
+        const tree = new Tree(x, z, this.random, parentDna.mutate(this.random));
+        this.trees.push(tree);
+        this.addToRenderer(tree);
+        return tree;
+    }
+
+    /**
+     * Remove a dead tree from the world
+     */
+    removeTree(tree) {
+        const index = this.trees.indexOf(tree);
+        if (index > -1) {
+            this.trees.splice(index, 1);
+            this.removeFromRenderer(tree);
+            if (this.logEvents) {
+                console.log(`Tree ${tree.id} died of ${tree.causeOfDeath} at age ${tree.age.toFixed(0)}s`);
+            }
+        }
+    }
+
     /**
      * Remove a creature from the world
      */
@@ -204,37 +432,194 @@ export class World {
         const index = this.creatures.indexOf(creature);
         if (index > -1) {
             this.creatures.splice(index, 1);
-            this.renderer.removeMesh(creature.mesh);
-            console.log(`Creature ${creature.id} died at age ${creature.age.toFixed(1)}s, Gen ${creature.generation}`);
+            this.getCreatureIndex(creature.species).remove(creature);
+            this.lineage.recordDeath(creature, this.time);
+            if (creature.causeOfDeath) {
+                this.recordDeath(creature);
+            }
+            this.removeFromRenderer(creature);
+            if (this.logEvents) {
+                console.log(`Creature ${creature.id} (${creature.species}) died of ${creature.causeOfDeath} at age ${creature.age.toFixed(1)}s, Gen ${creature.generation}`);
+            }
 
             // Play death sound
             this.soundManager.playDeathSound();
         }
     }
 
+    /**
+     * Count a death by cause and add it to the death records
+     */
+    recordDeath(creature) {
+        this.deathsByCause[creature.causeOfDeath] = (this.deathsByCause[creature.causeOfDeath] || 0) + 1;
+        this.deathRecords.push({
+            time: this.time,
+            id: creature.id,
+            species: creature.species,
+            cause: creature.causeOfDeath,
+            age: creature.age,
+            generation: creature.generation,
+        });
+    }
+
+    /**
+     * Number of creatures per life stage, by species
+     * @returns {{herbivore: {juvenile: number, adult: number, elder: number}, carnivore: {...}}}
+     */
+    getAgeStructure() {
+        const structure = {
+            herbivore: { juvenile: 0, adult: 0, elder: 0 },
+            carnivore: { juvenile: 0, adult: 0, elder: 0 },
+        };
+        for (const creature of this.creatures) {
+            structure[creature.species][creature.getLifeStage()]++;
+        }
+        return structure;
+    }
+
+    /**
+     * Number of creatures that have died this run (all causes)
+     */
+    getTotalDeaths() {
+        return Object.values(this.deathsByCause).reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Death records of the last few seconds (newest first)
+     * @param {number} seconds - How far back to look
+     */
+    getRecentDeaths(seconds) {
+        const cutoff = this.time - seconds;
+        const recent = [];
+        for (let i = this.deathRecords.length - 1; i >= 0 && this.deathRecords[i].time > cutoff; i--) {
+            recent.push(this.deathRecords[i]);
+        }
+        return recent;
+    }
+
+    /**
+     * Deaths per second over the last MORTALITY_CONFIG.DEATH_RATE_WINDOW seconds, keyed by cause
+     */
+    getDeathRates() {
+        const window = MORTALITY_CONFIG.DEATH_RATE_WINDOW;
+        const rates = emptyDeathCounts();
+        for (const record of this.getRecentDeaths(window)) {
+            rates[record.cause] = (rates[record.cause] || 0) + 1;
+        }
+        for (const cause in rates) {
+            rates[cause] /= window;
+        }
+        return rates;
+    }
+
+    /**
+     * Average age at death per species over the last MORTALITY_CONFIG.LIFE_EXPECTANCY_WINDOW
+     * seconds (null for a species with no recent deaths)
+     * @returns {{herbivore: number|null, carnivore: number|null}}
+     */
+    getLifeExpectancy() {
+        const totals = { herbivore: { age: 0, count: 0 }, carnivore: { age: 0, count: 0 } };
+        for (const record of this.getRecentDeaths(MORTALITY_CONFIG.LIFE_EXPECTANCY_WINDOW)) {
+            totals[record.species].age += record.age;
+            totals[record.species].count++;
+        }
+        const average = (total) => total.count > 0 ? total.age / total.count : null;
+        return { herbivore: average(totals.herbivore), carnivore: average(totals.carnivore) };
+    }
+
     /**
      * Get current simulation statistics
      */
     getStats() {
-        // Calculate average creature size and jump power
-        let avgSize = 1.0; // Default if no creatures
-        let avgJumpPower = 1.0; // Default if no creatures
-
-        if (this.creatures.length > 0) {
-            const totalSize = this.creatures.reduce((sum, c) => sum + c.dna.genes.size, 0);
-            avgSize = totalSize / this.creatures.length;
+        const carnivoreCount = this.getCreatureIndex('carnivore').size;
+        const geneStatistics = this.getGeneStatistics();
 
-            const totalJumpPower = this.creatures.reduce((sum, c) => sum + c.dna.genes.jumpPower, 0);
-            avgJumpPower = totalJumpPower / this.creatures.length;
+        // Average full-grown (genetic) tree height, for the tree/jumper arms race
+        let avgTreeHeight = 0;
+        if (this.trees.length > 0) {
+            avgTreeHeight = this.trees.reduce((sum, t) => sum + t.dna.genes.height, 0) / this.trees.length;
         }
 
         return {
             population: this.creatures.length,
+            herbivoreCount: this.creatures.length - carnivoreCount,
+            carnivoreCount: carnivoreCount,
             foodCount: this.foodEntities.filter(f => !f.isConsumed).length,
+            treeCount: this.trees.length,
             simulationTime: Math.floor(this.time),
+            seed: this.seed,
             totalBirths: this.totalBirths,
-            avgSize: avgSize,
-            avgJumpPower: avgJumpPower
+            totalDeaths: this.getTotalDeaths(),
+            deathsByCause: { ...this.deathsByCause },
+            deathRates: this.getDeathRates(),
+            lifeExpectancy: this.getLifeExpectancy(),
+            ageStructure: this.getAgeStructure(),
+            season: this.environment.getSeason().name,
+            weather: this.environment.weather,
+            temperature: this.environment.temperature,
+            avgGenes: geneStatistics.mean,
+            geneStddevs: geneStatistics.stddev,
+            avgTreeHeight: avgTreeHeight
+        };
+    }
+
+    /**
+     * Mean and standard deviation of every registered gene, each keyed by gene name
+     * Genes read by only one species are measured over that species. With nobody to
+     * measure, a gene reports its typical founder value and no spread.
+     * @returns {{mean: Object, stddev: Object}}
+     */
+    getGeneStatistics() {
+        const mean = {};
+        const stddev = {};
+        for (const gene of GENE_REGISTRY) {
+            const values = [];
+            for (const creature of this.creatures) {
+                if (gene.species === null || creature.species === gene.species) {
+                    values.push(creature.dna.genes[gene.name]);
+                }
+            }
+            if (values.length === 0) {
+                mean[gene.name] = DNA.getTypicalValue(gene);
+                stddev[gene.name] = 0;
+                continue;
+            }
+            const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length;
+            mean[gene.name] = average;
+            stddev[gene.name] = Math.sqrt(variance);
+        }
+        return { mean, stddev };
+    }
+
+    /**
+     * Settings that identify the current run, for exported data
+     * Includes every config object (as it was at export time), so runs can be compared later.
+     */
+    getRunMetadata() {
+        const config = {};
+        for (const [name, value] of Object.entries(CONFIG)) {
+            if (typeof value !== 'function') {
+                config[name] = value;
+            }
+        }
+
+        return {
+            seed: this.seed,
+            terrainSeed: heightmap.seed,
+            islandRadius: WORLD_CONFIG.ISLAND_RADIUS,
+            initialHerbivores: this.initialCounts ? this.initialCounts.herbivores : null,
+            initialCarnivores: this.initialCounts ? this.initialCounts.carnivores : null,
+            initialTrees: this.initialCounts ? this.initialCounts.trees : null,
+            brainType: this.brainType,
+            sexualReproduction: this.sexualReproduction,
+            dayNightEnabled: this.dayNight.enabled,
+            dayLength: this.dayNight.dayLength,
+            environmentEnabled: this.environment.enabled,
+            simulationTime: this.time,
+            scenarioPreset: scenarioManager.presetId,
+            scenarioOverrides: scenarioManager.getOverrides(),
+            config: JSON.parse(JSON.stringify(config)),
         };
     }
 
@@ -254,33 +639,53 @@ export class World {
     stepForward() {
         if (!this.isPaused) return;
 
-        // Use a fixed delta time for consistent single-frame steps
-        const fixedDeltaTime = 1 / 20; // 1/20th of a second per step
+        // Advance a consistent 1/20th of a second (a few fixed ticks) per step
+        const stepDuration = 1 / 20;
+        this.runFor(stepDuration);
+        this.updatePopulationGraph(stepDuration);
+    }
 
-        // Update all creatures
-        for (let i = this.creatures.length - 1; i >= 0; i--) {
-            const creature = this.creatures[i];
-            creature.update(fixedDeltaTime, this);
+    /**
+     * Set simulation speed (time scale multiplier)
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(UI_CONFIG.SPEED_SLIDER_MIN, Math.min(UI_CONFIG.SPEED_SLIDER_MAX, scale));
+    }
 
-            // Remove dead creatures
-            if (creature.isDead) {
-                this.removeCreature(creature);
-            }
-        }
+    /**
+     * Switch between clonal and sexual reproduction (takes effect immediately)
+     */
+    setSexualReproduction(enabled) {
+        this.sexualReproduction = enabled;
+    }
 
-        // Update all food
-        for (const food of this.foodEntities) {
-            food.update(fixedDeltaTime, this);
-        }
+    /**
+     * Turn the day/night cycle on or off (off = permanent daylight)
+     */
+    setDayNightEnabled(enabled) {
+        this.dayNight.setEnabled(enabled);
+    }
 
-        this.time += fixedDeltaTime;
+    /**
+     * Set the length of a full day/night cycle in simulated seconds
+     */
+    setDayLength(seconds) {
+        this.dayNight.setDayLength(seconds);
     }
 
     /**
-     * Set simulation speed (time scale multiplier)
+     * Choose the brain new herbivores are spawned with ('simple' or 'neural')
+     * Offspring inherit their parent's brain type, so this takes effect on the next reset.
      */
-    setTimeScale(scale) {
-        this.timeScale = Math.max(UI_CONFIG.CREATURE_SLIDER_MIN, Math.min(UI_CONFIG.SPEED_SLIDER_MAX, scale));
+    setBrainType(type) {
+        this.brainType = type;
+    }
+
+    /**
+     * Turn seasons and weather on or off (off = mild summer, clear skies)
+     */
+    setEnvironmentEnabled(enabled) {
+        this.environment.setEnabled(enabled, this.dayNight.daylight);
     }
 
     /**
@@ -297,21 +702,27 @@ export class World {
      * Toggle visibility of population graph
      */
     setShowGraph(show) {
-        this.populationGraph.setVisible(show);
+        if (this.populationGraph) {
+            this.populationGraph.setVisible(show);
+        }
     }
 
     /**
      * Set graph time window (in seconds)
      */
     setGraphTimeWindow(seconds) {
-        this.populationGraph.setTimeWindow(seconds);
+        if (this.populationGraph) {
+            this.populationGraph.setTimeWindow(seconds);
+        }
     }
 
     /**
      * Toggle between dark and light themes
      */
     setDarkTheme(isDark) {
-        this.renderer.setDarkTheme(isDark);
+        if (this.renderer) {
+            this.renderer.setDarkTheme(isDark);
+        }
     }
 
     /**
@@ -320,8 +731,8 @@ export class World {
     setShowTrees(show) {
         this.showTrees = show; // Store the state
         // Apply visibility to all existing tree meshes
-        for (const tree of this.trees) {
-            tree.mesh.visible = show;
+        if (this.renderer) {
+            this.renderer.setShowTrees(show);
         }
     }
 
@@ -329,7 +740,9 @@ export class World {
      * Handle extinction event - pause simulation and show overlay
      */
     handleExtinction() {
-        console.log('EXTINCTION: All creatures have died');
+        if (this.logEvents) {
+            console.log('EXTINCTION: All creatures have died');
+        }
         this.isExtinct = true;
         this.isPaused = true;
 
@@ -356,73 +769,242 @@ export class World {
 
     /**
      * Reset simulation with new parameters
+     * @param {number} creatureCount - Starting herbivores
+     * @param {number|null} seed - RNG seed for the new run (null = WORLD_CONFIG.SEED, or a fresh random seed)
+     * @param {number} carnivoreCount - Starting predators
+     */
+    reset(creatureCount, treeCount = TREE_CONFIG.COUNT, islandRadius = WORLD_CONFIG.ISLAND_RADIUS, seed = WORLD_CONFIG.SEED,
+          carnivoreCount = WORLD_CONFIG.DEFAULT_CARNIVORE_COUNT) {
+        // Re-seed the simulation RNG so the run can be replayed from its seed
+        this.seed = seed !== null && seed !== undefined ? seed >>> 0 : Random.randomSeed();
+        this.random.setSeed(this.seed);
+
+        this.setIslandRadius(islandRadius);
+        this.clearEntities();
+        this.initialCounts = { herbivores: creatureCount, carnivores: carnivoreCount, trees: treeCount };
+
+        // Reset simulation time and statistics
+        this.time = 0;
+        this.accumulator = 0;
+        this.totalBirths = 0;
+        this.deathsByCause = emptyDeathCounts();
+        this.deathRecords = [];
+        this.lineage.clear();
+        this.dayNight.reset();
+        this.environment.reset();
+
+        // Hide extinction overlay and unpause if extinct
+        this.hideExtinctionOverlay();
+        this.isPaused = false;
+
+        // Reset population graph
+        if (this.populationGraph) {
+            this.populationGraph.reset({ totalBirths: 0, totalDeaths: 0 });
+        }
+
+        // Create trees and spawn initial food around them
+        const newTrees = Tree.createForest(treeCount, this.random);
+        for (const tree of newTrees) {
+            this.trees.push(tree);
+            this.addToRenderer(tree); // Renderer applies current tree visibility setting
+            tree.spawnInitialFood(this);
+        }
+
+        // Spawn herbivores, then predators, randomly throughout the island's available space
+        for (let i = 0; i < creatureCount; i++) {
+            const position = this.randomIslandPosition();
+            this.spawnCreature(position.x, position.z, 'herbivore');
+        }
+        for (let i = 0; i < carnivoreCount; i++) {
+            const position = this.randomIslandPosition();
+            this.spawnCreature(position.x, position.z, 'carnivore');
+        }
+
+        if (this.logEvents) {
+            console.log(`Simulation reset: ${creatureCount} herbivores, ${carnivoreCount} carnivores, ${this.trees.length} trees, ${islandRadius}m radius, seed ${this.seed}`);
+        }
+    }
+
+    /**
+     * Random dry-land position within the usable island radius
+     */
+    randomIslandPosition() {
+        // Polar coordinates with sqrt(distance) ensure uniform distribution across the circular area
+        let position;
+        do {
+            const angle = this.random.angle();
+            const distance = Math.sqrt(this.random.next()) * WORLD_CONFIG.ISLAND_USABLE_RADIUS;
+            position = {
+                x: Math.cos(angle) * distance,
+                z: Math.sin(angle) * distance
+            };
+        } while (heightmap.getLakeAt(position.x, position.z));
+        return position;
+    }
+
+    /**
+     * Resize the island and regenerate its landscape (config, heightmap, terrain mesh and camera limits)
+     * @param {number} islandRadius - New island radius
+     * @param {number} terrainSeed - Seed for the heightmap (the run seed, so each seed has its own island)
      */
-    reset(creatureCount, treeCount = TREE_CONFIG.COUNT, islandRadius = WORLD_CONFIG.ISLAND_RADIUS) {
+    setIslandRadius(islandRadius, terrainSeed = this.seed) {
         // Update world config with new island radius
         WORLD_CONFIG.ISLAND_RADIUS = islandRadius;
         WORLD_CONFIG.ISLAND_USABLE_RADIUS = islandRadius - 2; // Maintain 2-unit buffer from edge
 
-        // Update terrain size if terrain reference exists
+        // Hills and peak must exist before anything is placed on them
+        heightmap.generate(terrainSeed, islandRadius);
+
+        // Rebuild the terrain mesh from the new heightmap
         if (this.terrain) {
             this.terrain.updateSize(islandRadius);
         }
 
         // Update camera zoom limits to match new island size
-        this.renderer.updateCameraLimits(islandRadius);
+        if (this.renderer) {
+            this.renderer.updateCameraLimits(islandRadius);
+        }
+    }
 
+    /**
+     * Remove every creature, food item and tree (and their meshes)
+     */
+    clearEntities() {
         // Remove all existing creatures
         for (let i = this.creatures.length - 1; i >= 0; i--) {
-            const creature = this.creatures[i];
-            this.renderer.removeMesh(creature.mesh);
+            this.removeFromRenderer(this.creatures[i]);
         }
         this.creatures = [];
 
         // Remove all existing food
         for (let i = this.foodEntities.length - 1; i >= 0; i--) {
-            const food = this.foodEntities[i];
-            this.renderer.removeMesh(food.mesh);
+            this.removeFromRenderer(this.foodEntities[i]);
         }
         this.foodEntities = [];
 
+        for (const index of this.creatureIndices.values()) {
+            index.clear();
+        }
+        this.foodIndex.clear();
+
         // Remove all existing trees
         for (let i = this.trees.length - 1; i >= 0; i--) {
-            const tree = this.trees[i];
-            this.renderer.removeMesh(tree.mesh);
+            this.removeFromRenderer(this.trees[i]);
         }
         this.trees = [];
+    }
 
-        // Reset simulation time and statistics
-        this.time = 0;
-        this.totalBirths = 0;
+    /**
+     * Capture the full simulation state as a JSON-safe snapshot
+     * @returns {Object} Snapshot that can be passed to deserialize()
+     */
+    serialize() {
+        return {
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            time: this.time,
+            totalBirths: this.totalBirths,
+            deathsByCause: { ...this.deathsByCause },
+            deathRecords: this.deathRecords.map(record => ({ ...record })),
+            sexualReproduction: this.sexualReproduction,
+            brainType: this.brainType,
+            initialCounts: this.initialCounts,
+            dayNight: this.dayNight.serialize(),
+            environment: this.environment.serialize(),
+            random: { seed: this.random.seed, state: this.random.state },
+            islandRadius: WORLD_CONFIG.ISLAND_RADIUS,
+            terrainSeed: heightmap.seed,
+            creatures: this.creatures.map(creature => creature.serialize()),
+            food: this.foodEntities.map(food => food.serialize()),
+            trees: this.trees.map(tree => tree.serialize()),
+            lineage: this.lineage.serialize(),
+        };
+    }
 
-        // Hide extinction overlay and unpause if extinct
-        this.hideExtinctionOverlay();
-        this.isPaused = false;
+    /**
+     * Replace the current simulation with a snapshot written by serialize()
+     * @param {Object} snapshot - Parsed snapshot object
+     * @throws {Error} If the snapshot is missing or from an incompatible version
+     */
+    deserialize(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot ? snapshot.version : 'none'} (expected ${SNAPSHOT_VERSION})`);
+        }
 
-        // Reset population graph
-        this.populationGraph.reset({ totalBirths: 0 });
+        this.setIslandRadius(snapshot.islandRadius, snapshot.terrainSeed ?? snapshot.random.seed);
+        this.clearEntities();
+
+        // Food first so trees can re-link their attached fruit by id
+        const foodById = new Map();
+        for (const data of snapshot.food) {
+            const food = new Food(data.position.x, data.position.z, data.position.y, this.random);
+            food.restore(data);
+            foodById.set(food.id, food);
+            this.foodEntities.push(food);
+            this.foodIndex.insert(food);
+            this.addToRenderer(food);
+        }
 
-        // Create trees and spawn initial food around them
-        const newTrees = Tree.createForest(treeCount);
-        for (const tree of newTrees) {
+        for (const data of snapshot.trees) {
+            const tree = new Tree(data.position.x, data.position.z, this.random);
+            tree.restore(data, foodById);
             this.trees.push(tree);
-            tree.mesh.visible = this.showTrees; // Apply current visibility setting
-            this.renderer.addMesh(tree.mesh);
-            tree.spawnInitialFood(this);
+            this.addToRenderer(tree);
         }
 
-        // Spawn creatures randomly throughout the island's available space
-        for (let i = 0; i < creatureCount; i++) {
-            // Generate random position within island radius using polar coordinates
-            // This ensures uniform distribution across the circular area
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.sqrt(Math.random()) * WORLD_CONFIG.ISLAND_USABLE_RADIUS;
-            const x = Math.cos(angle) * distance;
-            const z = Math.sin(angle) * distance;
+        for (const data of snapshot.creatures) {
+            // Build the right brain up front (older snapshots only have state-machine brains)
+            const creature = new Creature(data.position.x, data.position.z, data.species, null, this.random, data.brainType || 'simple');
+            creature.restore(data);
+            creature.setShowStateIcon(this.showStateIcons);
+            this.creatures.push(creature);
+            this.getCreatureIndex(creature.species).insert(creature);
+            this.addToRenderer(creature);
+        }
+
+        // Restore time, statistics and RNG last (entity construction above consumed random numbers)
+        this.time = snapshot.time;
+        this.accumulator = 0;
+        this.totalBirths = snapshot.totalBirths;
+        this.deathsByCause = { ...emptyDeathCounts(), ...snapshot.deathsByCause };
+        if (snapshot.lineage) {
+            this.lineage.restore(snapshot.lineage);
+        } else {
+            // Older snapshots have no family tree: start one from the living creatures
+            this.lineage.clear();
+            for (const creature of this.creatures) {
+                this.lineage.recordBirth(creature, snapshot.time - creature.age);
+            }
+        }
+        this.deathRecords = snapshot.deathRecords
+            ? snapshot.deathRecords.map(record => ({ ...record }))
+            : this.lineage.getDeathRecords(); // Older snapshots: rebuild from the family tree
+        this.sexualReproduction = snapshot.sexualReproduction ?? GENETICS_CONFIG.SEXUAL_REPRODUCTION;
+        this.brainType = snapshot.brainType || NEURAL_CONFIG.DEFAULT_BRAIN_TYPE;
+        this.initialCounts = snapshot.initialCounts || null; // Unknown for older snapshots
+        if (snapshot.dayNight) {
+            this.dayNight.restore(snapshot.dayNight);
+        } else {
+            this.dayNight.reset(); // Older snapshots have no clock
+        }
+        if (snapshot.environment) {
+            this.environment.restore(snapshot.environment, this.dayNight.daylight);
+        } else {
+            this.environment.reset(); // Older snapshots have no seasons
+        }
+        this.seed = snapshot.random.seed;
+        this.random.setSeed(snapshot.random.seed);
+        this.random.state = snapshot.random.state;
 
-            this.spawnCreature(x, z);
+        this.hideExtinctionOverlay();
+        this.isPaused = false;
+
+        if (this.populationGraph) {
+            this.populationGraph.reset({ totalBirths: this.totalBirths, totalDeaths: this.getTotalDeaths() });
         }
 
-        console.log(`Simulation reset: ${this.creatures.length} creatures, ${this.trees.length} trees, ${islandRadius}m radius`);
+        if (this.logEvents) {
+            console.log(`Snapshot loaded: ${this.creatures.length} creatures, ${this.trees.length} trees, t=${this.time.toFixed(1)}s`);
+        }
     }
 }
@@ -1,130 +1,177 @@
-import * as THREE from 'three';
 import { Entity } from '../core/Entity.js';
 import { SimpleBrain } from '../behaviors/SimpleBrain.js';
+import { CarnivoreBrain } from '../behaviors/CarnivoreBrain.js';
+import { NeuralBrain } from '../behaviors/NeuralBrain.js';
 import { soundManager } from '../utils/SoundManager.js';
 import { DNA } from '../genetics/DNA.js';
-import { CREATURE_CONFIG, GENETICS_CONFIG, UI_CONFIG, JUMPING_CONFIG, PHYSICS_CONFIG } from '../config.js';
+import { heightmap } from '../core/Heightmap.js';
+import { CREATURE_CONFIG, CARNIVORE_CONFIG, GENETICS_CONFIG, UI_CONFIG, JUMPING_CONFIG, PHYSICS_CONFIG, TERRAIN_CONFIG, WATER_CONFIG, DAY_NIGHT_CONFIG, AGING_CONFIG } from '../config.js';
 
 /**
- * Creature entity - living being that moves, eats, and has energy
+ * Creature entity - living being that moves, eats, drinks, and has energy and hydration
+ *
+ * Life stages: juveniles grow from AGING_CONFIG.JUVENILE_SCALE to adult size and cannot
+ * breed before their maturityAge gene; elders (from SENESCENCE_START of the maxLifespan
+ * gene) drain energy faster and slow down, and die of old age at maxLifespan.
  */
 export class Creature extends Entity {
-    constructor(x, z, species = 'herbivore', parentDNA = null) {
+    /**
+     * @param {number} x - Spawn X position
+     * @param {number} z - Spawn Z position
+     * @param {string} species - Species identifier ('herbivore' or 'carnivore')
+     * @param {DNA|null} parentDNA - Parent DNA to inherit (null for first generation; crossover DNA for sexual offspring)
+     * @param {Random} random - World RNG
+     * @param {string} brainType - Herbivore brain: 'simple' (state machine) or 'neural' (evolved network)
+     */
+    constructor(x, z, species = 'herbivore', parentDNA = null, random, brainType = 'simple') {
         super(x, z);
 
         this.species = species;
+        this.brainType = brainType;
 
         // Genetics: inherit or create new DNA
         if (parentDNA) {
             // Offspring: inherit and mutate
-            this.dna = parentDNA.mutate();
+            this.dna = parentDNA.mutate(random);
             this.energy = GENETICS_CONFIG.OFFSPRING_STARTING_ENERGY;
+            this.hydration = WATER_CONFIG.OFFSPRING_STARTING_HYDRATION;
             this.generation = parentDNA.generation ? parentDNA.generation + 1 : 1;
+            this.dna.generation = this.generation;
         } else {
             // First generation: random DNA
-            this.dna = new DNA();
+            this.dna = new DNA(null, random);
             this.dna.generation = 0;
-            this.energy = CREATURE_CONFIG.STARTING_ENERGY_MIN +
-                          Math.random() * (CREATURE_CONFIG.STARTING_ENERGY_MAX - CREATURE_CONFIG.STARTING_ENERGY_MIN);
+            this.energy = random.range(CREATURE_CONFIG.STARTING_ENERGY_MIN, CREATURE_CONFIG.STARTING_ENERGY_MAX);
+            this.hydration = random.range(WATER_CONFIG.STARTING_HYDRATION_MIN, WATER_CONFIG.STARTING_HYDRATION_MAX);
             this.generation = 0;
         }
+        this.age = 0;
 
         this.maxEnergy = CREATURE_CONFIG.MAX_ENERGY;
+        this.maxHydration = WATER_CONFIG.MAX_HYDRATION;
 
         // Apply genetic modifiers to traits
-        this.speed = CREATURE_CONFIG.SPEED * this.dna.genes.speed;
-        this.perceptionRadius = CREATURE_CONFIG.PERCEPTION_RADIUS * this.dna.genes.perception;
-
-        // Size-based energy modifier: size gene (0.5-2.0) directly maps to energy multiplier
-        // Larger creatures use more energy (direct linear mapping: 0.5->0.5x, 1.0->1.0x, 2.0->2.0x)
-        const sizeEnergyMultiplier = this.dna.genes.size;
-
-        this.energyDrainRate = (CREATURE_CONFIG.ENERGY_DRAIN_RATE / this.dna.genes.efficiency) * sizeEnergyMultiplier;
+        this.applyGenes();
 
         this.state = 'wandering';
-        this.age = 0;
         this.isDead = false;
+        this.causeOfDeath = null;       // A DEATH_CAUSES name ('starvation', 'old age', ...) once dead
+        this.parentIds = [];            // One id (clonal) or two ids (sexual); empty for first generation
         this.timeSinceReproduction = 0; // Cooldown timer
         this.showStateIcon = UI_CONFIG.SHOW_STATE_ICONS; // Control icon visibility
 
         // Jumping mechanics
         this.jumpCooldown = 0;          // Time until can jump again
+
+        // AI brain for decision making (predators hunt, herbivores forage)
+        this.brain = this.createBrain(random);
+
+        // Rest on the ground (half the cube's size above the terrain)
+        this.position.y = this.getGroundHeight();
+        this.storePreviousPosition();
+    }
+
+    /**
+     * Build the brain for this creature's species and brain type (predators always use CarnivoreBrain)
+     * @param {Random} random - World RNG
+     */
+    createBrain(random) {
+        if (this.species === 'carnivore') {
+            return new CarnivoreBrain(this, random);
+        }
+        return this.brainType === 'neural' ? new NeuralBrain(this, random) : new SimpleBrain(this, random);
+    }
+
+    /**
+     * Derive movement, perception, metabolism, jump and breeding traits from DNA and species
+     */
+    applyGenes() {
+        this.speed = CREATURE_CONFIG.SPEED * this.dna.genes.speed;
+        this.basePerceptionRadius = CREATURE_CONFIG.PERCEPTION_RADIUS * this.dna.genes.perception;
+
+        // Size-based energy modifier: size gene (0.5-2.0) directly maps to energy multiplier
+        // Larger creatures use more energy (direct linear mapping: 0.5->0.5x, 1.0->1.0x, 2.0->2.0x)
+        const sizeEnergyMultiplier = this.dna.genes.size;
+
+        // Long-lived bodies cost more upkeep, short-lived ones less
+        const longevityMultiplier = 1 + AGING_CONFIG.LONGEVITY_DRAIN_COST *
+            (this.dna.genes.maxLifespan / AGING_CONFIG.REFERENCE_LIFESPAN - 1);
+
+        this.energyDrainRate = (CREATURE_CONFIG.ENERGY_DRAIN_RATE / this.dna.genes.efficiency) * sizeEnergyMultiplier * longevityMultiplier;
+        this.growthDrainRate = AGING_CONFIG.GROWTH_ENERGY_COST / this.dna.genes.maturityAge; // Paid while juvenile
+        this.hydrationDrainRate = WATER_CONFIG.HYDRATION_DRAIN_RATE * this.dna.genes.size; // Bigger bodies need more water
+
         this.maxJumpHeight = this.calculateMaxJumpHeight(); // Calculated from genetics
+        this.reproductionCooldown = GENETICS_CONFIG.REPRODUCTION_COOLDOWN;
+
+        // Predators are faster and keener-eyed, with a slower metabolism
+        if (this.species === 'carnivore') {
+            this.speed *= CARNIVORE_CONFIG.SPEED_MULTIPLIER;
+            this.basePerceptionRadius *= CARNIVORE_CONFIG.PERCEPTION_MULTIPLIER;
+            this.energyDrainRate *= CARNIVORE_CONFIG.ENERGY_DRAIN_MULTIPLIER;
+            this.reproductionCooldown = CARNIVORE_CONFIG.REPRODUCTION_COOLDOWN;
+        }
 
-        // AI brain for decision making
-        this.brain = new SimpleBrain(this);
+        // Current sight range (shrinks at night, see update())
+        this.perceptionRadius = this.basePerceptionRadius;
+    }
 
-        // Visual: colored cube with genetic variation
-        const baseSize = this.dna.genes.size;
-        const geometry = new THREE.BoxGeometry(baseSize, baseSize, baseSize);
-        const material = new THREE.MeshStandardMaterial({
-            color: this.dna.getColor(1.0, 'wandering'),
-            roughness: 0.7,
-            metalness: 0.1,
-            transparent: true,
-            opacity: 1.0
-        });
+    /**
+     * Start a founder as an adult of random age (up to AGING_CONFIG.FOUNDER_MAX_AGE of its lifespan)
+     * so the first generation does not grow up, breed and die of old age all at once
+     * @param {Random} random - World RNG
+     */
+    randomizeFounderAge(random) {
+        const maxAge = this.dna.genes.maxLifespan * AGING_CONFIG.FOUNDER_MAX_AGE;
+        this.age = random.range(Math.min(this.dna.genes.maturityAge, maxAge), maxAge);
+        this.position.y = this.getGroundHeight();
+        this.storePreviousPosition();
+    }
+
+    /**
+     * Fraction of adult size reached (JUVENILE_SCALE at birth, 1 once mature)
+     */
+    getGrowth() {
+        const progress = Math.min(1, this.age / this.dna.genes.maturityAge);
+        return AGING_CONFIG.JUVENILE_SCALE + (1 - AGING_CONFIG.JUVENILE_SCALE) * progress;
+    }
 
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.mesh.position.set(x, 0.5 * baseSize, z);
-        this.mesh.castShadow = true;
+    /**
+     * Current body size (size gene scaled by growth)
+     */
+    getBodySize() {
+        return this.dna.genes.size * this.getGrowth();
+    }
 
-        this.position.y = 0.5 * baseSize; // Update entity position to match
+    /**
+     * Whether the creature is old enough to breed
+     */
+    isMature() {
+        return this.age >= this.dna.genes.maturityAge;
+    }
 
-        // Create "!" indicator for seeking food state
-        this.createSeekingIndicator(baseSize);
+    /**
+     * How far into old age the creature is: 0 before SENESCENCE_START of its lifespan, 1 at its end
+     */
+    getSenescence() {
+        const lifespan = this.dna.genes.maxLifespan;
+        const onset = lifespan * AGING_CONFIG.SENESCENCE_START;
+        return Math.max(0, Math.min(1, (this.age - onset) / (lifespan - onset)));
     }
 
     /**
-     * Create the "!" indicator that shows when seeking food
+     * 'juvenile', 'adult' or 'elder'
      */
-    createSeekingIndicator(baseSize) {
-        // Create a sprite for the "!" indicator
-        const canvas = document.createElement('canvas');
-        canvas.width = 128;
-        canvas.height = 128;
-        const ctx = canvas.getContext('2d');
-
-        // Clear canvas with transparency
-        ctx.clearRect(0, 0, 128, 128);
-
-        // Draw white background circle for visibility
-        ctx.fillStyle = '#FFFFFF';
-        ctx.beginPath();
-        ctx.arc(64, 64, 50, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Draw red "!" on canvas - bolder and wider
-        ctx.fillStyle = '#FF0000';
-        ctx.font = 'bold 100px Impact, Arial Black, sans-serif'; // Wider, bolder font
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-
-        // Draw multiple times for extra boldness
-        ctx.fillText('!', 64, 64);
-        ctx.fillText('!', 64.5, 64); // Slight offset for extra thickness
-        ctx.fillText('!', 63.5, 64);
-
-        const texture = new THREE.CanvasTexture(canvas);
-        const material = new THREE.SpriteMaterial({
-            map: texture,
-            transparent: true,
-            depthTest: false // Always visible on top
-        });
-
-        this.seekingIndicator = new THREE.Sprite(material);
-        this.seekingIndicator.scale.set(1.0, 1.0, 1.0); // Bigger scale
-        this.seekingIndicator.position.y = baseSize * 2.0; // Higher above creature
-        this.seekingIndicator.visible = false;
-
-        this.mesh.add(this.seekingIndicator);
+    getLifeStage() {
+        if (!this.isMature()) return 'juvenile';
+        return this.age >= this.dna.genes.maxLifespan * AGING_CONFIG.SENESCENCE_START ? 'elder' : 'adult';
     }
 
     /**
-     * Get ground height for creature (half its size above ground)
+     * Get ground height for creature (half its body size above the terrain)
      */
     getGroundHeight() {
-        return 0.5 * this.dna.genes.size;
+        return super.getGroundHeight() + 0.5 * this.getBodySize();
     }
 
     /**
@@ -173,10 +220,28 @@ export class Creature extends Entity {
      * Update creature - handles aging, energy, and AI behavior
      */
     update(deltaTime, world) {
+        // Killed by a predator earlier this tick (the world removes it)
+        if (this.isDead) return;
+
         // Age and lose energy over time (affected by genetic efficiency)
         this.age += deltaTime;
         this.timeSinceReproduction += deltaTime;
-        this.energy -= this.energyDrainRate * deltaTime;
+
+        // Resting slows both drains; cold burns extra energy, rain and drought change thirst
+        const drainMultiplier = this.state === 'sleeping' ? DAY_NIGHT_CONFIG.SLEEP_DRAIN_MULTIPLIER : 1;
+        const environment = world.environment;
+        const senescence = this.getSenescence();
+        const agingMultiplier = 1 + senescence * AGING_CONFIG.ELDER_DRAIN_MULTIPLIER;
+        this.energy -= this.energyDrainRate * drainMultiplier * agingMultiplier * environment.coldDrainMultiplier * deltaTime;
+        if (!this.isMature()) {
+            this.energy -= this.growthDrainRate * deltaTime;
+        }
+        if (WATER_CONFIG.ENABLED) {
+            this.hydration -= this.hydrationDrainRate * drainMultiplier * environment.hydrationMultiplier * deltaTime;
+        }
+
+        // Harder to see in the dark
+        this.perceptionRadius = this.basePerceptionRadius * world.dayNight.getPerceptionMultiplier();
 
         // Update jump cooldown
         if (this.jumpCooldown > 0) {
@@ -186,58 +251,94 @@ export class Creature extends Entity {
         // Die if out of energy
         if (this.energy <= 0) {
             this.isDead = true;
+            this.causeOfDeath = 'starvation';
+            return;
+        }
+
+        // Die if out of water
+        if (this.hydration <= 0) {
+            this.isDead = true;
+            this.causeOfDeath = 'dehydration';
+            return;
+        }
+
+        // Die at the end of the natural lifespan
+        if (this.age >= this.dna.genes.maxLifespan) {
+            this.isDead = true;
+            this.causeOfDeath = 'old age';
             return;
         }
 
-        // Check for reproduction opportunity
-        if (this.canReproduce()) {
+        // Check for reproduction opportunity (in sexual mode the brain looks for a partner instead)
+        if (!world.sexualReproduction && this.canReproduce()) {
             this.reproduce(world);
         }
 
         // Run AI brain to decide behavior
         this.brain.think(deltaTime, world);
 
-        // Apply velocity from brain decisions
-        super.update(deltaTime, world);
-
-        // Update visual based on energy and genetics
-        const energyPercent = this.energy / this.maxEnergy;
-
-        // Size is fixed based on genetics (no energy-based scaling)
-        // Scale is already set based on genetic size in constructor
+        // Elders cannot keep up the pace the brain asked for
+        if (senescence > 0) {
+            const vigour = 1 - senescence * AGING_CONFIG.ELDER_SPEED_PENALTY;
+            this.velocity.x *= vigour;
+            this.velocity.z *= vigour;
+        }
 
-        // Color from DNA based on state and energy
-        const color = this.dna.getColor(energyPercent, this.state);
-        this.mesh.material.color.setHex(color);
+        // Terrain: downhill is faster, climbing costs energy
+        this.applySlope(deltaTime);
 
-        // Opacity fades as creature gets hungrier (fading away from earth)
-        const opacity = 0.3 + energyPercent * 0.7; // Range: 0.3 (very hungry) to 1.0 (full)
-        this.mesh.material.opacity = opacity;
+        // Apply velocity from brain decisions
+        super.update(deltaTime, world);
+    }
 
-        // Show "!" indicator when actively seeking food (if icons are enabled)
-        if (this.seekingIndicator) {
-            this.seekingIndicator.visible = this.showStateIcon && (this.state === 'seeking_food');
-            // Fade indicator opacity to match creature
-            this.seekingIndicator.material.opacity = opacity;
-        }
+    /**
+     * Adjust this tick's movement for the slope ahead
+     * The brain sets horizontal velocity every tick, so the boost never compounds.
+     */
+    applySlope(deltaTime) {
+        const horizontalSpeed = Math.sqrt(this.velocity.x ** 2 + this.velocity.z ** 2);
+        if (horizontalSpeed < 0.001) return;
+
+        const grade = heightmap.getSlope(
+            this.position.x,
+            this.position.z,
+            this.velocity.x / horizontalSpeed,
+            this.velocity.z / horizontalSpeed
+        );
 
-        // Face movement direction
-        if (this.velocity.x !== 0 || this.velocity.z !== 0) {
-            const angle = Math.atan2(this.velocity.z, this.velocity.x);
-            this.mesh.rotation.y = -angle;
+        if (grade < 0) {
+            const boost = 1 + Math.min(-grade, 1) * TERRAIN_CONFIG.DOWNHILL_SPEED_BONUS;
+            this.velocity.x *= boost;
+            this.velocity.z *= boost;
+        } else if (this.isGrounded) {
+            // Work against gravity: proportional to height gained and body size
+            const climbed = grade * horizontalSpeed * deltaTime;
+            this.energy -= climbed * TERRAIN_CONFIG.UPHILL_ENERGY_COST * this.dna.genes.size;
         }
     }
 
     /**
-     * Check if creature can reproduce
+     * Check if creature can reproduce (adults and elders only)
      */
     canReproduce() {
-        return this.energy >= GENETICS_CONFIG.REPRODUCTION_ENERGY_THRESHOLD &&
-               this.timeSinceReproduction >= GENETICS_CONFIG.REPRODUCTION_COOLDOWN;
+        return this.isMature() &&
+               this.energy >= this.dna.genes.reproductionThreshold &&
+               this.timeSinceReproduction >= this.reproductionCooldown;
     }
 
     /**
-     * Reproduce: create offspring with mutated DNA
+     * Check if creature would accept a ready partner (sexual reproduction)
+     * Partners only need to be mature, rested and able to spare the mating energy; needing
+     * both to pass their reproduction threshold at the same moment makes matings too rare.
+     */
+    canAcceptMate() {
+        return this.isMature() &&
+               this.energy >= GENETICS_CONFIG.PARTNER_MIN_ENERGY &&
+               this.timeSinceReproduction >= this.reproductionCooldown;
+    }
+
+    /**
+     * Reproduce asexually: create offspring with mutated DNA
      */
     reproduce(world) {
         // Cost energy
@@ -245,7 +346,7 @@ export class Creature extends Entity {
         this.timeSinceReproduction = 0;
 
         // Calculate spawn position near parent
-        const angle = Math.random() * Math.PI * 2;
+        const angle = world.random.angle();
         const distance = GENETICS_CONFIG.OFFSPRING_SPAWN_DISTANCE;
         const offsetX = Math.cos(angle) * distance;
         const offsetZ = Math.sin(angle) * distance;
@@ -254,7 +355,27 @@ export class Creature extends Entity {
         world.spawnOffspring(
             this.position.x + offsetX,
             this.position.z + offsetZ,
-            this.dna
+            this
+        );
+    }
+
+    /**
+     * Reproduce sexually with a partner: both pay energy, offspring gets crossover DNA
+     */
+    mateWith(partner, world) {
+        for (const parent of [this, partner]) {
+            parent.energy -= GENETICS_CONFIG.MATING_ENERGY_COST;
+            parent.timeSinceReproduction = 0;
+        }
+
+        // Spawn near the midpoint between the parents
+        const angle = world.random.angle();
+        const distance = GENETICS_CONFIG.OFFSPRING_SPAWN_DISTANCE;
+        world.spawnOffspring(
+            (this.position.x + partner.position.x) / 2 + Math.cos(angle) * distance,
+            (this.position.z + partner.position.z) / 2 + Math.sin(angle) * distance,
+            this,
+            partner
         );
     }
 
@@ -269,6 +390,70 @@ export class Creature extends Entity {
         soundManager.playEatSound();
     }
 
+    /**
+     * Kill and eat another creature (carnivores only)
+     * Energy gained is proportional to the prey's body size (young prey make small meals)
+     */
+    devour(prey) {
+        prey.isDead = true;
+        prey.causeOfDeath = 'predation';
+
+        const nutrition = CARNIVORE_CONFIG.PREY_ENERGY_PER_SIZE * prey.getBodySize();
+        this.energy = Math.min(this.maxEnergy, this.energy + nutrition);
+
+        // Play eating sound
+        soundManager.playEatSound();
+    }
+
+    /**
+     * Drink from a lake (called every tick while standing at the shore)
+     */
+    drink(deltaTime) {
+        this.hydration = Math.min(this.maxHydration, this.hydration + WATER_CONFIG.DRINK_RATE * deltaTime);
+    }
+
+    /**
+     * Serialize creature state (genes, energy, hydration, age, brain) for snapshots
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            species: this.species,
+            brainType: this.brainType,
+            genes: { ...this.dna.genes },
+            weights: this.dna.weights,
+            generation: this.generation,
+            parentIds: [...this.parentIds],
+            energy: this.energy,
+            hydration: this.hydration,
+            age: this.age,
+            state: this.state,
+            timeSinceReproduction: this.timeSinceReproduction,
+            jumpCooldown: this.jumpCooldown,
+            brain: this.brain.serialize(),
+        };
+    }
+
+    /**
+     * Restore state written by serialize()
+     */
+    restore(data) {
+        super.restore(data);
+        this.species = data.species;
+        this.dna = new DNA(data.genes, null, data.weights || null);
+        this.dna.generation = data.generation;
+        this.generation = data.generation;
+        this.parentIds = data.parentIds ? [...data.parentIds] : [];
+        this.applyGenes();
+        this.energy = data.energy;
+        this.hydration = data.hydration ?? this.maxHydration; // Older snapshots predate thirst
+        this.age = data.age;
+        this.state = data.state;
+        this.timeSinceReproduction = data.timeSinceReproduction;
+        this.jumpCooldown = data.jumpCooldown;
+        this.brain.restore(data.brain);
+    }
+
     /**
      * Set whether state icons should be shown
      */
@@ -1,13 +1,19 @@
-import * as THREE from 'three';
 import { Entity } from '../core/Entity.js';
-import { FOOD_CONFIG, VISUAL_CONFIG } from '../config.js';
+import { FOOD_CONFIG } from '../config.js';
 
 /**
  * Food entity - static resource that creatures can eat
  * Once consumed, it is removed from the world (trees spawn new food)
  */
 export class Food extends Entity {
-    constructor(x, z, y = 0.5) {
+    /**
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @param {number|null} y - Initial height (null = resting on the terrain)
+     * @param {Random} random - World RNG (expiration jitter)
+     * @param {number} lifetimeMultiplier - Seasonal/weather scaling of the mean expiration time
+     */
+    constructor(x, z, y = null, random, lifetimeMultiplier = 1) {
         super(x, z);
 
         this.nutrition = FOOD_CONFIG.NUTRITION;
@@ -18,22 +24,11 @@ export class Food extends Entity {
 
         // Randomize expiration time: mean ± variance
         const variance = FOOD_CONFIG.EXPIRATION_TIME_VARIANCE;
-        const randomFactor = 1 + (Math.random() * 2 - 1) * variance; // Range: [1-variance, 1+variance]
-        this.expirationTime = FOOD_CONFIG.EXPIRATION_TIME_MEAN * randomFactor;
-
-        // Visual: small light green sphere
-        const geometry = new THREE.SphereGeometry(0.3, 8, 8);
-        const material = new THREE.MeshStandardMaterial({
-            color: VISUAL_CONFIG.FOOD_COLOR, // Already parsed to integer
-            roughness: 0.6,
-            metalness: 0.3
-        });
+        const randomFactor = 1 + (random.next() * 2 - 1) * variance; // Range: [1-variance, 1+variance]
+        this.expirationTime = FOOD_CONFIG.EXPIRATION_TIME_MEAN * lifetimeMultiplier * randomFactor;
 
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.mesh.position.set(x, y, z);
-        this.mesh.castShadow = true;
-
-        this.position.y = y; // Set initial height (may be above ground for tree food)
+        this.position.y = y !== null ? y : this.getGroundHeight(); // May be above ground for tree food
+        this.storePreviousPosition();
     }
 
     /**
@@ -44,27 +39,21 @@ export class Food extends Entity {
         this.age += deltaTime;
         if (this.age >= this.expirationTime) {
             this.isExpired = true;
-            this.mesh.visible = false;
             return;
         }
 
-        if (this.isAttachedToTree) {
-            // Food attached to tree stays at fixed position (no gravity)
-            // Just update mesh to match position (in case position changed externally)
-            if (this.mesh) {
-                this.mesh.position.set(this.position.x, this.position.y, this.position.z);
-            }
-        } else {
-            // Free food falls due to gravity
+        // Food attached to tree stays at fixed position (no gravity)
+        // Free food falls due to gravity
+        if (!this.isAttachedToTree) {
             super.update(deltaTime, world);
         }
     }
 
     /**
-     * Get ground height for food (half the sphere radius above ground)
+     * Get ground height for food (sphere radius above the terrain)
      */
     getGroundHeight() {
-        return 0.3; // Sphere radius, so it rests on ground surface
+        return super.getGroundHeight() + 0.3; // Sphere radius, so it rests on ground surface
     }
 
     /**
@@ -72,6 +61,29 @@ export class Food extends Entity {
      */
     consume() {
         this.isConsumed = true;
-        this.mesh.visible = false;
+    }
+
+    /**
+     * Serialize food state (age, expiration, attachment) for snapshots
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            nutrition: this.nutrition,
+            age: this.age,
+            expirationTime: this.expirationTime,
+            isAttachedToTree: this.isAttachedToTree,
+        };
+    }
+
+    /**
+     * Restore state written by serialize()
+     */
+    restore(data) {
+        super.restore(data);
+        this.nutrition = data.nutrition;
+        this.age = data.age;
+        this.expirationTime = data.expirationTime;
+        this.isAttachedToTree = data.isAttachedToTree;
     }
 }
@@ -1,99 +1,151 @@
-import * as THREE from 'three';
 import { Entity } from '../core/Entity.js';
-import { TREE_CONFIG, WORLD_CONFIG, JUMPING_CONFIG } from '../config.js';
+import { heightmap } from '../core/Heightmap.js';
+import { TreeDNA } from '../genetics/TreeDNA.js';
+import { TREE_CONFIG, WORLD_CONFIG, FOOD_CONFIG, JUMPING_CONFIG } from '../config.js';
 
 /**
  * Tree entity - produces food periodically at random positions nearby
- * Each tree has a unique food production rate, height, and width
+ * Full height, width, fruit rate, fruit height and nutrition come from its TreeDNA;
+ * the lifespan is random. Trees grow from saplings to full size, bear fruit once old
+ * enough, drop seeds that may sprout nearby (World.trySproutTree) and die of old age
+ * or overgrazing (too many of their fruits eaten faster than they recover).
+ * Seedlings inherit their parent's DNA with mutation. Eaten fruit occasionally
+ * spreads a seed farther away, so trees need their fruit eaten - but not too much.
  */
 export class Tree extends Entity {
-    constructor(x, z) {
+    /**
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @param {Random} random - World RNG
+     * @param {TreeDNA|null} dna - Inherited genes (null = random first-generation tree)
+     */
+    constructor(x, z, random, dna = null) {
         super(x, z);
 
         // Disable gravity for trees (they're rooted in place)
         this.affectedByGravity = false;
 
-        // Unique spawn rate for this tree (fruits per minute)
-        this.spawnRate = TREE_CONFIG.FOOD_SPAWN_RATE_MIN +
-                         Math.random() * (TREE_CONFIG.FOOD_SPAWN_RATE_MAX - TREE_CONFIG.FOOD_SPAWN_RATE_MIN);
-
-        // Convert to seconds between spawns
-        this.spawnInterval = 60 / this.spawnRate; // seconds
-        this.timeSinceLastSpawn = Math.random() * this.spawnInterval; // Random initial offset
+        this.dna = dna || new TreeDNA(null, random);
+        this.applyGenes();
+        this.timeSinceLastSpawn = random.next() * this.spawnInterval; // Random initial offset
 
         // Track food items this tree has spawned (to enforce max limit)
         this.foodItems = [];
 
-        // Tree dimensions (separate height and width for evolutionary pressure)
-        this.height = TREE_CONFIG.HEIGHT_MIN +
-                      Math.random() * (TREE_CONFIG.HEIGHT_MAX - TREE_CONFIG.HEIGHT_MIN);
+        // Life cycle
+        this.lifespan = random.range(TREE_CONFIG.LIFESPAN_MIN, TREE_CONFIG.LIFESPAN_MAX);
+        this.age = 0; // Starts as a sapling
+        this.health = 1; // Drops as fruit is eaten, recovers over time (0 = dies of overgrazing)
+        this.timeUntilSeed = random.range(TREE_CONFIG.SEED_INTERVAL_MIN, TREE_CONFIG.SEED_INTERVAL_MAX);
+        this.isDead = false;
+        this.causeOfDeath = null; // 'old age' or 'overgrazing'
 
-        // Width (canopy radius) varies from 1m to 3m
-        this.width = 1 + Math.random() * 2;
+        // Current height/width/trunk for this age
+        this.updateDimensions();
 
-        // Trunk dimensions scale with height
-        this.trunkHeight = this.height * 0.6; // Trunk is 60% of total height
-        this.trunkRadius = 0.2 + (this.height / 20); // Thicker trunk for taller trees
+        // Rooted on the terrain
+        this.position.y = this.getGroundHeight();
+        this.storePreviousPosition();
+    }
+
+    /**
+     * Derive size, fruiting and life-cycle timings from the genes
+     */
+    applyGenes() {
+        const genes = this.dna.genes;
 
-        // Visual representation
-        this.mesh = this.createTreeMesh();
+        // Fruits per minute, converted to seconds between spawns
+        this.spawnRate = genes.spawnRate;
+        this.spawnInterval = 60 / this.spawnRate;
+
+        // Full-grown dimensions (separate height and width for evolutionary pressure)
+        this.maxHeight = genes.height;
+        this.maxWidth = genes.width;
+
+        // Costs: tall trees take longer to grow, fruit-rich trees drop fewer seeds
+        this.maturityAge = TREE_CONFIG.MATURITY_AGE * this.dna.getRelativeHeight();
+        this.seedIntervalScale = this.dna.getFruitInvestment();
     }
 
     /**
-     * Create the 3D mesh for the tree using actual height and width dimensions
+     * Fraction of full size reached (SAPLING_SCALE at age 0, 1 once mature)
      */
-    createTreeMesh() {
-        // Create a group to hold trunk and foliage
-        const treeGroup = new THREE.Group();
-
-        // Trunk - brown cylinder (tapered slightly)
-        const trunkTopRadius = this.trunkRadius * 0.8;
-        const trunkBottomRadius = this.trunkRadius;
-        const trunkGeometry = new THREE.CylinderGeometry(
-            trunkTopRadius,
-            trunkBottomRadius,
-            this.trunkHeight,
-            8
-        );
-        const trunkMaterial = new THREE.MeshStandardMaterial({
-            color: '#4a3728', // Dark brown
-            roughness: 0.9
-        });
-        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-        trunk.position.y = this.trunkHeight / 2; // Center at half height
-        trunk.castShadow = true;
-        treeGroup.add(trunk);
-
-        // Foliage - green cone on top (height is remaining 40% of tree)
-        const foliageHeight = this.height - this.trunkHeight;
-        const foliageGeometry = new THREE.ConeGeometry(this.width, foliageHeight, 8);
-        const foliageMaterial = new THREE.MeshStandardMaterial({
-            color: '#2d5a3d', // Dark green
-            roughness: 0.8
-        });
-        const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
-        foliage.position.y = this.trunkHeight + foliageHeight / 2; // On top of trunk
-        foliage.castShadow = true;
-        treeGroup.add(foliage);
+    getGrowth() {
+        const progress = Math.min(1, this.age / this.maturityAge);
+        return TREE_CONFIG.SAPLING_SCALE + (1 - TREE_CONFIG.SAPLING_SCALE) * progress;
+    }
 
-        // Position the tree group
-        treeGroup.position.set(this.position.x, this.position.y, this.position.z);
+    /**
+     * Recompute height, width and trunk size from the current growth
+     */
+    updateDimensions() {
+        const growth = this.getGrowth();
+        this.height = this.maxHeight * growth;
+        this.width = this.maxWidth * growth;
+
+        const trunk = Tree.getTrunkDimensions(this.height);
+        this.trunkHeight = trunk.height;
+        this.trunkRadius = trunk.radius;
+    }
 
-        return treeGroup;
+    /**
+     * Trunk size for a tree of a given height
+     * @returns {{height: number, radius: number}}
+     */
+    static getTrunkDimensions(height) {
+        return {
+            height: height * 0.6,       // Trunk is 60% of total height
+            radius: 0.2 + (height / 20) // Thicker trunk for taller trees
+        };
     }
 
     /**
-     * Update tree - spawns food periodically
+     * Update tree - grows, ages, spawns food and seeds periodically
      */
     update(deltaTime, world) {
         super.update(deltaTime, world);
 
-        this.timeSinceLastSpawn += deltaTime;
+        this.age += deltaTime;
+        if (this.age < this.maturityAge + deltaTime) {
+            this.updateDimensions();
+        }
+
+        // Each eaten fruit weakens the tree (it slowly recovers) but may spread a seed
+        let eaten = 0;
+        this.foodItems = this.foodItems.filter(food => {
+            if (food.isConsumed) {
+                eaten++;
+                if (world.random.next() < TREE_CONFIG.EATEN_SEED_CHANCE) {
+                    this.dropSeed(world, food.position.x, food.position.z, TREE_CONFIG.SEED_DISPERSAL_MIN, TREE_CONFIG.ANIMAL_DISPERSAL_MAX);
+                }
+            }
+            return !food.isConsumed && world.foodIndex.has(food);
+        });
+        this.health = Math.min(1, this.health - eaten * TREE_CONFIG.GRAZING_DAMAGE + TREE_CONFIG.HEALTH_REGEN_RATE * deltaTime);
 
-        // Remove references to food that has been consumed (permanently removed from world)
-        this.foodItems = this.foodItems.filter(food =>
-            !food.isConsumed && world.foodEntities.includes(food)
-        );
+        if (this.age >= this.lifespan) {
+            this.die('old age');
+            return;
+        }
+        if (this.health <= 0) {
+            this.die('overgrazing');
+            return;
+        }
+
+        // Mature trees drop seeds; World decides whether they take root
+        if (this.age >= this.maturityAge) {
+            this.timeUntilSeed -= deltaTime;
+            if (this.timeUntilSeed <= 0) {
+                const interval = world.random.range(TREE_CONFIG.SEED_INTERVAL_MIN, TREE_CONFIG.SEED_INTERVAL_MAX);
+                this.timeUntilSeed = interval * this.seedIntervalScale;
+                this.dropSeed(world, this.position.x, this.position.z, TREE_CONFIG.SEED_DISPERSAL_MIN, TREE_CONFIG.SEED_DISPERSAL_MAX);
+            }
+        }
+
+        if (this.age < TREE_CONFIG.FRUITING_AGE) return;
+
+        // Fruit ripens more slowly in the dark, and with the season and weather
+        this.timeSinceLastSpawn += deltaTime * world.dayNight.getFruitingMultiplier() * world.environment.fruitingMultiplier;
 
         // Check if it's time to spawn food
         if (this.timeSinceLastSpawn >= this.spawnInterval) {
@@ -105,34 +157,65 @@ export class Tree extends Entity {
         }
     }
 
+    /**
+     * Scatter a seed carrying this tree's genes
+     * @param {number} x - Where the seed starts (the tree, or where its fruit was eaten)
+     * @param {number} z
+     * @param {number} minDistance - Dispersal distance range
+     * @param {number} maxDistance
+     */
+    dropSeed(world, x, z, minDistance, maxDistance) {
+        const angle = world.random.angle();
+        const distance = world.random.range(minDistance, maxDistance);
+        world.trySproutTree(x + Math.cos(angle) * distance, z + Math.sin(angle) * distance, this.dna);
+    }
+
+    /**
+     * Die (World removes the tree); its remaining fruit drops to the ground
+     * @param {string} cause - 'old age' or 'overgrazing'
+     */
+    die(cause) {
+        this.isDead = true;
+        this.causeOfDeath = cause;
+        for (const food of this.foodItems) {
+            food.isAttachedToTree = false;
+        }
+        this.foodItems = [];
+    }
+
     /**
      * Spawn a food item at a random position near and ON the tree (vertical placement)
      */
     spawnFood(world) {
         // Random angle and distance within spawn radius (horizontal)
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * TREE_CONFIG.FOOD_SPAWN_RADIUS;
+        const angle = world.random.angle();
+        const distance = world.random.next() * TREE_CONFIG.FOOD_SPAWN_RADIUS;
 
         const foodX = this.position.x + Math.cos(angle) * distance;
         const foodZ = this.position.z + Math.sin(angle) * distance;
 
-        // Check if position is within island bounds
+        // Check if position is within island bounds (and on dry land)
         const distFromCenter = Math.sqrt(foodX * foodX + foodZ * foodZ);
-        if (distFromCenter < WORLD_CONFIG.ISLAND_USABLE_RADIUS) {
+        if (distFromCenter < WORLD_CONFIG.ISLAND_USABLE_RADIUS && !heightmap.getLakeAt(foodX, foodZ)) {
             // Calculate food height based on configuration bias
             // bias = 0: all food at ground
             // bias = 0.5: uniform distribution
             // bias = 1: all food at top
-            const heightDistribution = Math.pow(Math.random(), 2 - JUMPING_CONFIG.FOOD_HEIGHT_BIAS * 2);
+            const heightDistribution = Math.pow(world.random.next(), 2 - this.dna.genes.fruitHeightBias * 2);
             const minHeight = JUMPING_CONFIG.FOOD_HEIGHT_MIN * this.height;
             const maxHeight = JUMPING_CONFIG.FOOD_HEIGHT_MAX * this.height;
-            const foodY = minHeight + heightDistribution * (maxHeight - minHeight);
+            // Heights are measured from the tree's base; fruit never sinks into a rising slope
+            const foodY = Math.max(
+                this.position.y + minHeight + heightDistribution * (maxHeight - minHeight),
+                heightmap.getHeight(foodX, foodZ) + 0.3
+            );
 
             // Spawn food at the calculated height
             const food = world.spawnFood(foodX, foodZ, foodY);
 
             // Mark food as attached to tree (won't fall due to gravity)
             food.isAttachedToTree = true;
+            food.nutrition = this.dna.genes.nutrition;
 
             this.foodItems.push(food);
         }
@@ -142,33 +225,82 @@ export class Tree extends Entity {
      * Spawn initial food around the tree when it's first created
      */
     spawnInitialFood(world) {
-        const count = Math.floor(
-            TREE_CONFIG.INITIAL_FOOD_MIN +
-            Math.random() * (TREE_CONFIG.INITIAL_FOOD_MAX - TREE_CONFIG.INITIAL_FOOD_MIN + 1)
-        );
+        const count = world.random.int(TREE_CONFIG.INITIAL_FOOD_MIN, TREE_CONFIG.INITIAL_FOOD_MAX);
 
         for (let i = 0; i < count; i++) {
             this.spawnFood(world);
         }
     }
 
+    /**
+     * Serialize tree state (dimensions, life cycle, timers, attached food ids) for snapshots
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            dna: this.dna.genes,
+            timeSinceLastSpawn: this.timeSinceLastSpawn,
+            lifespan: this.lifespan,
+            age: this.age,
+            health: this.health,
+            timeUntilSeed: this.timeUntilSeed,
+            foodIds: this.foodItems.map(food => food.id),
+        };
+    }
+
+    /**
+     * Restore state written by serialize()
+     * @param {Object} data - Serialized tree state
+     * @param {Map<number, Food>} foodById - Restored food items, used to re-link foodIds
+     */
+    restore(data, foodById) {
+        super.restore(data);
+        // Older snapshots stored the traits directly (fruit used the global height bias and nutrition)
+        this.dna = new TreeDNA(data.dna || {
+            height: data.maxHeight ?? data.height,
+            width: data.maxWidth ?? data.width,
+            spawnRate: data.spawnRate,
+            fruitHeightBias: JUMPING_CONFIG.FOOD_HEIGHT_BIAS,
+            nutrition: FOOD_CONFIG.NUTRITION,
+        });
+        this.applyGenes();
+        this.timeSinceLastSpawn = data.timeSinceLastSpawn;
+        // Trees from before the life cycle have no age: treat them as mature
+        this.lifespan = data.lifespan ?? TREE_CONFIG.LIFESPAN_MAX;
+        this.age = data.age ?? this.maturityAge;
+        this.health = data.health ?? 1;
+        this.timeUntilSeed = data.timeUntilSeed ?? TREE_CONFIG.SEED_INTERVAL_MAX;
+        this.updateDimensions();
+        this.foodItems = data.foodIds
+            .map(id => foodById.get(id))
+            .filter(food => food !== undefined);
+    }
+
     /**
      * Create multiple trees scattered on the island
+     * Initial trees are mature, at ages spread over their lifespans so they don't all die together.
+     * @param {number} count - Number of trees
+     * @param {Random} random - World RNG
      */
-    static createForest(count) {
+    static createForest(count, random) {
         const trees = [];
         // Use slightly smaller radius to keep trees away from edge
         const placementRadius = WORLD_CONFIG.ISLAND_USABLE_RADIUS - 5;
 
         for (let i = 0; i < count; i++) {
-            // Random angle and radius
-            const angle = Math.random() * Math.PI * 2;
-            const radius = Math.random() * placementRadius;
-
-            const x = Math.cos(angle) * radius;
-            const z = Math.sin(angle) * radius;
+            // Random angle and radius (re-rolled until it lands outside the lakes)
+            let x, z;
+            do {
+                const angle = random.angle();
+                const radius = random.next() * placementRadius;
+                x = Math.cos(angle) * radius;
+                z = Math.sin(angle) * radius;
+            } while (heightmap.getLakeAt(x, z));
 
-            trees.push(new Tree(x, z));
+            const tree = new Tree(x, z, random);
+            tree.age = random.range(Math.min(tree.maturityAge, tree.lifespan), tree.lifespan);
+            tree.updateDimensions();
+            trees.push(tree);
         }
 
         return trees;
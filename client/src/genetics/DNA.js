@@ -1,50 +1,137 @@
-import { GENETICS_CONFIG } from '../config.js';
+import { GENETICS_CONFIG, GENE_REGISTRY, NEURAL_CONFIG } from '../config.js';
 
 /**
  * DNA class - Encodes genetic traits for creatures
- * Genes control various heritable characteristics
+ * The genes, their ranges and how they are drawn and mutated are declared in
+ * GENE_REGISTRY; this class only applies those rules. Creatures with a NeuralBrain
+ * also carry their network weights here (weights; null for other brains), which
+ * are inherited, mutated and crossed over along with the genes.
  */
 export class DNA {
-    constructor(genes = null) {
+    /**
+     * @param {Object|null} genes - Genes to clone, or null for random first-generation genes
+     * @param {Random|null} random - World RNG (required when genes is null)
+     * @param {number[]|null} weights - Neural network weights to clone (null = none)
+     */
+    constructor(genes = null, random = null, weights = null) {
+        this.weights = weights ? [...weights] : null;
+
         if (genes) {
-            // Clone existing genes (inheritance)
+            // Clone existing genes (inheritance); genes missing from older snapshots get their typical value
             this.genes = { ...genes };
+            for (const gene of GENE_REGISTRY) {
+                if (this.genes[gene.name] === undefined) {
+                    this.genes[gene.name] = DNA.getTypicalValue(gene);
+                }
+            }
         } else {
             // Generate random genes (first generation)
-            this.genes = {
-                speed: 0.8 + Math.random() * 0.4,           // 0.8 - 1.2 multiplier
-                perception: 0.8 + Math.random() * 0.4,      // 0.8 - 1.2 multiplier
-                efficiency: 0.8 + Math.random() * 0.4,      // 0.8 - 1.2 multiplier (affects energy drain)
-                size: 0.8 + Math.random() * 0.4,            // 0.8 - 1.2 multiplier
-                hue: Math.random(),                         // 0.0 - 1.0 (color variation)
-                jumpPower: 0.8 + Math.random() * 0.4,       // 0.8 - 1.2 multiplier (affects jump height)
-            };
+            this.genes = {};
+            for (const gene of GENE_REGISTRY) {
+                this.genes[gene.name] = DNA.sampleInitial(gene, random);
+            }
         }
     }
 
     /**
      * Create offspring DNA with mutation
+     * @param {Random} random - World RNG
      */
-    mutate() {
+    mutate(random) {
         const mutatedGenes = { ...this.genes };
 
         // Each gene has a chance to mutate
-        for (const gene in mutatedGenes) {
-            if (Math.random() < GENETICS_CONFIG.MUTATION_RATE) {
-                // Apply mutation
-                if (gene === 'hue') {
-                    // Hue can shift in any direction, wraps around
-                    mutatedGenes[gene] += (Math.random() - 0.5) * GENETICS_CONFIG.MUTATION_AMOUNT;
-                    mutatedGenes[gene] = (mutatedGenes[gene] + 1) % 1; // Wrap to 0-1
-                } else {
-                    // Other genes mutate within bounds
-                    mutatedGenes[gene] += (Math.random() - 0.5) * GENETICS_CONFIG.MUTATION_AMOUNT;
-                    mutatedGenes[gene] = Math.max(0.5, Math.min(2.0, mutatedGenes[gene])); // Clamp 0.5 - 2.0
-                }
+        for (const gene of GENE_REGISTRY) {
+            const rate = gene.mutation.rate ?? GENETICS_CONFIG.MUTATION_RATE;
+            if (random.next() < rate) {
+                mutatedGenes[gene.name] = DNA.mutateValue(gene, mutatedGenes[gene.name], random);
             }
         }
 
-        return new DNA(mutatedGenes);
+        return new DNA(mutatedGenes, null, this.weights ? this.mutateWeights(random) : null);
+    }
+
+    /**
+     * Draw a first-generation value from a gene's initial distribution
+     * @param {Object} gene - GENE_REGISTRY entry
+     * @param {Random} random - World RNG
+     */
+    static sampleInitial(gene, random) {
+        const initial = gene.initial;
+        const value = initial.type === 'gaussian'
+            ? random.gaussian(initial.mean, initial.stddev)
+            : random.range(initial.min, initial.max);
+        return DNA.applyBoundary(gene, value);
+    }
+
+    /**
+     * Apply one mutation step to a gene value
+     * @param {Object} gene - GENE_REGISTRY entry
+     * @param {number} value - Current value
+     * @param {Random} random - World RNG
+     */
+    static mutateValue(gene, value, random) {
+        const mutation = gene.mutation;
+        const amount = mutation.amount ?? GENETICS_CONFIG.MUTATION_AMOUNT;
+        const step = mutation.type === 'gaussian'
+            ? random.gaussian(0, amount)
+            : (random.next() - 0.5) * amount;
+        return DNA.applyBoundary(gene, value + step);
+    }
+
+    /**
+     * Keep a value inside the gene's bounds (clamped, or wrapped for cyclic genes)
+     */
+    static applyBoundary(gene, value) {
+        if (gene.boundary === 'wrap') {
+            const span = gene.max - gene.min;
+            return gene.min + (((value - gene.min) % span) + span) % span;
+        }
+        return Math.max(gene.min, Math.min(gene.max, value));
+    }
+
+    /**
+     * Centre of a gene's initial distribution (stands in for genes missing from old data)
+     */
+    static getTypicalValue(gene) {
+        const initial = gene.initial;
+        return initial.type === 'gaussian' ? initial.mean : (initial.min + initial.max) / 2;
+    }
+
+    /**
+     * Copy of the network weights with some of them nudged (clamped to ±WEIGHT_LIMIT)
+     * @param {Random} random - World RNG
+     */
+    mutateWeights(random) {
+        const limit = NEURAL_CONFIG.WEIGHT_LIMIT;
+        return this.weights.map(weight => {
+            if (random.next() >= NEURAL_CONFIG.WEIGHT_MUTATION_RATE) return weight;
+            const mutated = weight + (random.next() - 0.5) * NEURAL_CONFIG.WEIGHT_MUTATION_AMOUNT;
+            return Math.max(-limit, Math.min(limit, mutated));
+        });
+    }
+
+    /**
+     * Combine two parents' genes: each gene is copied from one parent at random
+     * Call mutate() on the result to get the offspring's DNA.
+     * @param {DNA} other - The other parent's DNA
+     * @param {Random} random - World RNG
+     */
+    crossover(other, random) {
+        const childGenes = {};
+        for (const { name } of GENE_REGISTRY) {
+            childGenes[name] = random.next() < 0.5 ? this.genes[name] : other.genes[name];
+        }
+
+        // Network weights are mixed the same way (or copied when only one parent has them)
+        let childWeights = this.weights || other.weights;
+        if (this.weights && other.weights) {
+            childWeights = this.weights.map((weight, i) => random.next() < 0.5 ? weight : other.weights[i]);
+        }
+
+        const child = new DNA(childGenes, null, childWeights);
+        child.generation = Math.max(this.generation || 0, other.generation || 0);
+        return child;
     }
 
     /**
@@ -78,13 +165,4 @@ export class DNA {
         const b = f(4);
         return (r << 16) | (g << 8) | b;
     }
-
-    /**
-     * Get fitness score (for future use in natural selection)
-     */
-    getFitness() {
-        // Simple fitness calculation: average of all genes
-        const values = Object.values(this.genes).filter(v => v !== this.genes.hue);
-        return values.reduce((sum, val) => sum + val, 0) / values.length;
-    }
 }
@@ -0,0 +1,79 @@
+import { TREE_CONFIG, FOOD_CONFIG, JUMPING_CONFIG } from '../config.js';
+
+/**
+ * TreeDNA class - Encodes heritable traits of trees
+ * Unlike creature genes (multipliers around 1), tree genes are absolute values:
+ * height and width in metres, spawnRate in fruits per minute, fruitHeightBias
+ * (0 = fruit at the ground, 1 = at the top) and the nutrition of each fruit.
+ */
+export class TreeDNA {
+    /**
+     * @param {Object|null} genes - Genes to clone, or null for random first-generation genes
+     * @param {Random|null} random - World RNG (required when genes is null)
+     */
+    constructor(genes = null, random = null) {
+        if (genes) {
+            // Clone existing genes (inheritance)
+            this.genes = { ...genes };
+        } else {
+            // Generate random genes (first generation)
+            const biasSpread = TREE_CONFIG.FRUIT_HEIGHT_BIAS_SPREAD;
+            this.genes = {
+                height: random.range(TREE_CONFIG.HEIGHT_MIN, TREE_CONFIG.HEIGHT_MAX),
+                width: random.range(TREE_CONFIG.WIDTH_MIN, TREE_CONFIG.WIDTH_MAX),
+                spawnRate: random.range(TREE_CONFIG.FOOD_SPAWN_RATE_MIN, TREE_CONFIG.FOOD_SPAWN_RATE_MAX),
+                fruitHeightBias: Math.max(0, Math.min(1, JUMPING_CONFIG.FOOD_HEIGHT_BIAS + random.range(-biasSpread, biasSpread))),
+                nutrition: FOOD_CONFIG.NUTRITION * (1 + random.range(-TREE_CONFIG.NUTRITION_SPREAD, TREE_CONFIG.NUTRITION_SPREAD)),
+            };
+        }
+    }
+
+    /**
+     * Create seedling DNA with mutation
+     * Mutations are scaled to each gene's initial range, so all genes change at a similar pace.
+     * @param {Random} random - World RNG
+     */
+    mutate(random) {
+        const mutatedGenes = { ...this.genes };
+
+        for (const gene in mutatedGenes) {
+            if (random.next() < TREE_CONFIG.MUTATION_RATE) {
+                const [min, max] = TREE_CONFIG.GENE_LIMITS[gene];
+                mutatedGenes[gene] += (random.next() - 0.5) * TREE_CONFIG.MUTATION_AMOUNT * TreeDNA.getInitialSpan(gene);
+                mutatedGenes[gene] = Math.max(min, Math.min(max, mutatedGenes[gene]));
+            }
+        }
+
+        return new TreeDNA(mutatedGenes);
+    }
+
+    /**
+     * Width of the range first-generation values of a gene are drawn from
+     */
+    static getInitialSpan(gene) {
+        switch (gene) {
+            case 'height': return TREE_CONFIG.HEIGHT_MAX - TREE_CONFIG.HEIGHT_MIN;
+            case 'width': return TREE_CONFIG.WIDTH_MAX - TREE_CONFIG.WIDTH_MIN;
+            case 'spawnRate': return TREE_CONFIG.FOOD_SPAWN_RATE_MAX - TREE_CONFIG.FOOD_SPAWN_RATE_MIN;
+            case 'fruitHeightBias': return 2 * TREE_CONFIG.FRUIT_HEIGHT_BIAS_SPREAD;
+            case 'nutrition': return 2 * TREE_CONFIG.NUTRITION_SPREAD * FOOD_CONFIG.NUTRITION;
+            default: return 1;
+        }
+    }
+
+    /**
+     * Fruit output relative to an average first-generation tree (rate x nutrition)
+     * Trees that invest more in fruit have less left for seeds.
+     */
+    getFruitInvestment() {
+        const meanRate = (TREE_CONFIG.FOOD_SPAWN_RATE_MIN + TREE_CONFIG.FOOD_SPAWN_RATE_MAX) / 2;
+        return (this.genes.spawnRate / meanRate) * (this.genes.nutrition / FOOD_CONFIG.NUTRITION);
+    }
+
+    /**
+     * Height relative to an average first-generation tree (taller trees take longer to mature)
+     */
+    getRelativeHeight() {
+        return this.genes.height / ((TREE_CONFIG.HEIGHT_MIN + TREE_CONFIG.HEIGHT_MAX) / 2);
+    }
+}
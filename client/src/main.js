@@ -2,6 +2,12 @@ import { Renderer } from './renderer.js';
 import { Terrain } from './rendering/Terrain.js';
 import { World } from './core/World.js';
 import { ControlPanel } from './ui/ControlPanel.js';
+import { PopulationGraph } from './ui/PopulationGraph.js';
+import { LineagePanel } from './ui/LineagePanel.js';
+import { AnalyticsPanel } from './ui/AnalyticsPanel.js';
+import { ConfigEditorPanel } from './ui/ConfigEditorPanel.js';
+import { CreatureInspector } from './ui/CreatureInspector.js';
+import { scenarioManager } from './core/ScenarioManager.js';
 
 let renderer;
 let terrain;
@@ -19,6 +25,9 @@ function init() {
     fpsCounter = document.getElementById('fps-counter');
 
     try {
+        // Apply a shared scenario (?preset=...&TREE_CONFIG.COUNT=...) before anything reads the config
+        scenarioManager.applyQueryString(window.location.search);
+
         // Initialize renderer
         renderer = new Renderer(canvas);
 
@@ -30,11 +39,15 @@ function init() {
 
         // Initialize world simulation (trees will be created in reset())
         // Pass terrain reference so world can update island size
-        world = new World(renderer, terrain);
+        world = new World(renderer, terrain, new PopulationGraph());
         world.start();
 
-        // Create control panel UI
-        controlPanel = new ControlPanel(world);
+        // Create control panel UI (with the family tree, gene analytics and config editor panels it toggles)
+        controlPanel = new ControlPanel(world, new LineagePanel(world), new AnalyticsPanel(world), new ConfigEditorPanel());
+
+        // Click a creature to inspect it
+        const inspector = new CreatureInspector(world, renderer);
+        renderer.onCreatureClickCallback = (creature) => inspector.show(creature);
 
         // Set up extinction overlay restart button
         const restartButton = document.getElementById('restart-button');
@@ -73,7 +86,7 @@ function updateFPS() {
  */
 function animate() {
     updateFPS();
-    renderer.render();
+    renderer.render(world.getInterpolationAlpha());
     requestAnimationFrame(animate);
 }
 
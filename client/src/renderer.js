@@ -1,6 +1,20 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { WORLD_CONFIG, VISUAL_CONFIG } from './config.js';
+import { CreatureView } from './rendering/CreatureView.js';
+import { FoodView } from './rendering/FoodView.js';
+import { TreeView } from './rendering/TreeView.js';
+import { WeatherView } from './rendering/WeatherView.js';
+import { Creature } from './entities/Creature.js';
+import { Food } from './entities/Food.js';
+import { Tree } from './entities/Tree.js';
+import { heightmap } from './core/Heightmap.js';
+import { WORLD_CONFIG, VISUAL_CONFIG, UI_CONFIG } from './config.js';
+
+// Static lighting used when the day/night cycle is off
+const DEFAULT_AMBIENT_INTENSITY = 0.6;
+const DEFAULT_SUN_INTENSITY = 0.8;
+const DEFAULT_SUN_POSITION = new THREE.Vector3(50, 100, 30);
+const SUN_DISTANCE = 120; // Distance of the directional light from the island centre
 
 /**
  * Renderer class - manages Three.js scene, camera, lights, and rendering
@@ -22,6 +36,10 @@ export class Renderer {
         // Track current theme
         this.isDarkTheme = false;
 
+        // Views for simulation entities (entity -> view), synced every rendered frame
+        this.entityViews = new Map();
+        this.showTrees = UI_CONFIG.SHOW_TREES;
+
         // Create scene
         this.scene = new THREE.Scene();
 
@@ -54,6 +72,18 @@ export class Renderer {
         // Add lights
         this.setupLights();
 
+        // Rain and snow (shown by updateWeather())
+        this.weatherView = new WeatherView();
+        this.scene.add(this.weatherView.mesh);
+
+        // Creature picking (click without dragging) and camera follow
+        this.raycaster = new THREE.Raycaster();
+        this.onCreatureClickCallback = null; // Called with the clicked Creature
+        this.followTarget = null;            // Creature the camera is locked onto
+        this.selectedEntity = null;          // Creature marked with the selection ring
+        this.createSelectionMarker();
+        this.setupPicking();
+
         // Handle window resize
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
@@ -61,13 +91,33 @@ export class Renderer {
 
     setupLights() {
         // Ambient light for overall illumination
-        const ambientLight = new THREE.AmbientLight('#ffffff', 0.6);
+        const ambientLight = new THREE.AmbientLight('#ffffff', DEFAULT_AMBIENT_INTENSITY);
         this.scene.add(ambientLight);
+        this.ambientLight = ambientLight;
 
-        // Directional light (sun) for shadows and definition
-        const directionalLight = new THREE.DirectionalLight('#ffffff', 0.8);
-        directionalLight.position.set(50, 100, 30);
+        // Directional light (sun) for shadows and definition - moved by updateDayNight()
+        const directionalLight = new THREE.DirectionalLight('#ffffff', DEFAULT_SUN_INTENSITY);
+        directionalLight.position.copy(DEFAULT_SUN_POSITION);
         directionalLight.castShadow = true;
+        this.sunLight = directionalLight;
+
+        // Day/night colours (parsed once, blended every frame)
+        this.skyColors = {
+            day: new THREE.Color(VISUAL_CONFIG.SKY_COLOR_LIGHT),
+            dusk: new THREE.Color(VISUAL_CONFIG.SKY_COLOR_DUSK),
+            night: new THREE.Color(VISUAL_CONFIG.SKY_COLOR_NIGHT),
+        };
+        this.sunColors = {
+            day: new THREE.Color(VISUAL_CONFIG.SUN_COLOR),
+            dusk: new THREE.Color(VISUAL_CONFIG.SUN_COLOR_DUSK),
+            moon: new THREE.Color(VISUAL_CONFIG.MOON_COLOR),
+        };
+        this.weatherColors = {
+            storm: new THREE.Color(VISUAL_CONFIG.STORM_SKY_COLOR),
+            drought: new THREE.Color(VISUAL_CONFIG.DROUGHT_SKY_COLOR),
+        };
+        this.skyColor = new THREE.Color();
+        this.dayNightActive = false; // Whether the last frame used cycle lighting
 
         // Configure shadow properties
         directionalLight.shadow.mapSize.width = 2048;
@@ -82,6 +132,85 @@ export class Renderer {
         this.scene.add(directionalLight);
     }
 
+    /**
+     * Ring drawn on the ground under the selected creature
+     */
+    createSelectionMarker() {
+        const geometry = new THREE.RingGeometry(0.9, 1.1, 32);
+        geometry.rotateX(-Math.PI / 2); // Lie flat on the ground
+        const material = new THREE.MeshBasicMaterial({
+            color: '#ffffff',
+            transparent: true,
+            opacity: 0.8,
+            depthTest: false
+        });
+        this.selectionMarker = new THREE.Mesh(geometry, material);
+        this.selectionMarker.visible = false;
+        this.scene.add(this.selectionMarker);
+    }
+
+    /**
+     * Treat a pointer press/release that barely moves as a click and pick the creature under it
+     * (dragging still pans/orbits the camera)
+     */
+    setupPicking() {
+        const clickTolerance = 5; // Pixels the pointer may move and still count as a click
+        let downX = 0;
+        let downY = 0;
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            downX = e.clientX;
+            downY = e.clientY;
+        });
+
+        this.canvas.addEventListener('pointerup', (e) => {
+            if (Math.abs(e.clientX - downX) > clickTolerance || Math.abs(e.clientY - downY) > clickTolerance) return;
+
+            const creature = this.pickCreature(e.clientX, e.clientY);
+            if (creature && this.onCreatureClickCallback) {
+                this.onCreatureClickCallback(creature);
+            }
+        });
+    }
+
+    /**
+     * Raycast from a screen position and return the nearest creature hit (or null)
+     */
+    pickCreature(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+
+        // Creature meshes only (their "!" sprites are children and skipped)
+        const creatureViews = new Map();
+        for (const view of this.entityViews.values()) {
+            if (view instanceof CreatureView) {
+                creatureViews.set(view.mesh, view);
+            }
+        }
+
+        const hits = this.raycaster.intersectObjects([...creatureViews.keys()], false);
+        return hits.length > 0 ? creatureViews.get(hits[0].object).entity : null;
+    }
+
+    /**
+     * Lock the camera onto a creature (null to release)
+     * The camera keeps its current offset and orbit controls still work around the creature.
+     */
+    setFollowTarget(creature) {
+        this.followTarget = creature;
+    }
+
+    /**
+     * Mark a creature with the selection ring (null to clear)
+     */
+    setSelectedEntity(entity) {
+        this.selectedEntity = entity;
+    }
+
     resizeCanvas() {
         const width = this.canvas.clientWidth;
         const height = this.canvas.clientHeight;
@@ -103,7 +232,38 @@ export class Renderer {
         this.controls.maxDistance = islandRadius * 3;
     }
 
-    render() {
+    /**
+     * Render a frame
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks (0-1)
+     */
+    render(alpha = 1) {
+        // Mirror simulation state onto meshes (interpolated for smooth motion at any speed)
+        for (const view of this.entityViews.values()) {
+            view.sync(alpha);
+        }
+
+        // Selected/followed creatures that left the scene (died, reset) are released
+        if (this.followTarget && !this.entityViews.has(this.followTarget)) {
+            this.followTarget = null;
+        }
+        const selectedView = this.entityViews.get(this.selectedEntity);
+        this.selectionMarker.visible = selectedView !== undefined;
+        if (selectedView) {
+            const size = this.selectedEntity.getBodySize();
+            const { x, z } = selectedView.mesh.position;
+            this.selectionMarker.position.set(x, heightmap.getHeight(x, z) + 0.05, z);
+            this.selectionMarker.scale.setScalar(size);
+        }
+
+        // Camera follow: shift target and camera together so the orbit offset is kept
+        if (this.followTarget) {
+            const position = this.entityViews.get(this.followTarget).mesh.position;
+            const offset = new THREE.Vector3().subVectors(position, this.controls.target);
+            offset.y = heightmap.getHeight(position.x, position.z) - this.controls.target.y; // Follow the terrain, not jumps
+            this.controls.target.add(offset);
+            this.camera.position.add(offset);
+        }
+
         // Update controls for damping
         this.controls.update();
 
@@ -118,13 +278,127 @@ export class Renderer {
         this.scene.remove(mesh);
     }
 
+    /**
+     * Create a view for a simulation entity and add its mesh to the scene
+     */
+    addEntity(entity) {
+        let view;
+        if (entity instanceof Creature) {
+            view = new CreatureView(entity);
+        } else if (entity instanceof Food) {
+            view = new FoodView(entity);
+        } else if (entity instanceof Tree) {
+            view = new TreeView(entity);
+            view.mesh.visible = this.showTrees;
+        } else {
+            return null;
+        }
+
+        this.entityViews.set(entity, view);
+        this.addMesh(view.mesh);
+        return view;
+    }
+
+    /**
+     * Remove an entity's view from the scene
+     */
+    removeEntity(entity) {
+        const view = this.entityViews.get(entity);
+        if (view) {
+            this.removeMesh(view.mesh);
+            this.entityViews.delete(entity);
+        }
+    }
+
+    /**
+     * Toggle visibility of tree meshes
+     */
+    setShowTrees(show) {
+        this.showTrees = show;
+        for (const view of this.entityViews.values()) {
+            if (view instanceof TreeView) {
+                view.mesh.visible = show;
+            }
+        }
+    }
+
     /**
      * Toggle between dark and light themes
+     * While the day/night cycle runs it owns the sky colour; the theme applies when it is off.
      * @param {boolean} isDark - True for dark theme, false for light theme
      */
     setDarkTheme(isDark) {
         this.isDarkTheme = isDark;
-        const skyColor = isDark ? VISUAL_CONFIG.SKY_COLOR_DARK : VISUAL_CONFIG.SKY_COLOR_LIGHT;
-        this.renderer.setClearColor(skyColor);
+        if (!this.dayNightActive) {
+            const skyColor = isDark ? VISUAL_CONFIG.SKY_COLOR_DARK : VISUAL_CONFIG.SKY_COLOR_LIGHT;
+            this.renderer.setClearColor(skyColor);
+        }
+    }
+
+    /**
+     * Move the sun and blend light and sky colours for the current time of day
+     * Below the horizon the directional light becomes a dim bluish moon opposite the sun.
+     * @param {DayNightCycle} dayNight - World clock
+     */
+    updateDayNight(dayNight) {
+        if (!dayNight.enabled) {
+            // Static lighting and the theme's sky (rewritten every frame so weather can tint it)
+            this.dayNightActive = false;
+            this.ambientLight.color.setRGB(1, 1, 1);
+            this.ambientLight.intensity = DEFAULT_AMBIENT_INTENSITY;
+            this.sunLight.color.setRGB(1, 1, 1);
+            this.sunLight.intensity = DEFAULT_SUN_INTENSITY;
+            this.sunLight.position.copy(DEFAULT_SUN_POSITION);
+            this.skyColor.set(this.isDarkTheme ? VISUAL_CONFIG.SKY_COLOR_DARK : VISUAL_CONFIG.SKY_COLOR_LIGHT);
+            this.renderer.setClearColor(this.skyColor);
+            return;
+        }
+        this.dayNightActive = true;
+
+        const daylight = dayNight.daylight;
+        const sun = dayNight.getSunDirection();
+
+        // Sun by day, moon (opposite side of the sky) by night
+        const side = sun.y >= 0 ? 1 : -1;
+        this.sunLight.position.set(sun.x * side * SUN_DISTANCE, sun.y * side * SUN_DISTANCE, sun.z * SUN_DISTANCE);
+        if (side > 0) {
+            // Warm near the horizon, white overhead
+            this.sunLight.color.copy(this.sunColors.dusk).lerp(this.sunColors.day, Math.min(1, sun.y * 2));
+            this.sunLight.intensity = DEFAULT_SUN_INTENSITY * daylight;
+        } else {
+            this.sunLight.color.copy(this.sunColors.moon);
+            this.sunLight.intensity = 0.15 * (1 - daylight);
+        }
+
+        this.ambientLight.color.copy(this.sunColors.moon).lerp(this.sunColors.day, daylight);
+        this.ambientLight.intensity = 0.15 + (DEFAULT_AMBIENT_INTENSITY - 0.15) * daylight;
+
+        // Night -> dusk -> day
+        if (daylight < 0.5) {
+            this.skyColor.copy(this.skyColors.night).lerp(this.skyColors.dusk, daylight * 2);
+        } else {
+            this.skyColor.copy(this.skyColors.dusk).lerp(this.skyColors.day, (daylight - 0.5) * 2);
+        }
+        this.renderer.setClearColor(this.skyColor);
+    }
+
+    /**
+     * Tint the sky and dim the lights for the weather, and animate rain/snow
+     * Called after updateDayNight(), which sets the untinted sky and light levels.
+     * @param {Environment} environment - Season and weather state
+     */
+    updateWeather(environment) {
+        const cloudCover = environment.cloudCover;
+        if (cloudCover > 0) {
+            this.skyColor.lerp(this.weatherColors.storm, cloudCover * 0.7);
+            this.sunLight.intensity *= 1 - 0.6 * cloudCover;
+            this.ambientLight.intensity *= 1 - 0.3 * cloudCover;
+            this.renderer.setClearColor(this.skyColor);
+        } else if (environment.weather === 'drought') {
+            this.skyColor.lerp(this.weatherColors.drought, 0.35);
+            this.renderer.setClearColor(this.skyColor);
+        }
+
+        this.weatherView.sync(environment);
     }
 }
@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+import { VISUAL_CONFIG } from '../config.js';
+
+/**
+ * CreatureView - Three.js representation of a Creature
+ * Owns the mesh and mirrors the creature's simulation state onto it each frame
+ */
+export class CreatureView {
+    constructor(creature) {
+        this.entity = creature;
+
+        // Visual: colored cube (herbivores) or dark-red-glowing pyramid (carnivores) with genetic variation
+        const baseSize = creature.dna.genes.size;
+        const isCarnivore = creature.species === 'carnivore';
+        const geometry = isCarnivore
+            ? new THREE.ConeGeometry(baseSize * 0.7, baseSize, 4)
+            : new THREE.BoxGeometry(baseSize, baseSize, baseSize);
+        const material = new THREE.MeshStandardMaterial({
+            color: creature.dna.getColor(1.0, 'wandering'),
+            emissive: isCarnivore ? VISUAL_CONFIG.CARNIVORE_MARK_COLOR : 0x000000,
+            roughness: 0.7,
+            metalness: 0.1,
+            transparent: true,
+            opacity: 1.0
+        });
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.set(creature.position.x, creature.position.y, creature.position.z);
+        this.mesh.castShadow = true;
+
+        // Create "!" indicator for seeking food state
+        this.createSeekingIndicator(baseSize);
+    }
+
+    /**
+     * Create the "!" indicator that shows when seeking food
+     */
+    createSeekingIndicator(baseSize) {
+        // Create a sprite for the "!" indicator
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 128;
+        const ctx = canvas.getContext('2d');
+
+        // Clear canvas with transparency
+        ctx.clearRect(0, 0, 128, 128);
+
+        // Draw white background circle for visibility
+        ctx.fillStyle = '#FFFFFF';
+        ctx.beginPath();
+        ctx.arc(64, 64, 50, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw red "!" on canvas - bolder and wider
+        ctx.fillStyle = '#FF0000';
+        ctx.font = 'bold 100px Impact, Arial Black, sans-serif'; // Wider, bolder font
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        // Draw multiple times for extra boldness
+        ctx.fillText('!', 64, 64);
+        ctx.fillText('!', 64.5, 64); // Slight offset for extra thickness
+        ctx.fillText('!', 63.5, 64);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            depthTest: false // Always visible on top
+        });
+
+        this.seekingIndicator = new THREE.Sprite(material);
+        this.seekingIndicator.scale.set(1.0, 1.0, 1.0); // Bigger scale
+        this.seekingIndicator.position.y = baseSize * 2.0; // Higher above creature
+        this.seekingIndicator.visible = false;
+
+        this.mesh.add(this.seekingIndicator);
+    }
+
+    /**
+     * Copy creature state onto the mesh (called once per rendered frame)
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks
+     */
+    sync(alpha = 1) {
+        const creature = this.entity;
+        const position = creature.getInterpolatedPosition(alpha);
+        this.mesh.position.set(position.x, position.y, position.z);
+
+        // Juveniles grow into the adult-sized geometry
+        this.mesh.scale.setScalar(creature.getGrowth());
+
+        // Update visual based on energy and genetics
+        const energyPercent = creature.energy / creature.maxEnergy;
+
+        // Color from DNA based on state and energy
+        const color = creature.dna.getColor(energyPercent, creature.state);
+        this.mesh.material.color.setHex(color);
+
+        // Opacity fades as creature gets hungrier (fading away from earth)
+        const opacity = 0.3 + energyPercent * 0.7; // Range: 0.3 (very hungry) to 1.0 (full)
+        this.mesh.material.opacity = opacity;
+
+        // Show "!" indicator when actively seeking food or chasing prey (if icons are enabled)
+        if (this.seekingIndicator) {
+            this.seekingIndicator.visible = creature.showStateIcon &&
+                (creature.state === 'seeking_food' || creature.state === 'chasing');
+            // Fade indicator opacity to match creature
+            this.seekingIndicator.material.opacity = opacity;
+        }
+
+        // Face movement direction
+        if (creature.velocity.x !== 0 || creature.velocity.z !== 0) {
+            const angle = Math.atan2(creature.velocity.z, creature.velocity.x);
+            this.mesh.rotation.y = -angle;
+        }
+    }
+}
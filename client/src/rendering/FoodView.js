@@ -0,0 +1,34 @@
+import * as THREE from 'three';
+import { VISUAL_CONFIG } from '../config.js';
+
+/**
+ * FoodView - Three.js representation of a Food item
+ */
+export class FoodView {
+    constructor(food) {
+        this.entity = food;
+
+        // Visual: small light green sphere
+        const geometry = new THREE.SphereGeometry(0.3, 8, 8);
+        const material = new THREE.MeshStandardMaterial({
+            color: VISUAL_CONFIG.FOOD_COLOR, // Already parsed to integer
+            roughness: 0.6,
+            metalness: 0.3
+        });
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.set(food.position.x, food.position.y, food.position.z);
+        this.mesh.castShadow = true;
+    }
+
+    /**
+     * Copy food state onto the mesh (called once per rendered frame)
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks
+     */
+    sync(alpha = 1) {
+        const food = this.entity;
+        const position = food.getInterpolatedPosition(alpha);
+        this.mesh.position.set(position.x, position.y, position.z);
+        this.mesh.visible = !food.isConsumed && !food.isExpired;
+    }
+}
@@ -1,30 +1,31 @@
 import * as THREE from 'three';
-import { WORLD_CONFIG, VISUAL_CONFIG } from '../config.js';
+import { WORLD_CONFIG, VISUAL_CONFIG, TERRAIN_CONFIG } from '../config.js';
+import { heightmap } from '../core/Heightmap.js';
 
 /**
- * Terrain class - creates a simple circular island
+ * Terrain class - circular island displaced by the shared heightmap
+ * Vertex colours blend sand on the beaches, grass inland and rock near the peak.
+ * Lakes are flat translucent discs (children of the island mesh) over their basins.
  */
 export class Terrain {
     constructor() {
         this.mesh = this.createIsland();
+        this.lakeMeshes = [];
+        this.createLakes();
     }
 
     createIsland() {
-        // Create a circular island geometry
-        const geometry = new THREE.CircleGeometry(WORLD_CONFIG.ISLAND_RADIUS, 32);
+        const geometry = this.createGeometry(WORLD_CONFIG.ISLAND_RADIUS);
 
-        // Grass-green material with some roughness
+        // Colours come from the vertices (sand/grass/rock) with some roughness
         const material = new THREE.MeshStandardMaterial({
-            color: VISUAL_CONFIG.TERRAIN_COLOR, // Already parsed to integer
+            vertexColors: true,
             roughness: 0.8,
             metalness: 0.0
         });
 
         const mesh = new THREE.Mesh(geometry, material);
 
-        // Rotate to make it horizontal (lay flat on XZ plane)
-        mesh.rotation.x = -Math.PI / 2;
-
         // Enable shadows
         mesh.receiveShadow = true;
 
@@ -32,13 +33,93 @@ export class Terrain {
     }
 
     /**
-     * Update terrain size (recreate geometry with new radius)
+     * Build a polar grid (concentric rings) lying on the XZ plane, raised to the heightmap
+     * @param {number} radius - Island radius
+     */
+    createGeometry(radius) {
+        // A ring with a tiny hole gives evenly spread vertices (a circle is only a fan)
+        const geometry = new THREE.RingGeometry(0.01, radius, TERRAIN_CONFIG.MESH_SEGMENTS, TERRAIN_CONFIG.MESH_RINGS);
+        geometry.rotateX(-Math.PI / 2); // Lay flat on XZ plane
+
+        const sand = new THREE.Color(VISUAL_CONFIG.SAND_COLOR);
+        const grass = new THREE.Color(VISUAL_CONFIG.TERRAIN_COLOR);
+        const rock = new THREE.Color(VISUAL_CONFIG.ROCK_COLOR);
+        const color = new THREE.Color();
+
+        const positions = geometry.attributes.position;
+        const colors = new Float32Array(positions.count * 3);
+        const maxHeight = Math.max(heightmap.maxHeight, 0.001);
+
+        for (let i = 0; i < positions.count; i++) {
+            const height = heightmap.getHeight(positions.getX(i), positions.getZ(i));
+            positions.setY(i, height);
+
+            // Sand below a quarter metre and in lake beds, grass fading to rock over the top third
+            const t = height / maxHeight;
+            if (height < 0.25 || heightmap.getLakeAt(positions.getX(i), positions.getZ(i))) {
+                color.copy(sand);
+            } else if (t < 0.66) {
+                color.copy(sand).lerp(grass, Math.min(1, (height - 0.25) / 0.5));
+            } else {
+                color.copy(grass).lerp(rock, (t - 0.66) / 0.34);
+            }
+            color.toArray(colors, i * 3);
+        }
+
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    /**
+     * Add a water surface for every lake in the heightmap
+     */
+    createLakes() {
+        for (const lake of heightmap.lakes) {
+            const geometry = new THREE.CircleGeometry(lake.radius, 48);
+            geometry.rotateX(-Math.PI / 2);
+
+            const material = new THREE.MeshStandardMaterial({
+                color: VISUAL_CONFIG.WATER_COLOR,
+                transparent: true,
+                opacity: 0.8,
+                roughness: 0.1,
+                metalness: 0.2
+            });
+
+            // Just below the water line so the shore reads as a thin sandy rim
+            const water = new THREE.Mesh(geometry, material);
+            water.position.set(lake.x, lake.level - 0.1, lake.z);
+            water.receiveShadow = true;
+
+            this.mesh.add(water);
+            this.lakeMeshes.push(water);
+        }
+    }
+
+    /**
+     * Remove all lake meshes (before rebuilding)
+     */
+    clearLakes() {
+        for (const water of this.lakeMeshes) {
+            this.mesh.remove(water);
+            water.geometry.dispose();
+            water.material.dispose();
+        }
+        this.lakeMeshes = [];
+    }
+
+    /**
+     * Update terrain size (rebuild geometry and lakes from the regenerated heightmap)
      */
     updateSize(radius) {
         // Dispose of old geometry to free memory
         this.mesh.geometry.dispose();
 
         // Create new geometry with updated radius
-        this.mesh.geometry = new THREE.CircleGeometry(radius, 32);
+        this.mesh.geometry = this.createGeometry(radius);
+
+        this.clearLakes();
+        this.createLakes();
     }
 }
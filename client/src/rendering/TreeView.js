@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+import { Tree } from '../entities/Tree.js';
+
+const FOLIAGE_COLOR = new THREE.Color('#2d5a3d');  // Dark green (healthy)
+const WITHERED_COLOR = new THREE.Color('#7a6a3a'); // Brownish (overgrazed)
+
+/**
+ * TreeView - Three.js representation of a Tree (trunk + foliage cone)
+ * Built at full size and scaled down while the tree is still growing.
+ */
+export class TreeView {
+    constructor(tree) {
+        this.entity = tree;
+        this.mesh = this.createTreeMesh();
+        this.sync();
+    }
+
+    /**
+     * Create the 3D mesh for the tree using its full-grown height and width
+     */
+    createTreeMesh() {
+        const tree = this.entity;
+        const trunkSize = Tree.getTrunkDimensions(tree.maxHeight);
+
+        // Create a group to hold trunk and foliage
+        const treeGroup = new THREE.Group();
+
+        // Trunk - brown cylinder (tapered slightly)
+        const trunkTopRadius = trunkSize.radius * 0.8;
+        const trunkBottomRadius = trunkSize.radius;
+        const trunkGeometry = new THREE.CylinderGeometry(
+            trunkTopRadius,
+            trunkBottomRadius,
+            trunkSize.height,
+            8
+        );
+        const trunkMaterial = new THREE.MeshStandardMaterial({
+            color: '#4a3728', // Dark brown
+            roughness: 0.9
+        });
+        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
+        trunk.position.y = trunkSize.height / 2; // Center at half height
+        trunk.castShadow = true;
+        treeGroup.add(trunk);
+
+        // Foliage - green cone on top (height is remaining 40% of tree)
+        const foliageHeight = tree.maxHeight - trunkSize.height;
+        const foliageGeometry = new THREE.ConeGeometry(tree.maxWidth, foliageHeight, 8);
+        const foliageMaterial = new THREE.MeshStandardMaterial({
+            color: FOLIAGE_COLOR,
+            roughness: 0.8
+        });
+        const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
+        foliage.position.y = trunkSize.height + foliageHeight / 2; // On top of trunk
+        foliage.castShadow = true;
+        treeGroup.add(foliage);
+        this.foliage = foliage;
+
+        // Position the tree group
+        treeGroup.position.set(tree.position.x, tree.position.y, tree.position.z);
+
+        return treeGroup;
+    }
+
+    /**
+     * Mirror position, growth and health (foliage browns as the tree is overgrazed)
+     */
+    sync() {
+        const tree = this.entity;
+        this.mesh.position.set(tree.position.x, tree.position.y, tree.position.z);
+        this.mesh.scale.setScalar(tree.height / tree.maxHeight);
+        this.foliage.material.color.copy(FOLIAGE_COLOR).lerp(WITHERED_COLOR, 1 - tree.health);
+    }
+}
@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+import { WORLD_CONFIG, VISUAL_CONFIG } from '../config.js';
+import { heightmap } from '../core/Heightmap.js';
+
+const PRECIPITATION_HEIGHT = 40; // Drops start this far above the ground
+
+// Look of each kind of precipitation (storm = heavier, wind-driven rain)
+const STYLES = {
+    rain:  { color: VISUAL_CONFIG.RAIN_COLOR, size: 0.15, fallSpeed: 25, wind: 2, density: 0.6 },
+    storm: { color: VISUAL_CONFIG.RAIN_COLOR, size: 0.18, fallSpeed: 35, wind: 10, density: 1.0 },
+    snow:  { color: VISUAL_CONFIG.SNOW_COLOR, size: 0.35, fallSpeed: 3, wind: 1, density: 0.8 },
+};
+
+/**
+ * WeatherView - falling rain or snow over the island
+ *
+ * A single point cloud, animated in real time (purely visual, so it uses Math.random
+ * and not the world RNG). Drops that reach the terrain start again at the top.
+ */
+export class WeatherView {
+    constructor() {
+        const count = VISUAL_CONFIG.PRECIPITATION_PARTICLES;
+        this.positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            this.respawn(i, Math.random() * PRECIPITATION_HEIGHT);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+
+        const material = new THREE.PointsMaterial({
+            color: VISUAL_CONFIG.RAIN_COLOR,
+            size: 0.15,
+            transparent: true,
+            opacity: 0.7,
+            depthWrite: false
+        });
+
+        this.mesh = new THREE.Points(geometry, material);
+        this.mesh.frustumCulled = false; // Particles move outside the initial bounding sphere
+        this.mesh.visible = false;
+
+        this.style = null;
+        this.lastTime = performance.now();
+    }
+
+    /**
+     * Place a particle at a random spot over the island
+     * @param {number} i - Particle index
+     * @param {number} heightAboveGround - Starting height above the terrain
+     */
+    respawn(i, heightAboveGround) {
+        const radius = WORLD_CONFIG.ISLAND_RADIUS * Math.sqrt(Math.random());
+        const angle = Math.random() * Math.PI * 2;
+        const x = Math.cos(angle) * radius;
+        const z = Math.sin(angle) * radius;
+        this.positions[i * 3] = x;
+        this.positions[i * 3 + 1] = heightmap.getHeight(x, z) + heightAboveGround;
+        this.positions[i * 3 + 2] = z;
+    }
+
+    /**
+     * Show and animate precipitation for the current weather (called once per rendered frame)
+     * @param {Environment} environment - Season and weather state
+     */
+    sync(environment) {
+        const now = performance.now();
+        const deltaTime = Math.min(0.1, (now - this.lastTime) / 1000);
+        this.lastTime = now;
+
+        const precipitation = environment.getPrecipitation();
+        if (!precipitation) {
+            this.mesh.visible = false;
+            return;
+        }
+
+        const style = STYLES[precipitation === 'rain' && environment.weather === 'storm' ? 'storm' : precipitation];
+        if (style !== this.style) {
+            this.style = style;
+            this.mesh.material.color.set(style.color);
+            this.mesh.material.size = style.size;
+            this.mesh.geometry.setDrawRange(0, Math.floor(VISUAL_CONFIG.PRECIPITATION_PARTICLES * style.density));
+        }
+        this.mesh.visible = true;
+
+        const count = this.mesh.geometry.drawRange.count;
+        const positions = this.positions;
+        for (let i = 0; i < count; i++) {
+            const k = i * 3;
+            positions[k] += style.wind * deltaTime;
+            positions[k + 1] -= style.fallSpeed * deltaTime;
+            if (precipitation === 'snow') {
+                positions[k + 2] += Math.sin(now * 0.001 + i) * deltaTime; // Flakes sway as they fall
+            }
+            if (positions[k + 1] < heightmap.getHeight(positions[k], positions[k + 2])) {
+                this.respawn(i, PRECIPITATION_HEIGHT);
+            }
+        }
+        this.mesh.geometry.attributes.position.needsUpdate = true;
+    }
+}
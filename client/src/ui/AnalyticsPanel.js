@@ -0,0 +1,266 @@
+import { GENE_REGISTRY } from '../config.js';
+
+const HISTOGRAM_BINS = 20;
+const HISTOGRAM_COLUMNS = 3;
+const DEFAULT_BAR_COLOR = '#4a7c59';
+
+/**
+ * AnalyticsPanel - Gene distributions of the population, live or at any earlier moment
+ *
+ * Shows a histogram for every gene in GENE_REGISTRY (binned over the gene's bounds,
+ * with the mean marked) and a scatter plot of any two genes, one point per creature
+ * coloured by its hue. The gene pool is reconstructed from World.lineage, which
+ * keeps every creature's genes with its birth and death time, so the timeline
+ * scrubber can replay how the distributions moved over the run. "Live" follows
+ * the current time again.
+ */
+export class AnalyticsPanel {
+    constructor(world) {
+        this.world = world;
+        this.isVisible = false;
+        this.isLive = true;
+        this.viewTime = 0;          // Simulation time shown while not live
+        this.species = 'herbivore'; // 'herbivore', 'carnivore' or 'all'
+        this.xGene = 'size';
+        this.yGene = 'jumpPower';
+        this.updateInterval = 1000; // Redraw once per second while visible (ms)
+        this.onCloseCallback = null; // Notifies the control panel when closed from here
+
+        this.createPanel();
+    }
+
+    /**
+     * Create the panel HTML
+     */
+    createPanel() {
+        const geneOptions = (selected) => GENE_REGISTRY
+            .map(gene => `<option value="${gene.name}" ${gene.name === selected ? 'selected' : ''}>${gene.label}</option>`)
+            .join('');
+
+        const panel = document.createElement('div');
+        panel.id = 'analytics-panel';
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <div class="panel-header">
+                <h3>Gene Analytics</h3>
+                <button id="btn-close-analytics" class="toggle-button" title="Close">×</button>
+            </div>
+            <div class="analytics-row">
+                <select id="analytics-species" class="text-input">
+                    <option value="herbivore" selected>Herbivores</option>
+                    <option value="carnivore">Carnivores</option>
+                    <option value="all">All creatures</option>
+                </select>
+            </div>
+            <div id="analytics-summary" class="lineage-summary"></div>
+            <canvas id="analytics-histograms"></canvas>
+            <div class="analytics-row">
+                <select id="analytics-x-gene" class="text-input">${geneOptions(this.xGene)}</select>
+                <span>vs</span>
+                <select id="analytics-y-gene" class="text-input">${geneOptions(this.yGene)}</select>
+            </div>
+            <canvas id="analytics-scatter"></canvas>
+            <div class="analytics-row">
+                <input type="range" id="analytics-time-slider" min="0" max="0" step="1" value="0">
+                <button id="btn-analytics-live" class="inline-toggle" title="Follow the current time">Live</button>
+            </div>
+        `;
+        document.body.appendChild(panel);
+
+        this.panel = panel;
+        this.summary = document.getElementById('analytics-summary');
+        this.histogramCanvas = document.getElementById('analytics-histograms');
+        this.scatterCanvas = document.getElementById('analytics-scatter');
+        this.timeSlider = document.getElementById('analytics-time-slider');
+
+        document.getElementById('btn-close-analytics').addEventListener('click', () => {
+            this.setVisible(false);
+            if (this.onCloseCallback) {
+                this.onCloseCallback();
+            }
+        });
+
+        document.getElementById('analytics-species').addEventListener('change', (e) => {
+            this.species = e.target.value;
+            this.draw();
+        });
+        document.getElementById('analytics-x-gene').addEventListener('change', (e) => {
+            this.xGene = e.target.value;
+            this.draw();
+        });
+        document.getElementById('analytics-y-gene').addEventListener('change', (e) => {
+            this.yGene = e.target.value;
+            this.draw();
+        });
+
+        // Dragging the scrubber leaves live mode; the Live button returns to it
+        this.timeSlider.addEventListener('input', (e) => {
+            this.isLive = false;
+            this.viewTime = Number(e.target.value);
+            this.draw();
+        });
+        document.getElementById('btn-analytics-live').addEventListener('click', () => {
+            this.isLive = true;
+            this.draw();
+        });
+
+        setInterval(() => {
+            if (this.isVisible) {
+                this.draw();
+            }
+        }, this.updateInterval);
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    setVisible(visible) {
+        this.isVisible = visible;
+        this.panel.style.display = visible ? 'flex' : 'none';
+        if (visible) {
+            this.draw();
+        }
+    }
+
+    /**
+     * Gene records of the selected species alive at the shown time
+     */
+    getPopulation(time) {
+        return this.world.lineage.getAliveAt(time)
+            .filter(record => this.species === 'all' || record.species === this.species);
+    }
+
+    /**
+     * Redraw the summary, histograms and scatter plot
+     */
+    draw() {
+        // A new run restarts the clock: fall back to live if the shown moment no longer exists
+        const now = Math.floor(this.world.time);
+        if (this.isLive || this.viewTime > now) {
+            this.isLive = true;
+            this.viewTime = now;
+        }
+        this.timeSlider.max = now;
+        this.timeSlider.value = this.viewTime;
+
+        const time = this.isLive ? this.world.time : this.viewTime;
+        const population = this.getPopulation(time);
+
+        const speciesName = this.species === 'all' ? 'creatures' : `${this.species}s`;
+        this.summary.textContent = `${population.length} ${speciesName} at ${Math.floor(time)}s` + (this.isLive ? ' (live)' : '');
+
+        this.drawHistograms(population);
+        this.drawScatter(population);
+    }
+
+    /**
+     * Match a canvas' resolution to its displayed size and return a cleared 2D context
+     */
+    prepareCanvas(canvas) {
+        canvas.width = canvas.clientWidth;
+        canvas.height = canvas.clientHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        return ctx;
+    }
+
+    /**
+     * One small histogram per gene, binned over the gene's bounds, with the mean marked
+     */
+    drawHistograms(population) {
+        const ctx = this.prepareCanvas(this.histogramCanvas);
+        const rows = Math.ceil(GENE_REGISTRY.length / HISTOGRAM_COLUMNS);
+        const cellWidth = this.histogramCanvas.width / HISTOGRAM_COLUMNS;
+        const cellHeight = this.histogramCanvas.height / rows;
+        const padding = 4;
+        const labelHeight = 12;
+
+        ctx.font = '10px Arial';
+        ctx.textBaseline = 'top';
+
+        GENE_REGISTRY.forEach((gene, index) => {
+            const left = (index % HISTOGRAM_COLUMNS) * cellWidth + padding;
+            const top = Math.floor(index / HISTOGRAM_COLUMNS) * cellHeight + padding;
+            const width = cellWidth - padding * 2;
+            const plotHeight = cellHeight - padding * 2 - labelHeight;
+            const span = gene.max - gene.min;
+
+            const bins = new Array(HISTOGRAM_BINS).fill(0);
+            let total = 0;
+            for (const record of population) {
+                const value = record.genes[gene.name];
+                if (value === undefined) continue; // Record from before the gene existed
+                const bin = Math.floor(((value - gene.min) / span) * HISTOGRAM_BINS);
+                bins[Math.max(0, Math.min(HISTOGRAM_BINS - 1, bin))]++;
+                total += value;
+            }
+            const largest = Math.max(...bins, 1);
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+            ctx.fillRect(left, top + labelHeight, width, plotHeight);
+
+            ctx.fillStyle = gene.graph ? gene.graph.color : DEFAULT_BAR_COLOR;
+            const barWidth = width / HISTOGRAM_BINS;
+            bins.forEach((count, bin) => {
+                const barHeight = (count / largest) * plotHeight;
+                ctx.fillRect(left + bin * barWidth, top + labelHeight + plotHeight - barHeight, Math.max(1, barWidth - 1), barHeight);
+            });
+
+            let label = gene.label;
+            if (population.length > 0) {
+                const mean = total / population.length;
+                const meanX = left + ((mean - gene.min) / span) * width;
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(meanX, top + labelHeight, 1, plotHeight);
+                label += ` (${mean.toFixed(2)})`;
+            }
+
+            ctx.fillStyle = '#cccccc';
+            ctx.fillText(label, left, top);
+        });
+    }
+
+    /**
+     * Scatter plot of the two selected genes, points coloured by hue
+     */
+    drawScatter(population) {
+        const ctx = this.prepareCanvas(this.scatterCanvas);
+        const xGene = GENE_REGISTRY.find(gene => gene.name === this.xGene);
+        const yGene = GENE_REGISTRY.find(gene => gene.name === this.yGene);
+        const width = this.scatterCanvas.width;
+        const height = this.scatterCanvas.height;
+        const padding = 28;
+
+        const toX = (value) => padding + ((value - xGene.min) / (xGene.max - xGene.min)) * (width - padding * 2);
+        const toY = (value) => height - padding - ((value - yGene.min) / (yGene.max - yGene.min)) * (height - padding * 2);
+
+        // Axes with their bounds
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(padding, padding, width - padding * 2, height - padding * 2);
+
+        ctx.fillStyle = '#cccccc';
+        ctx.font = '10px Arial';
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(String(xGene.min), padding, height - padding + 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(String(xGene.max), width - padding, height - padding + 4);
+        ctx.textAlign = 'center';
+        ctx.fillText(xGene.label, width / 2, height - padding + 4);
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${yGene.label} (${yGene.min} - ${yGene.max})`, padding, padding - 4);
+
+        for (const record of population) {
+            const x = record.genes[xGene.name];
+            const y = record.genes[yGene.name];
+            if (x === undefined || y === undefined) continue;
+
+            ctx.fillStyle = `hsl(${Math.round(record.genes.hue * 360)}, 70%, 55%)`;
+            ctx.beginPath();
+            ctx.arc(toX(x), toY(y), 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
@@ -0,0 +1,284 @@
+import { CONFIG_EDITOR } from '../config.js';
+import { scenarioManager } from '../core/ScenarioManager.js';
+
+// Badge shown for each CONFIG_EDITOR.APPLY timing (live values get none)
+const APPLY_BADGES = {
+    spawn: { label: 'new', title: 'Applies to creatures, trees and fruit created from now on; reset to apply it to all' },
+    reset: { label: 'reset', title: 'Takes effect at the next Reset Simulation' },
+    reload: { label: 'reload', title: 'Takes effect when the page is reloaded (the URL keeps the change)' },
+};
+
+/**
+ * ConfigEditorPanel - Edit the config.js values without touching the source
+ *
+ * Generated from the *_CONFIG objects that ScenarioManager knows: a collapsible group
+ * per object and a typed input per number, boolean or string value (colours get a
+ * colour picker), with its allowed range and a button back to the default. Edits are
+ * ScenarioManager overrides, so the page URL shares them like a preset's settings.
+ * Most values are read whenever they are used and apply at once; the rest carry a
+ * badge saying when they take effect (CONFIG_EDITOR.APPLY).
+ */
+export class ConfigEditorPanel {
+    constructor() {
+        this.isVisible = false;
+        this.entries = new Map();     // 'SECTION.KEY' -> { name, key, defaultValue, limits, input, row, resetButton }
+        this.onChangeCallback = null; // (section, key) after an edit, so the control panel can follow it
+        this.onCloseCallback = null;  // Notifies the control panel when closed from here
+
+        this.createPanel();
+    }
+
+    /**
+     * When an edit of a config value takes effect: 'live', 'spawn', 'reset' or 'reload'
+     */
+    static getApplyTiming(name, key) {
+        const apply = CONFIG_EDITOR.APPLY;
+        return apply[`${name}.${key}`] || apply[`${name}.*`] || 'live';
+    }
+
+    /**
+     * [min, max] a number may take (values without listed limits keep the sign of their default)
+     */
+    static getLimits(name, key, defaultValue) {
+        const limits = CONFIG_EDITOR.LIMITS[`${name}.${key}`];
+        if (limits) return limits;
+        return defaultValue < 0 ? [-Infinity, 0] : [0, Infinity];
+    }
+
+    /**
+     * Colour value as the '#rrggbb' a colour input expects (config colours are strings or parsed integers)
+     */
+    static toColorString(value) {
+        return typeof value === 'number'
+            ? `#${value.toString(16).padStart(6, '0')}`
+            : value.slice(0, 7).toLowerCase();
+    }
+
+    /**
+     * Create the panel HTML, one group per config object
+     */
+    createPanel() {
+        const groups = Object.entries(scenarioManager.defaults)
+            .map(([name, values]) => {
+                const rows = Object.entries(values)
+                    .filter(([key]) => !CONFIG_EDITOR.HIDDEN.includes(`${name}.${key}`))
+                    .map(([key, value]) => this.createRow(name, key, value))
+                    .join('');
+                return `<details class="config-group"><summary>${name}</summary>${rows}</details>`;
+            })
+            .join('');
+
+        const panel = document.createElement('div');
+        panel.id = 'config-editor';
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <div class="panel-header">
+                <h3>Advanced Config</h3>
+                <button id="btn-close-config" class="toggle-button" title="Close">×</button>
+            </div>
+            <input type="text" id="config-filter" class="text-input" placeholder="Filter, e.g. GRAVITY or mutation">
+            <div class="lineage-summary">
+                Changes apply live unless marked
+                ${Object.values(APPLY_BADGES).map(badge => `<span class="config-badge" title="${badge.title}">${badge.label}</span>`).join(' ')}
+            </div>
+            <div id="config-groups" class="config-groups">${groups}</div>
+        `;
+        document.body.appendChild(panel);
+        this.panel = panel;
+
+        for (const row of panel.querySelectorAll('.config-row')) {
+            const [name, key] = row.dataset.id.split('.');
+            const defaultValue = scenarioManager.defaults[name][key];
+            this.entries.set(row.dataset.id, {
+                name,
+                key,
+                defaultValue,
+                limits: ConfigEditorPanel.getLimits(name, key, defaultValue),
+                input: row.querySelector('.config-input'),
+                row,
+                resetButton: row.querySelector('.config-default'),
+            });
+        }
+
+        document.getElementById('btn-close-config').addEventListener('click', () => {
+            this.setVisible(false);
+            if (this.onCloseCallback) {
+                this.onCloseCallback();
+            }
+        });
+
+        document.getElementById('config-filter').addEventListener('input', (e) => {
+            this.filter(e.target.value);
+        });
+
+        // One listener per kind of event for all rows
+        const groupsElement = document.getElementById('config-groups');
+        groupsElement.addEventListener('change', (e) => {
+            const row = e.target.closest('.config-row');
+            if (row) {
+                this.handleChange(this.entries.get(row.dataset.id));
+            }
+        });
+        groupsElement.addEventListener('click', (e) => {
+            if (e.target.classList.contains('config-default')) {
+                const entry = this.entries.get(e.target.closest('.config-row').dataset.id);
+                this.setValue(entry, entry.defaultValue);
+            }
+        });
+    }
+
+    /**
+     * HTML of one value's row: name, typed input, range hint, timing badge and default button
+     */
+    createRow(name, key, defaultValue) {
+        const id = `${name}.${key}`;
+        const options = CONFIG_EDITOR.OPTIONS[id];
+        let input;
+        let hint = '';
+
+        if (typeof defaultValue === 'boolean') {
+            input = '<input type="checkbox" class="config-input">';
+        } else if (options) {
+            input = `<select class="config-input text-input">${options.map(option => `<option value="${option}">${option}</option>`).join('')}</select>`;
+        } else if (key.endsWith('_COLOR')) {
+            input = '<input type="color" class="config-input">';
+        } else if (typeof defaultValue === 'string') {
+            input = '<input type="text" class="config-input text-input">';
+        } else {
+            // Numbers, and null for unset values (e.g. SEED) that take a number
+            const [min, max] = ConfigEditorPanel.getLimits(name, key, defaultValue);
+            const bounds = `${Number.isFinite(min) ? `min="${min}"` : ''} ${Number.isFinite(max) ? `max="${max}"` : ''}`;
+            input = `<input type="number" class="config-input text-input" step="any" ${bounds} ${defaultValue === null ? 'placeholder="none"' : ''}>`;
+            if (Number.isFinite(max)) {
+                hint = `${Number.isFinite(min) ? +min.toFixed(4) : '-∞'} – ${+max.toFixed(4)}`;
+            } else if (min === 0) {
+                hint = '≥ 0';
+            } else if (max === 0) {
+                hint = '≤ 0';
+            }
+        }
+
+        const badge = APPLY_BADGES[ConfigEditorPanel.getApplyTiming(name, key)];
+        const defaultText = defaultValue === null ? 'none' : String(defaultValue);
+        return `
+            <div class="config-row" data-id="${id}">
+                <span class="config-key" title="${id}">${key}</span>
+                ${input}
+                <span class="config-hint">${hint}</span>
+                ${badge ? `<span class="config-badge" title="${badge.title}">${badge.label}</span>` : '<span></span>'}
+                <button class="config-default inline-toggle" title="Back to the default (${defaultText})">↺</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    setVisible(visible) {
+        this.isVisible = visible;
+        this.panel.style.display = visible ? 'flex' : 'none';
+        if (visible) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Show only values whose 'SECTION.KEY' contains the text, opening the groups that have any
+     */
+    filter(text) {
+        const query = text.trim().toUpperCase().replace(/ /g, '_');
+        for (const group of this.panel.querySelectorAll('.config-group')) {
+            let matches = 0;
+            for (const row of group.querySelectorAll('.config-row')) {
+                const match = row.dataset.id.includes(query);
+                row.style.display = match ? '' : 'none';
+                if (match) matches++;
+            }
+            group.style.display = matches > 0 ? '' : 'none';
+            group.open = query !== '' && matches > 0;
+        }
+    }
+
+    /**
+     * Apply the value typed into a row (invalid input puts the current value back)
+     */
+    handleChange(entry) {
+        const value = this.readInput(entry);
+        if (value === undefined) {
+            this.updateRow(entry, true);
+            return;
+        }
+        this.setValue(entry, value);
+    }
+
+    /**
+     * Write a value to the config (through ScenarioManager) and let the control panel follow it
+     */
+    setValue(entry, value) {
+        if (value === entry.defaultValue) {
+            scenarioManager.resetOverride(entry.name, entry.key);
+        } else {
+            scenarioManager.setOverride(entry.name, entry.key, value);
+        }
+        this.updateRow(entry, true);
+
+        if (this.onChangeCallback) {
+            this.onChangeCallback(entry.name, entry.key);
+        }
+    }
+
+    /**
+     * Value of a row's input in the type of its default (undefined if it is not a valid value)
+     */
+    readInput(entry) {
+        const { input, defaultValue } = entry;
+        if (input.type === 'checkbox') return input.checked;
+        if (input.type === 'color') {
+            return typeof defaultValue === 'number' ? parseInt(input.value.slice(1), 16) : input.value;
+        }
+        if (typeof defaultValue === 'string') return input.value;
+
+        if (input.value.trim() === '') {
+            return defaultValue === null ? null : undefined;
+        }
+        const number = Number(input.value);
+        if (!Number.isFinite(number)) return undefined;
+
+        const [min, max] = entry.limits;
+        return Math.max(min, Math.min(max, number));
+    }
+
+    /**
+     * Show a row's current config value and whether it differs from the default
+     * @param {boolean} force - Also overwrite the input while it has focus
+     */
+    updateRow(entry, force = false) {
+        const { input } = entry;
+        const value = scenarioManager.sections[entry.name][entry.key];
+
+        // Leave a value that is being typed alone
+        if (force || document.activeElement !== input) {
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else if (input.type === 'color') {
+                input.value = ConfigEditorPanel.toColorString(value);
+            } else {
+                input.value = value === null ? '' : value;
+            }
+        }
+
+        const isModified = value !== entry.defaultValue;
+        entry.row.classList.toggle('modified', isModified);
+        entry.resetButton.disabled = !isModified;
+    }
+
+    /**
+     * Show the current config values (after presets, resets and control panel changes)
+     */
+    refresh() {
+        if (!this.isVisible) return;
+        for (const entry of this.entries.values()) {
+            this.updateRow(entry);
+        }
+    }
+}
@@ -1,15 +1,28 @@
-import { WORLD_CONFIG, UI_CONFIG, TREE_CONFIG } from '../config.js';
+import { WORLD_CONFIG, UI_CONFIG, TREE_CONFIG, GENETICS_CONFIG, DAY_NIGHT_CONFIG, ENVIRONMENT_CONFIG, NEURAL_CONFIG, DEATH_CAUSES, SCENARIO_PRESETS } from '../config.js';
 import { soundManager } from '../utils/SoundManager.js';
+import { scenarioManager } from '../core/ScenarioManager.js';
 
 /**
  * ControlPanel - UI overlay for simulation controls
  */
 export class ControlPanel {
-    constructor(world) {
+    /**
+     * @param {World} world - Simulation to control
+     * @param {LineagePanel|null} lineagePanel - Family tree viewer toggled from this panel
+     * @param {AnalyticsPanel|null} analyticsPanel - Gene distribution viewer toggled from this panel
+     * @param {ConfigEditorPanel|null} configEditor - Advanced config editor toggled from this panel
+     */
+    constructor(world, lineagePanel = null, analyticsPanel = null, configEditor = null) {
         this.world = world;
+        this.lineagePanel = lineagePanel;
+        this.analyticsPanel = analyticsPanel;
+        this.configEditor = configEditor;
         this.creatureCount = WORLD_CONFIG.DEFAULT_CREATURE_COUNT;
+        this.carnivoreCount = WORLD_CONFIG.DEFAULT_CARNIVORE_COUNT;
         this.treeCount = TREE_CONFIG.COUNT;
         this.islandRadius = WORLD_CONFIG.ISLAND_RADIUS;
+        this.seed = WORLD_CONFIG.SEED; // null = random seed on each reset
+        this.brainType = NEURAL_CONFIG.DEFAULT_BRAIN_TYPE;
         this.isMuted = false;
         this.volumeBeforeMute = UI_CONFIG.DEFAULT_VOLUME;
 
@@ -39,6 +52,8 @@ export class ControlPanel {
      * Create the control panel HTML
      */
     createPanel() {
+        const causeLabels = DEATH_CAUSES.map(cause => cause.label.toLowerCase()).join(' / ');
+
         const panel = document.createElement('div');
         panel.id = 'control-panel';
         panel.innerHTML = `
@@ -54,18 +69,54 @@ export class ControlPanel {
                     <span class="stat-label">Population:</span>
                     <span id="stat-population" class="stat-value">0</span>
                 </div>
+                <div class="stat-item">
+                    <span class="stat-label">Herbivores / Carnivores:</span>
+                    <span id="stat-species" class="stat-value">0 / 0</span>
+                </div>
                 <div class="stat-item">
                     <span class="stat-label">Food Available:</span>
                     <span id="stat-food" class="stat-value">0</span>
                 </div>
+                <div class="stat-item">
+                    <span class="stat-label">Living Trees:</span>
+                    <span id="stat-trees" class="stat-value">0</span>
+                </div>
                 <div class="stat-item">
                     <span class="stat-label">Total Births:</span>
                     <span id="stat-births" class="stat-value">0</span>
                 </div>
+                <div class="stat-item">
+                    <span class="stat-label">Deaths (${causeLabels}):</span>
+                    <span id="stat-deaths" class="stat-value">0</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Deaths / min (${causeLabels}):</span>
+                    <span id="stat-death-rates" class="stat-value">-</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Juveniles / Adults / Elders:</span>
+                    <span id="stat-age-structure" class="stat-value">-</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Life Expectancy (herb. / carn.):</span>
+                    <span id="stat-life-expectancy" class="stat-value">-</span>
+                </div>
                 <div class="stat-item">
                     <span class="stat-label">Simulation Time:</span>
                     <span id="stat-time" class="stat-value">0s</span>
                 </div>
+                <div class="stat-item">
+                    <span class="stat-label">Time of Day:</span>
+                    <span id="stat-clock" class="stat-value">-</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Season:</span>
+                    <span id="stat-season" class="stat-value">-</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Seed:</span>
+                    <span id="stat-seed" class="stat-value">-</span>
+                </div>
             </div>
 
             <div class="controls-section">
@@ -75,6 +126,13 @@ export class ControlPanel {
                     <button id="btn-step-forward" class="action-button half-width" title="Step Forward (1 frame)" disabled>▶|</button>
                 </div>
 
+                <div class="button-group">
+                    <button id="btn-save-snapshot" class="action-button half-width" title="Download a snapshot of the current run">Save</button>
+                    <button id="btn-load-snapshot" class="action-button half-width" title="Resume a run from a snapshot file">Load</button>
+                    <input type="file" id="snapshot-file-input" accept=".json,application/json" style="display: none;">
+                </div>
+                <button id="btn-export-data" class="action-button" title="Download the graph's statistics history as CSV and JSON, with run metadata">Export Data</button>
+
                 <div class="control-group speed-control">
                     <label for="speed-slider">
                         <span class="label-text">Simulation Speed: <span id="speed-value">${UI_CONFIG.DEFAULT_SPEED.toFixed(1)}x</span></span>
@@ -98,6 +156,34 @@ export class ControlPanel {
                     </label>
                 </div>
 
+                <div class="control-group checkbox-control">
+                    <label title="Ready creatures seek a partner; offspring mix both parents' genes">
+                        <input type="checkbox" id="sexual-reproduction-checkbox" ${GENETICS_CONFIG.SEXUAL_REPRODUCTION ? 'checked' : ''}>
+                        Sexual Reproduction
+                    </label>
+                </div>
+
+                <div class="control-group checkbox-control">
+                    <label title="Animated sun and sky; less fruit and shorter sight at night, well-fed creatures sleep">
+                        <input type="checkbox" id="day-night-checkbox" ${DAY_NIGHT_CONFIG.ENABLED ? 'checked' : ''}>
+                        Day/Night Cycle
+                    </label>
+                </div>
+
+                <div class="control-group">
+                    <label for="day-length-slider">
+                        <span class="label-text">Day Length: <span id="day-length-value">${DAY_NIGHT_CONFIG.DAY_LENGTH}</span>s</span>
+                    </label>
+                    <input type="range" id="day-length-slider" min="${UI_CONFIG.DAY_LENGTH_SLIDER_MIN}" max="${UI_CONFIG.DAY_LENGTH_SLIDER_MAX}" value="${DAY_NIGHT_CONFIG.DAY_LENGTH}" step="${UI_CONFIG.DAY_LENGTH_SLIDER_STEP}">
+                </div>
+
+                <div class="control-group checkbox-control">
+                    <label title="Seasonal fruiting and food lifetime, cold winters, rain, storms and droughts">
+                        <input type="checkbox" id="environment-checkbox" ${ENVIRONMENT_CONFIG.ENABLED ? 'checked' : ''}>
+                        Seasons &amp; Weather
+                    </label>
+                </div>
+
                 <div class="control-group checkbox-control">
                     <label>
                         <input type="checkbox" id="show-graph-checkbox" checked>
@@ -105,6 +191,27 @@ export class ControlPanel {
                     </label>
                 </div>
 
+                <div class="control-group checkbox-control">
+                    <label>
+                        <input type="checkbox" id="show-lineage-checkbox">
+                        Show Family Tree
+                    </label>
+                </div>
+
+                <div class="control-group checkbox-control">
+                    <label>
+                        <input type="checkbox" id="show-analytics-checkbox">
+                        Show Gene Analytics
+                    </label>
+                </div>
+
+                <div class="control-group checkbox-control">
+                    <label title="Edit any config.js value; most changes apply while the simulation runs">
+                        <input type="checkbox" id="show-config-checkbox">
+                        Show Advanced Config
+                    </label>
+                </div>
+
                 <div class="control-group checkbox-control">
                     <label>
                         <input type="checkbox" id="dark-theme-checkbox">
@@ -129,6 +236,15 @@ export class ControlPanel {
 
             <div class="reset-section">
                 <h4>Reset Simulation</h4>
+                <div class="control-group">
+                    <label for="preset-select" title="Applies the preset's settings and resets; the page URL then shares the exact setup">
+                        <span class="label-text">Scenario</span>
+                    </label>
+                    <select id="preset-select" class="text-input">
+                        ${SCENARIO_PRESETS.map(preset => `<option value="${preset.id}" title="${preset.description}" ${preset.id === scenarioManager.presetId ? 'selected' : ''}>${preset.name}</option>`).join('')}
+                    </select>
+                </div>
+
                 <div class="control-group">
                     <label for="island-radius-slider">
                         <span class="label-text">Island Radius: <span id="island-radius-value">${WORLD_CONFIG.ISLAND_RADIUS}</span>m</span>
@@ -138,11 +254,18 @@ export class ControlPanel {
 
                 <div class="control-group">
                     <label for="creature-slider">
-                        <span class="label-text">Creatures: <span id="creature-value">${WORLD_CONFIG.DEFAULT_CREATURE_COUNT}</span></span>
+                        <span class="label-text">Herbivores: <span id="creature-value">${WORLD_CONFIG.DEFAULT_CREATURE_COUNT}</span></span>
                     </label>
                     <input type="range" id="creature-slider" min="${UI_CONFIG.CREATURE_SLIDER_MIN}" max="${UI_CONFIG.CREATURE_SLIDER_MAX}" value="${WORLD_CONFIG.DEFAULT_CREATURE_COUNT}" step="${UI_CONFIG.CREATURE_SLIDER_STEP}">
                 </div>
 
+                <div class="control-group">
+                    <label for="carnivore-slider">
+                        <span class="label-text">Carnivores: <span id="carnivore-value">${WORLD_CONFIG.DEFAULT_CARNIVORE_COUNT}</span></span>
+                    </label>
+                    <input type="range" id="carnivore-slider" min="${UI_CONFIG.CARNIVORE_SLIDER_MIN}" max="${UI_CONFIG.CARNIVORE_SLIDER_MAX}" value="${WORLD_CONFIG.DEFAULT_CARNIVORE_COUNT}" step="${UI_CONFIG.CARNIVORE_SLIDER_STEP}">
+                </div>
+
                 <div class="control-group">
                     <label for="tree-slider">
                         <span class="label-text">Trees: <span id="tree-value">${TREE_CONFIG.COUNT}</span></span>
@@ -150,6 +273,24 @@ export class ControlPanel {
                     <input type="range" id="tree-slider" min="${UI_CONFIG.TREE_SLIDER_MIN}" max="${UI_CONFIG.TREE_SLIDER_MAX}" value="${TREE_CONFIG.COUNT}" step="${UI_CONFIG.TREE_SLIDER_STEP}">
                 </div>
 
+                <div class="control-group">
+                    <label for="brain-select" title="Neural brains steer with an evolved network whose weights are inherited and mutated">
+                        <span class="label-text">Herbivore Brain</span>
+                    </label>
+                    <select id="brain-select" class="text-input">
+                        <option value="simple" ${NEURAL_CONFIG.DEFAULT_BRAIN_TYPE === 'simple' ? 'selected' : ''}>State machine</option>
+                        <option value="neural" ${NEURAL_CONFIG.DEFAULT_BRAIN_TYPE === 'neural' ? 'selected' : ''}>Neural network</option>
+                    </select>
+                </div>
+
+                <div class="control-group">
+                    <label for="seed-input">
+                        <span class="label-text">Seed</span>
+                        <button id="btn-reuse-seed" class="inline-toggle" title="Use the current run's seed">Current</button>
+                    </label>
+                    <input type="text" id="seed-input" class="text-input" placeholder="random" value="${WORLD_CONFIG.SEED ?? ''}" inputmode="numeric">
+                </div>
+
                 <button id="reset-button" class="reset-button">Reset Simulation</button>
             </div>
             </div>
@@ -179,6 +320,12 @@ export class ControlPanel {
      * Set up event listeners for controls
      */
     setupEventListeners() {
+        // Scenario preset (applies its config overrides and resets)
+        const presetSelect = document.getElementById('preset-select');
+        presetSelect.addEventListener('change', (e) => {
+            this.applyPreset(e.target.value);
+        });
+
         // Island radius slider
         const islandRadiusSlider = document.getElementById('island-radius-slider');
         const islandRadiusValue = document.getElementById('island-radius-value');
@@ -195,6 +342,14 @@ export class ControlPanel {
             creatureValue.textContent = this.creatureCount;
         });
 
+        // Carnivore slider
+        const carnivoreSlider = document.getElementById('carnivore-slider');
+        const carnivoreValue = document.getElementById('carnivore-value');
+        carnivoreSlider.addEventListener('input', (e) => {
+            this.carnivoreCount = parseInt(e.target.value);
+            carnivoreValue.textContent = this.carnivoreCount;
+        });
+
         // Tree slider
         const treeSlider = document.getElementById('tree-slider');
         const treeValue = document.getElementById('tree-value');
@@ -203,6 +358,26 @@ export class ControlPanel {
             treeValue.textContent = this.treeCount;
         });
 
+        // Brain type (per run - applied on reset)
+        const brainSelect = document.getElementById('brain-select');
+        brainSelect.addEventListener('change', (e) => {
+            this.brainType = e.target.value;
+        });
+
+        // Seed input (blank = random seed on reset)
+        const seedInput = document.getElementById('seed-input');
+        seedInput.addEventListener('input', (e) => {
+            const value = e.target.value.trim();
+            this.seed = value === '' || isNaN(Number(value)) ? null : Number(value);
+        });
+
+        // Copy the running seed into the input so the next reset replays this run
+        const reuseSeedBtn = document.getElementById('btn-reuse-seed');
+        reuseSeedBtn.addEventListener('click', () => {
+            seedInput.value = this.world.seed;
+            this.seed = this.world.seed;
+        });
+
         // Reset button
         const resetButton = document.getElementById('reset-button');
         resetButton.addEventListener('click', () => {
@@ -229,6 +404,33 @@ export class ControlPanel {
             }
         });
 
+        // Save snapshot button
+        const saveSnapshotBtn = document.getElementById('btn-save-snapshot');
+        saveSnapshotBtn.addEventListener('click', () => {
+            this.saveSnapshot();
+        });
+
+        // Export statistics button
+        const exportDataBtn = document.getElementById('btn-export-data');
+        exportDataBtn.disabled = !this.world.populationGraph;
+        exportDataBtn.addEventListener('click', () => {
+            this.exportData();
+        });
+
+        // Load snapshot button (opens hidden file picker)
+        const loadSnapshotBtn = document.getElementById('btn-load-snapshot');
+        const snapshotFileInput = document.getElementById('snapshot-file-input');
+        loadSnapshotBtn.addEventListener('click', () => {
+            snapshotFileInput.click();
+        });
+        snapshotFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadSnapshot(file);
+            }
+            e.target.value = ''; // Allow re-loading the same file
+        });
+
         // Volume slider
         const volumeSlider = document.getElementById('volume-slider');
         const volumeValue = document.getElementById('volume-value');
@@ -285,12 +487,84 @@ export class ControlPanel {
             this.world.setShowStateIcons(e.target.checked);
         });
 
+        // Sexual reproduction checkbox (applies immediately)
+        const sexualReproductionCheckbox = document.getElementById('sexual-reproduction-checkbox');
+        sexualReproductionCheckbox.addEventListener('change', (e) => {
+            this.world.setSexualReproduction(e.target.checked);
+            this.updateUrl();
+        });
+
+        // Day/night cycle checkbox and day length slider (apply immediately)
+        const dayNightCheckbox = document.getElementById('day-night-checkbox');
+        dayNightCheckbox.addEventListener('change', (e) => {
+            this.world.setDayNightEnabled(e.target.checked);
+            this.updateUrl();
+        });
+
+        const dayLengthSlider = document.getElementById('day-length-slider');
+        const dayLengthValue = document.getElementById('day-length-value');
+        dayLengthSlider.addEventListener('input', (e) => {
+            const seconds = parseInt(e.target.value);
+            this.world.setDayLength(seconds);
+            dayLengthValue.textContent = seconds;
+        });
+        dayLengthSlider.addEventListener('change', () => {
+            this.updateUrl(); // Once the slider is released
+        });
+
+        // Seasons and weather checkbox (applies immediately)
+        const environmentCheckbox = document.getElementById('environment-checkbox');
+        environmentCheckbox.addEventListener('change', (e) => {
+            this.world.setEnvironmentEnabled(e.target.checked);
+            this.updateUrl();
+        });
+
         // Show graph checkbox
         const showGraphCheckbox = document.getElementById('show-graph-checkbox');
         showGraphCheckbox.addEventListener('change', (e) => {
             this.world.setShowGraph(e.target.checked);
         });
 
+        // Family tree checkbox
+        const showLineageCheckbox = document.getElementById('show-lineage-checkbox');
+        if (this.lineagePanel) {
+            showLineageCheckbox.addEventListener('change', (e) => {
+                this.lineagePanel.setVisible(e.target.checked);
+            });
+            this.lineagePanel.onCloseCallback = () => {
+                showLineageCheckbox.checked = false;
+            };
+        } else {
+            showLineageCheckbox.disabled = true;
+        }
+
+        // Gene analytics checkbox
+        const showAnalyticsCheckbox = document.getElementById('show-analytics-checkbox');
+        if (this.analyticsPanel) {
+            showAnalyticsCheckbox.addEventListener('change', (e) => {
+                this.analyticsPanel.setVisible(e.target.checked);
+            });
+            this.analyticsPanel.onCloseCallback = () => {
+                showAnalyticsCheckbox.checked = false;
+            };
+        } else {
+            showAnalyticsCheckbox.disabled = true;
+        }
+
+        // Advanced config editor checkbox
+        const showConfigCheckbox = document.getElementById('show-config-checkbox');
+        if (this.configEditor) {
+            showConfigCheckbox.addEventListener('change', (e) => {
+                this.configEditor.setVisible(e.target.checked);
+            });
+            this.configEditor.onCloseCallback = () => {
+                showConfigCheckbox.checked = false;
+            };
+            this.configEditor.onChangeCallback = (name, key) => this.applyConfigChange(name, key);
+        } else {
+            showConfigCheckbox.disabled = true;
+        }
+
         // Dark theme checkbox
         const darkThemeCheckbox = document.getElementById('dark-theme-checkbox');
         darkThemeCheckbox.addEventListener('change', (e) => {
@@ -343,9 +617,28 @@ export class ControlPanel {
         setInterval(() => {
             const stats = this.world.getStats();
             document.getElementById('stat-population').textContent = stats.population;
+            document.getElementById('stat-species').textContent = `${stats.herbivoreCount} / ${stats.carnivoreCount}`;
             document.getElementById('stat-food').textContent = stats.foodCount;
+            document.getElementById('stat-trees').textContent = `${stats.treeCount} (avg ${stats.avgTreeHeight.toFixed(1)}m)`;
             document.getElementById('stat-births').textContent = stats.totalBirths;
+            document.getElementById('stat-deaths').textContent =
+                `${stats.totalDeaths}: ${DEATH_CAUSES.map(cause => stats.deathsByCause[cause.name]).join(' / ')}`;
+            document.getElementById('stat-death-rates').textContent =
+                DEATH_CAUSES.map(cause => (stats.deathRates[cause.name] * 60).toFixed(1)).join(' / ');
+            const ageStructure = (stages) => `${stages.juvenile} / ${stages.adult} / ${stages.elder}`;
+            document.getElementById('stat-age-structure').textContent =
+                `${ageStructure(stats.ageStructure.herbivore)} (carn. ${ageStructure(stats.ageStructure.carnivore)})`;
+            const lifeExpectancy = (age) => age === null ? '-' : `${Math.round(age)}s`;
+            document.getElementById('stat-life-expectancy').textContent =
+                `${lifeExpectancy(stats.lifeExpectancy.herbivore)} / ${lifeExpectancy(stats.lifeExpectancy.carnivore)}`;
             document.getElementById('stat-time').textContent = stats.simulationTime + 's';
+            document.getElementById('stat-seed').textContent = stats.seed;
+
+            const dayNight = this.world.dayNight;
+            document.getElementById('stat-clock').textContent = !dayNight.enabled
+                ? 'off'
+                : `${dayNight.getClockString()}${dayNight.isNight() ? ' (night)' : ''}`;
+            document.getElementById('stat-season').textContent = this.world.environment.getDescription();
         }, 100); // Update 10 times per second
     }
 
@@ -353,10 +646,226 @@ export class ControlPanel {
      * Reset the simulation with current slider values
      */
     resetSimulation() {
-        console.log(`Resetting simulation: ${this.creatureCount} creatures, ${this.treeCount} trees, ${this.islandRadius}m radius`);
-        this.world.reset(this.creatureCount, this.treeCount, this.islandRadius);
+        console.log(`Resetting simulation: ${this.creatureCount} herbivores (${this.brainType} brain), ${this.carnivoreCount} carnivores, ${this.treeCount} trees, ${this.islandRadius}m radius`);
+        this.world.setBrainType(this.brainType);
+        this.world.reset(this.creatureCount, this.treeCount, this.islandRadius, this.seed, this.carnivoreCount);
+        this.resetPlaybackButtons();
+        this.updateUrl();
+    }
+
+    /**
+     * Switch to a scenario preset: apply its overrides, bring every control in line and reset
+     * @param {string} id - SCENARIO_PRESETS id
+     */
+    applyPreset(id) {
+        scenarioManager.applyPreset(id);
+        this.syncControlsToConfig();
+        this.resetSimulation();
+    }
 
-        // Re-enable play/pause buttons after reset
+    /**
+     * Load the reset settings and live toggles from the (scenario-adjusted) config into the panel and world
+     */
+    syncControlsToConfig() {
+        this.creatureCount = WORLD_CONFIG.DEFAULT_CREATURE_COUNT;
+        this.carnivoreCount = WORLD_CONFIG.DEFAULT_CARNIVORE_COUNT;
+        this.treeCount = TREE_CONFIG.COUNT;
+        this.islandRadius = WORLD_CONFIG.ISLAND_RADIUS;
+        this.seed = WORLD_CONFIG.SEED;
+        this.brainType = NEURAL_CONFIG.DEFAULT_BRAIN_TYPE;
+
+        const sliders = [
+            ['creature', this.creatureCount],
+            ['carnivore', this.carnivoreCount],
+            ['tree', this.treeCount],
+            ['island-radius', this.islandRadius],
+            ['day-length', DAY_NIGHT_CONFIG.DAY_LENGTH],
+        ];
+        for (const [name, value] of sliders) {
+            this.setSliderValue(name, value);
+        }
+        document.getElementById('seed-input').value = this.seed ?? '';
+        document.getElementById('brain-select').value = this.brainType;
+        document.getElementById('preset-select').value = scenarioManager.presetId;
+
+        this.world.setSexualReproduction(GENETICS_CONFIG.SEXUAL_REPRODUCTION);
+        this.world.setDayNightEnabled(DAY_NIGHT_CONFIG.ENABLED);
+        this.world.setDayLength(DAY_NIGHT_CONFIG.DAY_LENGTH);
+        this.world.setEnvironmentEnabled(ENVIRONMENT_CONFIG.ENABLED);
+        document.getElementById('sexual-reproduction-checkbox').checked = GENETICS_CONFIG.SEXUAL_REPRODUCTION;
+        document.getElementById('day-night-checkbox').checked = DAY_NIGHT_CONFIG.ENABLED;
+        document.getElementById('environment-checkbox').checked = ENVIRONMENT_CONFIG.ENABLED;
+    }
+
+    /**
+     * Bring the panel's own control for a value edited in the config editor (and the world
+     * toggle it drives) in line with the config, then record the edit in the URL
+     */
+    applyConfigChange(name, key) {
+        const value = scenarioManager.sections[name][key];
+        switch (`${name}.${key}`) {
+            case 'WORLD_CONFIG.DEFAULT_CREATURE_COUNT':
+                this.creatureCount = value;
+                this.setSliderValue('creature', value);
+                break;
+            case 'WORLD_CONFIG.DEFAULT_CARNIVORE_COUNT':
+                this.carnivoreCount = value;
+                this.setSliderValue('carnivore', value);
+                break;
+            case 'TREE_CONFIG.COUNT':
+                this.treeCount = value;
+                this.setSliderValue('tree', value);
+                break;
+            case 'WORLD_CONFIG.ISLAND_RADIUS':
+                this.islandRadius = value;
+                this.setSliderValue('island-radius', value);
+                break;
+            case 'WORLD_CONFIG.SEED':
+                this.seed = value;
+                document.getElementById('seed-input').value = value ?? '';
+                break;
+            case 'NEURAL_CONFIG.DEFAULT_BRAIN_TYPE':
+                this.brainType = value;
+                document.getElementById('brain-select').value = value;
+                break;
+            case 'GENETICS_CONFIG.SEXUAL_REPRODUCTION':
+                this.world.setSexualReproduction(value);
+                document.getElementById('sexual-reproduction-checkbox').checked = value;
+                break;
+            case 'DAY_NIGHT_CONFIG.ENABLED':
+                this.world.setDayNightEnabled(value);
+                document.getElementById('day-night-checkbox').checked = value;
+                break;
+            case 'DAY_NIGHT_CONFIG.DAY_LENGTH':
+                this.world.setDayLength(value);
+                this.setSliderValue('day-length', value);
+                break;
+            case 'ENVIRONMENT_CONFIG.ENABLED':
+                this.world.setEnvironmentEnabled(value);
+                document.getElementById('environment-checkbox').checked = value;
+                break;
+            case 'UI_CONFIG.SHOW_STATE_ICONS':
+                this.world.setShowStateIcons(value);
+                document.getElementById('show-icons-checkbox').checked = value;
+                break;
+            case 'UI_CONFIG.SHOW_TREES':
+                this.world.setShowTrees(value);
+                document.getElementById('show-trees-checkbox').checked = value;
+                break;
+        }
+        this.updateUrl();
+    }
+
+    /**
+     * Move one of the reset section's sliders (and its value label)
+     * @param {string} name - Slider id prefix, e.g. 'creature' for #creature-slider
+     */
+    setSliderValue(name, value) {
+        document.getElementById(`${name}-slider`).value = value;
+        document.getElementById(`${name}-value`).textContent = value;
+    }
+
+    /**
+     * Record panel settings that differ from the scenario as overrides and put the setup in the
+     * page URL, so the link reproduces this run (exactly, once a seed is set)
+     */
+    updateUrl() {
+        const settings = [
+            ['WORLD_CONFIG', 'DEFAULT_CREATURE_COUNT', this.creatureCount],
+            ['WORLD_CONFIG', 'DEFAULT_CARNIVORE_COUNT', this.carnivoreCount],
+            ['WORLD_CONFIG', 'ISLAND_RADIUS', this.islandRadius],
+            ['WORLD_CONFIG', 'SEED', this.seed],
+            ['TREE_CONFIG', 'COUNT', this.treeCount],
+            ['NEURAL_CONFIG', 'DEFAULT_BRAIN_TYPE', this.brainType],
+            ['GENETICS_CONFIG', 'SEXUAL_REPRODUCTION', this.world.sexualReproduction],
+            ['DAY_NIGHT_CONFIG', 'ENABLED', this.world.dayNight.enabled],
+            ['DAY_NIGHT_CONFIG', 'DAY_LENGTH', this.world.dayNight.dayLength],
+            ['ENVIRONMENT_CONFIG', 'ENABLED', this.world.environment.enabled],
+        ];
+        for (const [section, key, value] of settings) {
+            if (scenarioManager.getValue(section, key) !== value) {
+                scenarioManager.setOverride(section, key, value);
+            }
+        }
+
+        const query = scenarioManager.toQueryString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        if (this.configEditor) {
+            this.configEditor.refresh();
+        }
+    }
+
+    /**
+     * Download the current simulation state as a JSON snapshot file
+     */
+    saveSnapshot() {
+        const snapshot = this.world.serialize();
+        this.downloadFile(`island-snapshot-seed${snapshot.random.seed}-t${Math.floor(snapshot.time)}.json`,
+            JSON.stringify(snapshot), 'application/json');
+    }
+
+    /**
+     * Download the population graph's stored statistics history as CSV and JSON files
+     */
+    exportData() {
+        const graph = this.world.populationGraph;
+        const metadata = this.world.getRunMetadata();
+        const baseName = `island-stats-seed${metadata.seed}-t${Math.floor(metadata.simulationTime)}`;
+        this.downloadFile(`${baseName}.csv`, graph.exportCSV(metadata), 'text/csv');
+        this.downloadFile(`${baseName}.json`, graph.exportJSON(metadata), 'application/json');
+    }
+
+    /**
+     * Offer text content to the user as a file download
+     */
+    downloadFile(fileName, content, type) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Replace the running simulation with a snapshot file chosen by the user
+     */
+    async loadSnapshot(file) {
+        try {
+            const snapshot = JSON.parse(await file.text());
+            this.world.deserialize(snapshot);
+        } catch (error) {
+            console.error('Failed to load snapshot:', error);
+            alert(`Could not load snapshot: ${error.message}`);
+            return;
+        }
+
+        // Keep controls in sync with the loaded run
+        document.getElementById('sexual-reproduction-checkbox').checked = this.world.sexualReproduction;
+        document.getElementById('day-night-checkbox').checked = this.world.dayNight.enabled;
+        document.getElementById('day-length-slider').value = this.world.dayNight.dayLength;
+        document.getElementById('day-length-value').textContent = this.world.dayNight.dayLength;
+        document.getElementById('environment-checkbox').checked = this.world.environment.enabled;
+
+        // Keep reset sliders in sync with the loaded island
+        this.islandRadius = WORLD_CONFIG.ISLAND_RADIUS;
+        document.getElementById('island-radius-slider').value = this.islandRadius;
+        document.getElementById('island-radius-value').textContent = this.islandRadius;
+        this.brainType = this.world.brainType;
+        document.getElementById('brain-select').value = this.brainType;
+
+        this.resetPlaybackButtons();
+    }
+
+    /**
+     * Re-enable play/pause buttons after a reset or snapshot load
+     */
+    resetPlaybackButtons() {
         const playPauseBtn = document.getElementById('btn-play-pause');
         const stepForwardBtn = document.getElementById('btn-step-forward');
         if (playPauseBtn) {
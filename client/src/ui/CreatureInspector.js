@@ -0,0 +1,146 @@
+import { GENE_REGISTRY } from '../config.js';
+
+/**
+ * CreatureInspector - Live details for a creature picked in the 3D view
+ *
+ * Opened by Renderer picking (click a creature). Shows identity, vital stats,
+ * every gene and the traits derived from them, refreshed 10 times per second.
+ * The Follow button locks the camera onto the creature until it dies.
+ */
+export class CreatureInspector {
+    /**
+     * @param {World} world - Simulation the creature lives in
+     * @param {Renderer} renderer - Used for camera follow and the selection ring
+     */
+    constructor(world, renderer) {
+        this.world = world;
+        this.renderer = renderer;
+        this.creature = null;
+        this.isFollowing = false;
+
+        this.createPanel();
+    }
+
+    /**
+     * Create the inspector HTML (hidden until a creature is picked)
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'creature-inspector';
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <div class="panel-header">
+                <h3 id="inspector-title">Creature</h3>
+                <button id="btn-close-inspector" class="toggle-button" title="Close">×</button>
+            </div>
+            <div id="inspector-body" class="inspector-body"></div>
+            <button id="btn-follow-creature" class="action-button">Follow</button>
+        `;
+        document.body.appendChild(panel);
+
+        this.panel = panel;
+        this.title = document.getElementById('inspector-title');
+        this.body = document.getElementById('inspector-body');
+        this.followButton = document.getElementById('btn-follow-creature');
+
+        document.getElementById('btn-close-inspector').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.followButton.addEventListener('click', () => {
+            this.setFollowing(!this.isFollowing);
+        });
+
+        // Live update loop (only does work while a creature is shown)
+        setInterval(() => {
+            if (this.creature) {
+                this.update();
+            }
+        }, 100); // Update 10 times per second
+    }
+
+    /**
+     * Inspect a creature (replaces the previous one)
+     */
+    show(creature) {
+        if (this.isFollowing) {
+            this.setFollowing(false);
+        }
+        this.creature = creature;
+        this.renderer.setSelectedEntity(creature);
+        this.panel.style.display = 'flex';
+        this.update();
+    }
+
+    /**
+     * Close the inspector and release the camera
+     */
+    hide() {
+        this.setFollowing(false);
+        this.creature = null;
+        this.renderer.setSelectedEntity(null);
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * Lock or release the camera on the inspected creature
+     */
+    setFollowing(follow) {
+        this.isFollowing = follow && this.creature !== null && this.isAlive();
+        this.renderer.setFollowTarget(this.isFollowing ? this.creature : null);
+        this.followButton.textContent = this.isFollowing ? 'Stop Following' : 'Follow';
+    }
+
+    /**
+     * Whether the inspected creature is still part of the running world
+     */
+    isAlive() {
+        return !this.creature.isDead && this.world.creatures.includes(this.creature);
+    }
+
+    /**
+     * Refresh all displayed values
+     */
+    update() {
+        const c = this.creature;
+        const alive = this.isAlive();
+
+        // Died (or removed by a reset): keep the last values, release the camera
+        if (!alive && this.isFollowing) {
+            this.setFollowing(false);
+        }
+        this.followButton.disabled = !alive;
+
+        const cooldownLeft = Math.max(0, c.reproductionCooldown - c.timeSinceReproduction);
+        const status = alive ? c.state : `dead (${c.causeOfDeath || 'removed'})`;
+
+        this.title.textContent = `Creature #${c.id}`;
+        this.body.innerHTML = `
+            ${this.row('Species', c.species)}
+            ${c.species === 'herbivore' ? this.row('Brain', c.brainType === 'neural' ? 'neural network' : 'state machine') : ''}
+            ${this.row('Generation', c.generation)}
+            ${this.row('Parents', c.parentIds.length > 0 ? c.parentIds.map(id => `#${id}`).join(' + ') : 'founder')}
+            ${this.row('Age', `${c.age.toFixed(1)}s of ${c.dna.genes.maxLifespan.toFixed(0)}s (${c.getLifeStage()})`)}
+            ${this.row('Energy', `${Math.max(0, c.energy).toFixed(1)} / ${c.maxEnergy}`)}
+            ${this.row('Hydration', `${Math.max(0, c.hydration).toFixed(1)} / ${c.maxHydration}`)}
+            ${this.row('State', status)}
+            <h4>Genes</h4>
+            ${GENE_REGISTRY.map(gene => this.row(gene.label, c.dna.genes[gene.name].toFixed(3))).join('')}
+            <h4>Derived Traits</h4>
+            ${this.row('Speed', `${c.speed.toFixed(2)} u/s`)}
+            ${this.row('Perception', `${c.perceptionRadius.toFixed(1)} u`)}
+            ${this.row('Drain Rate', `${c.energyDrainRate.toFixed(2)} /s`)}
+            ${this.row('Thirst Rate', `${c.hydrationDrainRate.toFixed(2)} /s`)}
+            ${this.row('Body Size', `${c.getBodySize().toFixed(2)} (${(c.getGrowth() * 100).toFixed(0)}% grown)`)}
+            ${this.row('Max Jump', `${c.maxJumpHeight.toFixed(2)} m`)}
+            ${this.row('Repro. Cooldown', cooldownLeft > 0 ? `${cooldownLeft.toFixed(1)}s of ${c.reproductionCooldown}s` : `ready (${c.reproductionCooldown}s)`)}
+        `;
+    }
+
+    /**
+     * One label/value line in the control panel's stat style
+     */
+    row(label, value) {
+        return `<div class="stat-item"><span class="stat-label">${label}:</span><span class="stat-value">${value}</span></div>`;
+    }
+}
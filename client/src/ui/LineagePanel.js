@@ -0,0 +1,237 @@
+import { GENE_REGISTRY } from '../config.js';
+
+/**
+ * LineagePanel - Family tree viewer for the current run
+ *
+ * Draws every creature in World.lineage as a horizontal lifeline from birth to
+ * death (or now), one row per creature, with a vertical connector to its first
+ * parent. Rows are laid out depth-first from each founder so lineages stay
+ * grouped. Lines with living descendants are drawn in the creature's hue;
+ * extinct branches are greyed out. Click a row to see that creature's genes.
+ */
+export class LineagePanel {
+    constructor(world) {
+        this.world = world;
+        this.isVisible = false;
+        this.survivorsOnly = false;
+        this.selectedId = null;
+        this.layout = null; // Rows and scales from the last draw (for click hit-testing)
+        this.updateInterval = 1000; // Redraw once per second while visible (ms)
+        this.onCloseCallback = null; // Notifies the control panel when closed from here
+
+        this.createPanel();
+    }
+
+    /**
+     * Create the panel HTML
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'lineage-panel';
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <div class="panel-header">
+                <h3>Family Tree</h3>
+                <button id="btn-close-lineage" class="toggle-button" title="Close">×</button>
+            </div>
+            <div id="lineage-summary" class="lineage-summary"></div>
+            <canvas id="lineage-canvas"></canvas>
+            <div class="control-group checkbox-control">
+                <label>
+                    <input type="checkbox" id="lineage-survivors-checkbox">
+                    Surviving lineages only
+                </label>
+            </div>
+            <div id="lineage-details" class="lineage-details">Click a line to see that creature's genes</div>
+        `;
+        document.body.appendChild(panel);
+
+        this.panel = panel;
+        this.canvas = document.getElementById('lineage-canvas');
+        this.summary = document.getElementById('lineage-summary');
+        this.details = document.getElementById('lineage-details');
+
+        document.getElementById('btn-close-lineage').addEventListener('click', () => {
+            this.setVisible(false);
+            if (this.onCloseCallback) {
+                this.onCloseCallback();
+            }
+        });
+
+        document.getElementById('lineage-survivors-checkbox').addEventListener('change', (e) => {
+            this.survivorsOnly = e.target.checked;
+            this.draw();
+        });
+
+        this.canvas.addEventListener('click', (e) => this.handleClick(e));
+
+        setInterval(() => {
+            if (this.isVisible) {
+                this.draw();
+            }
+        }, this.updateInterval);
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    setVisible(visible) {
+        this.isVisible = visible;
+        this.panel.style.display = visible ? 'flex' : 'none';
+        if (visible) {
+            this.draw();
+        }
+    }
+
+    /**
+     * Order records into rows: depth-first from each founder, children in birth order
+     * Sexual offspring are placed under their first parent only.
+     */
+    buildRows(surviving) {
+        const registry = this.world.lineage;
+        const rows = [];
+        const founders = registry.getFounders().sort((a, b) => a.birthTime - b.birthTime);
+
+        // Iterative DFS (lineages can be thousands of generations deep)
+        const stack = founders.reverse();
+        while (stack.length > 0) {
+            const record = stack.pop();
+            if (this.survivorsOnly && !surviving.has(record.id)) continue;
+            rows.push(record);
+
+            const children = registry.getChildren(record.id).filter(child => child.parentIds[0] === record.id);
+            for (let i = children.length - 1; i >= 0; i--) {
+                stack.push(children[i]);
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Redraw the tree and summary
+     */
+    draw() {
+        const registry = this.world.lineage;
+        const surviving = registry.getSurvivingIds();
+        const rows = this.buildRows(surviving);
+
+        // Match the canvas resolution to its displayed size
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        this.canvas.width = width;
+        this.canvas.height = height;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+
+        const padding = 8;
+        const now = Math.max(this.world.time, 1);
+        const rowHeight = (height - padding * 2) / Math.max(rows.length, 1);
+        const timeToX = (t) => padding + (t / now) * (width - padding * 2);
+        const rowToY = (row) => padding + (row + 0.5) * rowHeight;
+
+        const rowById = new Map();
+        rows.forEach((record, row) => rowById.set(record.id, row));
+
+        ctx.lineWidth = Math.max(1, Math.min(3, rowHeight * 0.6));
+        rows.forEach((record, row) => {
+            const isSurviving = surviving.has(record.id);
+            ctx.strokeStyle = isSurviving
+                ? `hsl(${Math.round(record.genes.hue * 360)}, 70%, 55%)`
+                : 'rgba(128, 128, 128, 0.4)';
+
+            const y = rowToY(row);
+            const birthX = timeToX(record.birthTime);
+            const deathX = timeToX(record.deathTime ?? this.world.time);
+
+            ctx.beginPath();
+            // Connector down from the first parent's lifeline at the moment of birth
+            const parentRow = rowById.get(record.parentIds[0]);
+            if (parentRow !== undefined) {
+                ctx.moveTo(birthX, rowToY(parentRow));
+                ctx.lineTo(birthX, y);
+            } else {
+                ctx.moveTo(birthX, y);
+            }
+            ctx.lineTo(Math.max(deathX, birthX + 1), y);
+            ctx.stroke();
+        });
+
+        // Mark the selected creature
+        const selectedRow = rowById.get(this.selectedId);
+        if (selectedRow !== undefined) {
+            const record = rows[selectedRow];
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(timeToX(record.birthTime) - 3, rowToY(selectedRow) - 4,
+                timeToX(record.deathTime ?? this.world.time) - timeToX(record.birthTime) + 6, 8);
+        }
+
+        this.layout = { rows, rowHeight, padding };
+        this.updateSummary(surviving);
+    }
+
+    /**
+     * Summary line: surviving founders and the founder with the most living descendants
+     */
+    updateSummary(surviving) {
+        const registry = this.world.lineage;
+        const founders = registry.getFounders();
+        const survivingFounders = founders.filter(founder => surviving.has(founder.id));
+
+        let dominant = null;
+        let dominantCount = 0;
+        for (const founder of survivingFounders) {
+            const count = registry.countLivingDescendants(founder.id) + (founder.deathTime === null ? 1 : 0);
+            if (count > dominantCount) {
+                dominant = founder;
+                dominantCount = count;
+            }
+        }
+
+        this.summary.textContent = `${registry.size} creatures, ${survivingFounders.length}/${founders.length} founder lineages surviving` +
+            (dominant ? ` - dominant: #${dominant.id} (${dominantCount} alive)` : '');
+    }
+
+    /**
+     * Select the row under the cursor and show its details
+     */
+    handleClick(event) {
+        if (!this.layout || this.layout.rows.length === 0) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const y = event.clientY - rect.top;
+        const row = Math.floor((y - this.layout.padding) / this.layout.rowHeight);
+        const record = this.layout.rows[Math.max(0, Math.min(this.layout.rows.length - 1, row))];
+
+        this.selectedId = record.id;
+        this.showDetails(record);
+        this.draw();
+    }
+
+    /**
+     * Show a creature's record and genes
+     */
+    showDetails(record) {
+        const registry = this.world.lineage;
+        const founder = registry.getFounder(record.id);
+        const parents = record.parentIds.length > 0 ? record.parentIds.map(id => `#${id}`).join(' + ') : 'founder';
+        const fate = record.deathTime === null
+            ? 'alive'
+            : `died ${record.deathTime.toFixed(0)}s (${record.causeOfDeath || 'unknown'})`;
+
+        // Records from older snapshots may lack genes registered since
+        const geneRows = GENE_REGISTRY
+            .filter(gene => record.genes[gene.name] !== undefined)
+            .map(gene => `<div class="stat-item"><span class="stat-label">${gene.label}:</span><span class="stat-value">${record.genes[gene.name].toFixed(3)}</span></div>`)
+            .join('');
+
+        this.details.innerHTML = `
+            <div><strong>#${record.id}</strong> ${record.species}, generation ${record.generation}</div>
+            <div>Born ${record.birthTime.toFixed(0)}s, ${fate}</div>
+            <div>Parents: ${parents} · Founder: #${founder.id}</div>
+            <div>Living descendants: ${registry.countLivingDescendants(record.id)}</div>
+            ${geneRows}
+        `;
+    }
+}
@@ -1,8 +1,24 @@
 import Chart from 'chart.js/auto';
+import { GENE_REGISTRY, DEATH_CAUSES } from '../config.js';
+
+// Genes whose population average is plotted (GENE_REGISTRY entries with a graph style)
+const GRAPHED_GENES = GENE_REGISTRY.filter(gene => gene.graph);
+
+// Life stages counted for the age structure (herbivores are plotted, both species exported)
+const LIFE_STAGES = [
+    { name: 'juvenile', label: 'Juvenile Herbivores', color: '#7fffd4' },
+    { name: 'adult', label: 'Adult Herbivores', color: '#6a5acd' },
+    { name: 'elder', label: 'Elder Herbivores', color: '#a9a9a9' },
+];
+const SPECIES = ['herbivore', 'carnivore'];
 
 /**
  * PopulationGraph - Visualizes population trends over time
- * Tracks creature count, births, deaths, and optional genetic traits
+ * Tracks herbivore/carnivore, food and tree counts, births, deaths (in total and per cause),
+ * herbivore and carnivore life expectancy, the age structure (juveniles, adults and elders),
+ * average tree height, the temperature (the season and weather are shown in the tooltip title) and the average
+ * of every gene registered with a graph style (one dataset per gene, one y-axis per group).
+ * The mean and spread of every gene are stored too, for exportCSV() / exportJSON().
  */
 export class PopulationGraph {
     constructor() {
@@ -13,12 +29,22 @@ export class PopulationGraph {
         this.timeSinceLastUpdate = 0;
 
         this.timeLabels = [];
-        this.populationData = [];
+        this.populationData = []; // Herbivores
+        this.carnivoreData = [];
         this.foodData = [];
+        this.treeData = [];
         this.birthRateData = [];
         this.deathRateData = [];
-        this.avgSizeData = [];
-        this.avgJumpPowerData = [];
+        this.causeDeathRateData = PopulationGraph.createCauseSeries(); // Cause -> smoothed death rate per sample
+        this.herbivoreLifeData = []; // Life expectancy (s), null while nobody died recently
+        this.carnivoreLifeData = [];
+        this.ageStructureData = PopulationGraph.createAgeSeries(); // Species -> life stage -> count per sample
+        this.avgTreeHeightData = [];
+        this.temperatureData = [];
+        this.geneData = PopulationGraph.createGeneSeries(); // Gene name -> mean per sample (every registered gene)
+        this.geneStddevData = PopulationGraph.createGeneSeries(); // Gene name -> standard deviation per sample
+        this.seasonData = [];
+        this.weatherData = [];
 
         // For calculating rates (births/deaths per second)
         this.lastBirths = 0;
@@ -32,6 +58,7 @@ export class PopulationGraph {
         // Exponential smoothing for display (reduces jitter in the graph)
         this.smoothedBirthRate = 0;
         this.smoothedDeathRate = 0;
+        this.smoothedCauseDeathRates = PopulationGraph.createCauseRates();
         this.smoothingFactor = 0.025; // Lower = smoother but slower to respond, higher = more reactive
 
         // Chart instance
@@ -54,7 +81,7 @@ export class PopulationGraph {
                 labels: this.timeLabels,
                 datasets: [
                     {
-                        label: 'Population',
+                        label: 'Herbivores',
                         data: this.populationData,
                         borderColor: '#4169e1',
                         backgroundColor: 'rgba(65, 105, 225, 0.1)',
@@ -64,6 +91,29 @@ export class PopulationGraph {
                         pointRadius: 0,
                         pointHitRadius: 10,
                     },
+                    {
+                        label: 'Carnivores',
+                        data: this.carnivoreData,
+                        borderColor: '#dc143c',
+                        backgroundColor: 'rgba(220, 20, 60, 0.1)',
+                        borderWidth: 2,
+                        tension: 0.2,
+                        fill: true,
+                        pointRadius: 0,
+                        pointHitRadius: 10,
+                    },
+                    ...LIFE_STAGES.map(stage => ({
+                        label: stage.label,
+                        data: this.ageStructureData.herbivore[stage.name],
+                        borderColor: stage.color,
+                        backgroundColor: 'transparent',
+                        borderWidth: 1,
+                        borderDash: [6, 3],
+                        tension: 0.2,
+                        fill: false,
+                        pointRadius: 0,
+                        pointHitRadius: 10,
+                    })),
                     {
                         label: 'Food',
                         data: this.foodData,
@@ -75,6 +125,17 @@ export class PopulationGraph {
                         pointRadius: 0,
                         pointHitRadius: 10,
                     },
+                    {
+                        label: 'Trees',
+                        data: this.treeData,
+                        borderColor: '#a0522d',
+                        backgroundColor: 'rgba(160, 82, 45, 0.1)',
+                        borderWidth: 2,
+                        tension: 0.2,
+                        fill: false,
+                        pointRadius: 0,
+                        pointHitRadius: 10,
+                    },
                     {
                         label: 'Birth Rate (60s avg)',
                         data: this.birthRateData,
@@ -99,30 +160,82 @@ export class PopulationGraph {
                         pointHitRadius: 10,
                         yAxisID: 'y-rate',
                     },
+                    ...DEATH_CAUSES.map(cause => ({
+                        label: `${cause.label} Rate`,
+                        data: this.causeDeathRateData[cause.name],
+                        borderColor: cause.color,
+                        backgroundColor: 'transparent',
+                        borderWidth: 1,
+                        borderDash: [2, 2],
+                        tension: 0.4,
+                        fill: false,
+                        pointRadius: 0,
+                        pointHitRadius: 10,
+                        yAxisID: 'y-rate',
+                    })),
                     {
-                        label: 'Avg Size',
-                        data: this.avgSizeData,
-                        borderColor: '#ff69b4',
-                        backgroundColor: 'rgba(255, 105, 180, 0.1)',
+                        label: 'Avg Tree Height',
+                        data: this.avgTreeHeightData,
+                        borderColor: '#8fbc8f',
+                        backgroundColor: 'rgba(143, 188, 143, 0.1)',
                         borderWidth: 2,
                         tension: 0.4,
                         fill: false,
                         pointRadius: 0,
                         pointHitRadius: 10,
-                        yAxisID: 'y-size',
+                        yAxisID: 'y-tree-height',
+                    },
+                    {
+                        label: 'Temperature (°C)',
+                        data: this.temperatureData,
+                        borderColor: '#ffa500',
+                        backgroundColor: 'rgba(255, 165, 0, 0.1)',
+                        borderWidth: 1.5,
+                        borderDash: [4, 4],
+                        tension: 0.4,
+                        fill: false,
+                        pointRadius: 0,
+                        pointHitRadius: 10,
+                        yAxisID: 'y-temp',
                     },
                     {
-                        label: 'Avg Jump Power',
-                        data: this.avgJumpPowerData,
-                        borderColor: '#00d4ff',
-                        backgroundColor: 'rgba(0, 212, 255, 0.1)',
+                        label: 'Herbivore Life Expectancy',
+                        data: this.herbivoreLifeData,
+                        borderColor: '#87ceeb',
+                        backgroundColor: 'transparent',
+                        borderWidth: 1.5,
+                        tension: 0.4,
+                        fill: false,
+                        spanGaps: true,
+                        pointRadius: 0,
+                        pointHitRadius: 10,
+                        yAxisID: 'y-age',
+                    },
+                    {
+                        label: 'Carnivore Life Expectancy',
+                        data: this.carnivoreLifeData,
+                        borderColor: '#f08080',
+                        backgroundColor: 'transparent',
+                        borderWidth: 1.5,
+                        tension: 0.4,
+                        fill: false,
+                        spanGaps: true,
+                        pointRadius: 0,
+                        pointHitRadius: 10,
+                        yAxisID: 'y-age',
+                    },
+                    ...GRAPHED_GENES.map(gene => ({
+                        label: `Avg ${gene.label}`,
+                        data: this.geneData[gene.name],
+                        borderColor: gene.graph.color,
+                        backgroundColor: 'transparent',
                         borderWidth: 2,
                         tension: 0.4,
                         fill: false,
                         pointRadius: 0,
                         pointHitRadius: 10,
-                        yAxisID: 'y-jump',
-                    }
+                        yAxisID: PopulationGraph.getGeneAxisId(gene),
+                    }))
                 ]
             },
             options: {
@@ -153,6 +266,16 @@ export class PopulationGraph {
                         bodyColor: '#ffffff',
                         borderColor: '#444444',
                         borderWidth: 1,
+                        callbacks: {
+                            // "120s - winter, storm"
+                            title: (items) => {
+                                if (items.length === 0) return '';
+                                const offset = Math.max(0, this.timeLabels.length - this.displayDataPoints);
+                                const index = offset + items[0].dataIndex;
+                                const season = this.seasonData[index];
+                                return season ? `${items[0].label}s - ${season}, ${this.weatherData[index]}` : `${items[0].label}s`;
+                            }
+                        }
                     }
                 },
                 scales: {
@@ -209,40 +332,57 @@ export class PopulationGraph {
                         },
                         beginAtZero: true
                     },
-                    'y-size': {
+                    'y-tree-height': {
                         display: true,
                         position: 'right',
                         title: {
                             display: true,
-                            text: 'Size',
-                            color: '#ff69b4'
+                            text: 'Tree Height (m)',
+                            color: '#8fbc8f'
                         },
                         ticks: {
-                            color: '#ff69b4',
+                            color: '#8fbc8f',
                         },
                         grid: {
                             drawOnChartArea: false,
                         },
-                        min: 0.4,
-                        max: 2.1
+                        suggestedMin: 0,
+                        suggestedMax: 20
                     },
-                    'y-jump': {
+                    'y-temp': {
                         display: true,
                         position: 'right',
                         title: {
                             display: true,
-                            text: 'Jump Power',
-                            color: '#00d4ff'
+                            text: '°C',
+                            color: '#ffa500'
                         },
                         ticks: {
-                            color: '#00d4ff',
+                            color: '#ffa500',
                         },
                         grid: {
                             drawOnChartArea: false,
                         },
-                        min: 0.4,
-                        max: 2.1
-                    }
+                        suggestedMin: -5,
+                        suggestedMax: 30
+                    },
+                    'y-age': {
+                        display: true,
+                        position: 'right',
+                        title: {
+                            display: true,
+                            text: 'Life Expectancy (s)',
+                            color: '#87ceeb'
+                        },
+                        ticks: {
+                            color: '#87ceeb',
+                        },
+                        grid: {
+                            drawOnChartArea: false,
+                        },
+                        beginAtZero: true
+                    },
+                    ...PopulationGraph.createGeneAxes()
                 }
             }
         });
@@ -255,7 +395,7 @@ export class PopulationGraph {
      * Update graph data (called from World.update)
      */
     update(deltaTime, stats) {
-        if (!this.chart || !this.isVisible) return;
+        if (!this.chart) return; // Keeps sampling while hidden so the history (and exports) stay complete
 
         this.timeSinceLastUpdate += deltaTime;
 
@@ -290,41 +430,73 @@ export class PopulationGraph {
             // Formula: smoothed = smoothed * (1 - alpha) + raw * alpha
             this.smoothedBirthRate = this.smoothedBirthRate * (1 - this.smoothingFactor) + rawBirthRate * this.smoothingFactor;
             this.smoothedDeathRate = this.smoothedDeathRate * (1 - this.smoothingFactor) + rawDeathRate * this.smoothingFactor;
+            for (const cause of DEATH_CAUSES) {
+                const smoothed = this.smoothedCauseDeathRates[cause.name];
+                this.smoothedCauseDeathRates[cause.name] = smoothed * (1 - this.smoothingFactor) + stats.deathRates[cause.name] * this.smoothingFactor;
+            }
 
             // Add new data point
             this.timeLabels.push(Math.floor(currentTime));
-            this.populationData.push(stats.creatureCount);
+            this.populationData.push(stats.herbivoreCount);
+            this.carnivoreData.push(stats.carnivoreCount);
             this.foodData.push(stats.foodCount);
+            this.treeData.push(stats.treeCount);
             this.birthRateData.push(parseFloat(this.smoothedBirthRate.toFixed(2)));
             this.deathRateData.push(parseFloat(this.smoothedDeathRate.toFixed(2)));
-            this.avgSizeData.push(parseFloat(stats.avgSize.toFixed(2)));
-            this.avgJumpPowerData.push(parseFloat(stats.avgJumpPower.toFixed(2)));
+            for (const cause of DEATH_CAUSES) {
+                this.causeDeathRateData[cause.name].push(parseFloat(this.smoothedCauseDeathRates[cause.name].toFixed(3)));
+            }
+            this.herbivoreLifeData.push(PopulationGraph.roundOrNull(stats.lifeExpectancy.herbivore));
+            this.carnivoreLifeData.push(PopulationGraph.roundOrNull(stats.lifeExpectancy.carnivore));
+            for (const species of SPECIES) {
+                for (const stage of LIFE_STAGES) {
+                    this.ageStructureData[species][stage.name].push(stats.ageStructure[species][stage.name]);
+                }
+            }
+            this.avgTreeHeightData.push(parseFloat(stats.avgTreeHeight.toFixed(2)));
+            this.temperatureData.push(parseFloat(stats.temperature.toFixed(1)));
+            for (const gene of GENE_REGISTRY) {
+                this.geneData[gene.name].push(parseFloat(stats.avgGenes[gene.name].toFixed(4)));
+                this.geneStddevData[gene.name].push(parseFloat(stats.geneStddevs[gene.name].toFixed(4)));
+            }
+            this.seasonData.push(stats.season);
+            this.weatherData.push(stats.weather);
 
-            console.log(`Graph update: Pop=${stats.creatureCount}, Food=${stats.foodCount}, AvgSize=${stats.avgSize.toFixed(2)}, AvgJump=${stats.avgJumpPower.toFixed(2)}, Time=${currentTime.toFixed(1)}s`);
+            console.log(`Graph update: Herbivores=${stats.herbivoreCount}, Carnivores=${stats.carnivoreCount}, Food=${stats.foodCount}, AvgSize=${stats.avgGenes.size.toFixed(2)}, AvgJump=${stats.avgGenes.jumpPower.toFixed(2)}, AvgTreeHeight=${stats.avgTreeHeight.toFixed(2)}, Time=${currentTime.toFixed(1)}s`);
 
             // Remove old data if we exceed max storage limit (7200s)
             if (this.timeLabels.length > this.maxStoredDataPoints) {
                 this.timeLabels.shift();
                 this.populationData.shift();
+                this.carnivoreData.shift();
                 this.foodData.shift();
+                this.treeData.shift();
                 this.birthRateData.shift();
                 this.deathRateData.shift();
-                this.avgSizeData.shift();
-                this.avgJumpPowerData.shift();
+                for (const cause of DEATH_CAUSES) {
+                    this.causeDeathRateData[cause.name].shift();
+                }
+                this.herbivoreLifeData.shift();
+                this.carnivoreLifeData.shift();
+                for (const species of SPECIES) {
+                    for (const stage of LIFE_STAGES) {
+                        this.ageStructureData[species][stage.name].shift();
+                    }
+                }
+                this.avgTreeHeightData.shift();
+                this.temperatureData.shift();
+                for (const gene of GENE_REGISTRY) {
+                    this.geneData[gene.name].shift();
+                    this.geneStddevData[gene.name].shift();
+                }
+                this.seasonData.shift();
+                this.weatherData.shift();
             }
 
             // Update chart with only the last N points (display window)
-            const startIndex = Math.max(0, this.timeLabels.length - this.displayDataPoints);
-            this.chart.data.labels = this.timeLabels.slice(startIndex);
-            this.chart.data.datasets[0].data = this.populationData.slice(startIndex);
-            this.chart.data.datasets[1].data = this.foodData.slice(startIndex);
-            this.chart.data.datasets[2].data = this.birthRateData.slice(startIndex);
-            this.chart.data.datasets[3].data = this.deathRateData.slice(startIndex);
-            this.chart.data.datasets[4].data = this.avgSizeData.slice(startIndex);
-            this.chart.data.datasets[5].data = this.avgJumpPowerData.slice(startIndex);
-
-            // Update chart
-            this.chart.update('none'); // 'none' mode = no animation
+            if (this.isVisible) {
+                this.showDisplayWindow();
+            }
 
             // Update tracking variables
             this.lastBirths = stats.totalBirths;
@@ -339,11 +511,21 @@ export class PopulationGraph {
     reset(stats) {
         this.timeLabels = [];
         this.populationData = [];
+        this.carnivoreData = [];
         this.foodData = [];
+        this.treeData = [];
         this.birthRateData = [];
         this.deathRateData = [];
-        this.avgSizeData = [];
-        this.avgJumpPowerData = [];
+        this.causeDeathRateData = PopulationGraph.createCauseSeries();
+        this.herbivoreLifeData = [];
+        this.carnivoreLifeData = [];
+        this.ageStructureData = PopulationGraph.createAgeSeries();
+        this.avgTreeHeightData = [];
+        this.temperatureData = [];
+        this.geneData = PopulationGraph.createGeneSeries();
+        this.geneStddevData = PopulationGraph.createGeneSeries();
+        this.seasonData = [];
+        this.weatherData = [];
 
         this.lastBirths = stats ? stats.totalBirths : 0;
         this.lastDeaths = stats ? stats.totalDeaths : 0;
@@ -356,10 +538,175 @@ export class PopulationGraph {
         // Reset smoothed values
         this.smoothedBirthRate = 0;
         this.smoothedDeathRate = 0;
+        this.smoothedCauseDeathRates = PopulationGraph.createCauseRates();
 
         if (this.chart) {
-            this.chart.update('none');
+            this.showDisplayWindow(); // Point datasets at the new (empty) arrays
+        }
+    }
+
+    /**
+     * Empty sample arrays for every registered gene, keyed by gene name
+     */
+    static createGeneSeries() {
+        const series = {};
+        for (const gene of GENE_REGISTRY) {
+            series[gene.name] = [];
         }
+        return series;
+    }
+
+    /**
+     * Empty sample arrays for every death cause, keyed by cause name
+     */
+    static createCauseSeries() {
+        const series = {};
+        for (const cause of DEATH_CAUSES) {
+            series[cause.name] = [];
+        }
+        return series;
+    }
+
+    /**
+     * Empty sample arrays for every species and life stage
+     */
+    static createAgeSeries() {
+        const series = {};
+        for (const species of SPECIES) {
+            series[species] = {};
+            for (const stage of LIFE_STAGES) {
+                series[species][stage.name] = [];
+            }
+        }
+        return series;
+    }
+
+    /**
+     * Zeroed smoothed death rate for every death cause
+     */
+    static createCauseRates() {
+        const rates = {};
+        for (const cause of DEATH_CAUSES) {
+            rates[cause.name] = 0;
+        }
+        return rates;
+    }
+
+    /**
+     * Value rounded to one decimal, keeping null (a gap in the line)
+     */
+    static roundOrNull(value) {
+        return value === null ? null : parseFloat(value.toFixed(1));
+    }
+
+    /**
+     * Chart axis id of a graphed gene (genes with the same graph.axis share it)
+     */
+    static getGeneAxisId(gene) {
+        return `y-gene-${gene.graph.axis}`;
+    }
+
+    /**
+     * One right-hand y-axis per gene axis group, spanning the bounds of all its genes
+     * and coloured like the group's first gene
+     */
+    static createGeneAxes() {
+        const axes = {};
+        for (const gene of GRAPHED_GENES) {
+            const id = PopulationGraph.getGeneAxisId(gene);
+            if (axes[id]) {
+                axes[id].min = Math.min(axes[id].min, gene.min);
+                axes[id].max = Math.max(axes[id].max, gene.max);
+                continue;
+            }
+            axes[id] = {
+                display: true,
+                position: 'right',
+                title: {
+                    display: true,
+                    text: gene.graph.axis,
+                    color: gene.graph.color
+                },
+                ticks: {
+                    color: gene.graph.color,
+                },
+                grid: {
+                    drawOnChartArea: false,
+                },
+                min: gene.min,
+                max: gene.max
+            };
+        }
+        return axes;
+    }
+
+    /**
+     * Every stored sample (the full history, not just the display window) as one object per row
+     * Column order: time, counts, rates (total, then per cause), life expectancy, age structure, tree height,
+     * climate, then mean and stddev of each gene.
+     * @returns {Object[]}
+     */
+    getHistory() {
+        return this.timeLabels.map((time, i) => {
+            const row = {
+                time: time,
+                herbivores: this.populationData[i],
+                carnivores: this.carnivoreData[i],
+                food: this.foodData[i],
+                trees: this.treeData[i],
+                birthRate: this.birthRateData[i],
+                deathRate: this.deathRateData[i],
+            };
+            for (const cause of DEATH_CAUSES) {
+                row[`${cause.name.replace(/ /g, '_')}_deathRate`] = this.causeDeathRateData[cause.name][i];
+            }
+            row.herbivoreLifeExpectancy = this.herbivoreLifeData[i];
+            row.carnivoreLifeExpectancy = this.carnivoreLifeData[i];
+            for (const species of SPECIES) {
+                for (const stage of LIFE_STAGES) {
+                    row[`${species}_${stage.name}s`] = this.ageStructureData[species][stage.name][i];
+                }
+            }
+            Object.assign(row, {
+                avgTreeHeight: this.avgTreeHeightData[i],
+                temperature: this.temperatureData[i],
+                season: this.seasonData[i],
+                weather: this.weatherData[i],
+            });
+            for (const gene of GENE_REGISTRY) {
+                row[`${gene.name}_mean`] = this.geneData[gene.name][i];
+                row[`${gene.name}_stddev`] = this.geneStddevData[gene.name][i];
+            }
+            return row;
+        });
+    }
+
+    /**
+     * Stored history as CSV, preceded by '#' comment lines with the run metadata
+     * (pandas: read_csv(path, comment='#'))
+     * @param {Object} metadata - World.getRunMetadata()
+     */
+    exportCSV(metadata) {
+        const lines = [];
+        for (const [key, value] of Object.entries(metadata)) {
+            lines.push(`# ${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
+        }
+
+        const history = this.getHistory();
+        const columns = history.length > 0 ? Object.keys(history[0]) : ['time'];
+        lines.push(columns.join(','));
+        for (const row of history) {
+            lines.push(columns.map(column => row[column]).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Stored history as JSON: { metadata, samples: [row, ...] }
+     * @param {Object} metadata - World.getRunMetadata()
+     */
+    exportJSON(metadata) {
+        return JSON.stringify({ metadata: metadata, samples: this.getHistory() }, null, 2);
     }
 
     /**
@@ -371,6 +718,9 @@ export class PopulationGraph {
         if (container) {
             container.style.display = visible ? 'block' : 'none';
         }
+        if (visible && this.chart) {
+            this.showDisplayWindow(); // Catch up on samples taken while hidden
+        }
     }
 
     /**
@@ -389,18 +739,38 @@ export class PopulationGraph {
 
         // Update chart to show new window (data is preserved)
         if (this.chart) {
-            const startIndex = Math.max(0, this.timeLabels.length - this.displayDataPoints);
-            this.chart.data.labels = this.timeLabels.slice(startIndex);
-            this.chart.data.datasets[0].data = this.populationData.slice(startIndex);
-            this.chart.data.datasets[1].data = this.foodData.slice(startIndex);
-            this.chart.data.datasets[2].data = this.birthRateData.slice(startIndex);
-            this.chart.data.datasets[3].data = this.deathRateData.slice(startIndex);
-            this.chart.data.datasets[4].data = this.avgSizeData.slice(startIndex);
-            this.chart.data.datasets[5].data = this.avgJumpPowerData.slice(startIndex);
-            this.chart.update('none');
+            this.showDisplayWindow();
         }
     }
 
+    /**
+     * Copy the last displayDataPoints samples of every series into the chart and redraw
+     */
+    showDisplayWindow() {
+        const startIndex = Math.max(0, this.timeLabels.length - this.displayDataPoints);
+        const series = [
+            this.populationData,
+            this.carnivoreData,
+            ...LIFE_STAGES.map(stage => this.ageStructureData.herbivore[stage.name]),
+            this.foodData,
+            this.treeData,
+            this.birthRateData,
+            this.deathRateData,
+            ...DEATH_CAUSES.map(cause => this.causeDeathRateData[cause.name]),
+            this.avgTreeHeightData,
+            this.temperatureData,
+            this.herbivoreLifeData,
+            this.carnivoreLifeData,
+            ...GRAPHED_GENES.map(gene => this.geneData[gene.name])
+        ];
+
+        this.chart.data.labels = this.timeLabels.slice(startIndex);
+        series.forEach((data, i) => {
+            this.chart.data.datasets[i].data = data.slice(startIndex);
+        });
+        this.chart.update('none'); // 'none' mode = no animation
+    }
+
     /**
      * Get current time window in seconds
      */
@@ -0,0 +1,67 @@
+import { gaussianRandom } from '../config.js';
+
+/**
+ * Random - Seedable pseudo-random number generator (mulberry32)
+ * One instance is owned by the World and shared by every subsystem so that
+ * a run can be replayed exactly from its seed.
+ */
+export class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Generate a fresh 32-bit seed (used when no seed is given)
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - Any integer (coerced to unsigned 32-bit)
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Uniform float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Uniform integer in [min, max] (inclusive)
+     */
+    int(min, max) {
+        return Math.floor(min + this.next() * (max - min + 1));
+    }
+
+    /**
+     * Gaussian (normal) sample
+     */
+    gaussian(mean, stddev) {
+        return gaussianRandom(mean, stddev, () => this.next());
+    }
+
+    /**
+     * Random angle in [0, 2π)
+     */
+    angle() {
+        return this.next() * Math.PI * 2;
+    }
+}
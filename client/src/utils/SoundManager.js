@@ -8,7 +8,7 @@ export class SoundManager {
     constructor() {
         // Create audio context (will be activated on first user interaction)
         this.audioContext = null;
-        this.enabled = true;
+        this.enabled = typeof window !== 'undefined'; // No Web Audio when running headless (Node)
         this.volume = 1.0; // Master volume (0.0 - 1.0)
     }
 
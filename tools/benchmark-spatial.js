@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Spatial index benchmark - compares the SpatialHash against a linear scan
+ *
+ * Usage:
+ *   node tools/benchmark-spatial.js [--food=1000] [--creatures=50] [--frames=300] [--seconds=60]
+ *
+ * 1. Query benchmark: nearest food within perception radius for every creature, per frame
+ * 2. Simulation benchmark: headless World with many trees, with SimpleBrain using
+ *    the index vs. the old linear scan over world.foodEntities
+ */
+import { SpatialHash } from '../client/src/core/SpatialHash.js';
+import { World } from '../client/src/core/World.js';
+import { SimpleBrain } from '../client/src/behaviors/SimpleBrain.js';
+import { Random } from '../client/src/utils/Random.js';
+import { WORLD_CONFIG, CREATURE_CONFIG, UI_CONFIG } from '../client/src/config.js';
+
+/**
+ * Parse --key=value arguments into an object of numbers
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (const arg of argv) {
+        const match = arg.match(/^--([\w-]+)=(.*)$/);
+        if (match) {
+            args[match[1]] = Number(match[2]);
+        }
+    }
+    return args;
+}
+
+/**
+ * Random point uniformly distributed on the island
+ */
+function randomIslandPoint(random) {
+    const angle = random.angle();
+    const distance = Math.sqrt(random.next()) * WORLD_CONFIG.ISLAND_USABLE_RADIUS;
+    return { position: { x: Math.cos(angle) * distance, y: 0, z: Math.sin(angle) * distance } };
+}
+
+/**
+ * Reference implementation: scan every item
+ */
+function linearNearest(items, x, z, radius) {
+    let nearest = null;
+    let minDist = radius;
+    for (const item of items) {
+        const dx = item.position.x - x;
+        const dz = item.position.z - z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist < minDist) {
+            minDist = dist;
+            nearest = item;
+        }
+    }
+    return nearest;
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - start) / 1e6; // ms
+}
+
+function benchmarkQueries(foodCount, creatureCount, frames) {
+    const random = new Random(1234);
+    const food = Array.from({ length: foodCount }, () => randomIslandPoint(random));
+    const creatures = Array.from({ length: creatureCount }, () => randomIslandPoint(random));
+    const radius = CREATURE_CONFIG.PERCEPTION_RADIUS;
+
+    const index = new SpatialHash(WORLD_CONFIG.SPATIAL_CELL_SIZE);
+    for (const item of food) {
+        index.insert(item);
+    }
+
+    // Both strategies must agree before timing them
+    for (const c of creatures) {
+        const expected = linearNearest(food, c.position.x, c.position.z, radius);
+        const actual = index.findNearest(c.position.x, c.position.z, radius);
+        if (expected !== actual) {
+            throw new Error('SpatialHash.findNearest disagrees with linear scan');
+        }
+    }
+
+    let sink = 0;
+    const runLinear = (count) => {
+        for (let f = 0; f < count; f++) {
+            for (const c of creatures) {
+                if (linearNearest(food, c.position.x, c.position.z, radius)) sink++;
+            }
+        }
+    };
+    const runHash = (count) => {
+        for (let f = 0; f < count; f++) {
+            for (const c of creatures) {
+                if (index.findNearest(c.position.x, c.position.z, radius)) sink++;
+            }
+        }
+    };
+
+    // Warm up the JIT for both paths before timing
+    runLinear(Math.ceil(frames / 10));
+    runHash(Math.ceil(frames / 10));
+    sink = 0;
+
+    const linearMs = time(() => runLinear(frames));
+    const hashMs = time(() => runHash(frames));
+
+    console.log(`Query benchmark: ${foodCount} food, ${creatureCount} creatures, ${frames} frames (${sink} hits)`);
+    console.log(`  linear scan:  ${linearMs.toFixed(1)} ms`);
+    console.log(`  spatial hash: ${hashMs.toFixed(1)} ms`);
+    console.log(`  speedup:      ${(linearMs / hashMs).toFixed(1)}x`);
+}
+
+/**
+ * Time a seeded headless run (after a short untimed warm-up run)
+ */
+function runWorld(seconds, creatureCount) {
+    const createWorld = () => {
+        const world = new World();
+        world.logEvents = false;
+        world.reset(creatureCount, UI_CONFIG.TREE_SLIDER_MAX, WORLD_CONFIG.ISLAND_RADIUS, 99);
+        return world;
+    };
+
+    createWorld().runFor(seconds / 4);
+
+    const world = createWorld();
+    const ms = time(() => world.runFor(seconds));
+    return { ms, foodCount: world.foodEntities.length };
+}
+
+function benchmarkSimulation(seconds, creatureCount) {
+    // Pre-index brain lookup (linear scan over every food item)
+    const indexedLookup = SimpleBrain.prototype.findNearestFood;
+    const linearLookup = function (world) {
+        let nearest = null;
+        let minDist = Infinity;
+        for (const food of world.foodEntities) {
+            if (food.isConsumed) continue;
+            const dist = this.distanceTo(food);
+            if (dist >= this.creature.perceptionRadius) continue;
+            if (!this.isFoodReachable(food)) continue;
+            if (dist < minDist) {
+                minDist = dist;
+                nearest = food;
+            }
+        }
+        return nearest;
+    };
+
+    SimpleBrain.prototype.findNearestFood = linearLookup;
+    const linear = runWorld(seconds, creatureCount);
+    SimpleBrain.prototype.findNearestFood = indexedLookup;
+    const indexed = runWorld(seconds, creatureCount);
+
+    console.log(`Simulation benchmark: ${seconds}s simulated, ${UI_CONFIG.TREE_SLIDER_MAX} trees, ${creatureCount} creatures (~${indexed.foodCount} food at end)`);
+    console.log(`  linear scan:  ${linear.ms.toFixed(0)} ms`);
+    console.log(`  spatial hash: ${indexed.ms.toFixed(0)} ms`);
+    console.log(`  speedup:      ${(linear.ms / indexed.ms).toFixed(1)}x`);
+}
+
+const args = parseArgs(process.argv.slice(2));
+benchmarkQueries(args.food ?? 1000, args.creatures ?? UI_CONFIG.CREATURE_SLIDER_MAX, args.frames ?? 300);
+console.log();
+benchmarkSimulation(args.seconds ?? 60, args.creatures ?? UI_CONFIG.CREATURE_SLIDER_MAX);
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * Batch experiment runner - parameter sweeps over config values, without rendering
+ *
+ * Usage:
+ *   node tools/run-batch.js --grid=SECTION.KEY=v1,v2,... [--grid=...] [--replicates=3] [--seconds=600]
+ *                           [--seed=1] [--sample=10] [--preset=id] [--sexual=1] [--neural=1] [--out=batch-results.csv]
+ *
+ * Every combination of the --grid values (e.g. --grid=GENETICS_CONFIG.MUTATION_RATE=0.05,0.1,0.2)
+ * is run once per replicate, with seeds seed, seed+1, ... so the same seeds are compared across
+ * combinations. Values are applied as scenario overrides on top of the preset (or the defaults),
+ * so anything a preset can change can be swept, including counts, the island radius and the brain.
+ * --sexual and --neural force those settings for every run; without them the config decides.
+ * The world is sampled every `sample` simulated seconds for the peak population.
+ *
+ * Writes one row per run to --out (CSV with '#' metadata lines, or JSON if the name ends in .json):
+ * the grid values, final and peak population, extinction time and the mean of every gene
+ * (measured at the end, or at the last sample that still had creatures if the run went extinct).
+ * Cyclic genes (boundary 'wrap', like hue) are left out, as a plain average of them means nothing.
+ * Prints a line per run and a summary per combination (averaged over its replicates), with a
+ * warning if every combination measured the same, i.e. the swept values had no effect.
+ */
+import { writeFileSync } from 'node:fs';
+import { World } from '../client/src/core/World.js';
+import { ScenarioManager, scenarioManager } from '../client/src/core/ScenarioManager.js';
+import { WORLD_CONFIG, TREE_CONFIG, GENE_REGISTRY, SCENARIO_PRESETS } from '../client/src/config.js';
+
+const USAGE = `  node tools/run-batch.js --grid=SECTION.KEY=v1,v2,... [--grid=...] [--replicates=3] [--seconds=600]
+                          [--seed=1] [--sample=10] [--preset=id] [--sexual=1] [--neural=1] [--out=batch-results.csv]`;
+
+// Genes with a mean column (0.95 and 0.05 hue are close, but average to 0.5)
+const AVERAGED_GENES = GENE_REGISTRY.filter(gene => gene.boundary !== 'wrap');
+
+/**
+ * Parse --key=value arguments into an object (numbers where the value is numeric)
+ * Repeated keys (--grid) are collected into an array.
+ */
+function parseArgs(argv) {
+    const args = { grid: [] };
+    for (const arg of argv) {
+        const match = arg.match(/^--([\w-]+)=(.*)$/);
+        if (!match) continue;
+
+        if (match[1] === 'grid') {
+            args.grid.push(match[2]);
+        } else {
+            const number = Number(match[2]);
+            args[match[1]] = Number.isNaN(number) ? match[2] : number;
+        }
+    }
+    return args;
+}
+
+/**
+ * Print an argument error and the usage, then exit with status 1
+ */
+function exitWithUsage(message) {
+    console.error(`${message}\n\nUsage:\n${USAGE}`);
+    process.exit(1);
+}
+
+/**
+ * Turn "SECTION.KEY=v1,v2" arguments into [{ name, key, values }], typed like the config defaults
+ * @throws {Error} If an argument is malformed or names an unknown config value
+ */
+function parseGrid(specs) {
+    return specs.map(spec => {
+        const match = spec.match(/^(\w+_CONFIG)\.(\w+)=(.+)$/);
+        if (!match) {
+            throw new Error(`Grid axis must look like SECTION_CONFIG.KEY=v1,v2: ${spec}`);
+        }
+
+        const [, name, key, list] = match;
+        const defaults = scenarioManager.defaults[name];
+        if (!defaults || !(key in defaults)) {
+            throw new Error(`Unknown config value ${name}.${key}`);
+        }
+        const values = list.split(',').map(text => ScenarioManager.parseValue(text.trim(), defaults[key]));
+        return { name, key, values };
+    });
+}
+
+/**
+ * Every combination of the axis values, as { SECTION: { KEY: value } } override objects
+ */
+function expandGrid(axes) {
+    let combinations = [{}];
+    for (const axis of axes) {
+        const next = [];
+        for (const combination of combinations) {
+            for (const value of axis.values) {
+                next.push({ ...combination, [`${axis.name}.${axis.key}`]: value });
+            }
+        }
+        combinations = next;
+    }
+    return combinations.map(combination => {
+        const overrides = {};
+        for (const [id, value] of Object.entries(combination)) {
+            const [name, key] = id.split('.');
+            overrides[name] = { ...overrides[name], [key]: value };
+        }
+        return { label: combination, overrides };
+    });
+}
+
+/**
+ * Run one simulation and measure it
+ * @returns {Object} Result row (without the grid columns)
+ */
+function runExperiment(args, overrides, seed, seconds, sampleInterval) {
+    scenarioManager.applyPreset(args.preset ?? 'default', overrides);
+
+    const world = new World();
+    world.logEvents = false;
+    if (args.sexual !== undefined) {
+        world.setSexualReproduction(Boolean(args.sexual));
+    }
+    if (args.neural !== undefined) {
+        world.setBrainType(args.neural ? 'neural' : 'simple');
+    }
+    world.reset(WORLD_CONFIG.DEFAULT_CREATURE_COUNT, TREE_CONFIG.COUNT, WORLD_CONFIG.ISLAND_RADIUS, seed,
+        WORLD_CONFIG.DEFAULT_CARNIVORE_COUNT);
+
+    let stats = world.getStats();
+    let peakPopulation = stats.population;
+    let peakTime = 0;
+    let avgGenes = stats.avgGenes; // From the last sample with anyone alive
+    for (let elapsed = 0; elapsed < seconds && !world.isExtinct; elapsed += sampleInterval) {
+        stats = world.runFor(Math.min(sampleInterval, seconds - elapsed));
+        if (stats.population > peakPopulation) {
+            peakPopulation = stats.population;
+            peakTime = world.time;
+        }
+        if (stats.population > 0) {
+            avgGenes = stats.avgGenes;
+        }
+    }
+
+    const row = {
+        seed: world.seed,
+        extinct: world.isExtinct,
+        extinctionTime: world.isExtinct ? round(world.time) : null,
+        finalPopulation: stats.population,
+        finalHerbivores: stats.herbivoreCount,
+        finalCarnivores: stats.carnivoreCount,
+        peakPopulation,
+        peakTime: round(peakTime),
+        finalFood: stats.foodCount,
+        finalTrees: stats.treeCount,
+        totalBirths: stats.totalBirths,
+        totalDeaths: stats.totalDeaths,
+    };
+    for (const gene of AVERAGED_GENES) {
+        row[`${gene.name}_mean`] = round(avgGenes[gene.name]);
+    }
+    return row;
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Grid values of a combination, e.g. "MUTATION_RATE=0.1 COUNT=30" (or "defaults" without a grid)
+ */
+function formatLabel(label) {
+    const parts = Object.entries(label).map(([id, value]) => `${id.split('.')[1]}=${value}`);
+    return parts.length > 0 ? parts.join(' ') : 'defaults';
+}
+
+function formatRun(row) {
+    const outcome = row.extinct ? `extinct at ${row.extinctionTime.toFixed(1)}s` : `final=${row.finalPopulation}`;
+    return `seed=${row.seed} ${outcome} peak=${row.peakPopulation} births=${row.totalBirths} deaths=${row.totalDeaths}`;
+}
+
+/**
+ * Replicate averages of one combination, with the genes the population graph plots
+ */
+function formatSummary(label, rows) {
+    const mean = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : NaN;
+    const extinct = rows.filter(row => row.extinct);
+    const extinction = extinct.length > 0
+        ? ` (avg at ${mean(extinct.map(row => row.extinctionTime)).toFixed(1)}s)`
+        : '';
+    const genes = AVERAGED_GENES
+        .filter(gene => gene.graph)
+        .map(gene => `${gene.name}=${mean(rows.map(row => row[`${gene.name}_mean`])).toFixed(2)}`)
+        .join(' ');
+    return `${formatLabel(label)}: extinct ${extinct.length}/${rows.length}${extinction} ` +
+           `final=${mean(rows.map(row => row.finalPopulation)).toFixed(1)} peak=${mean(rows.map(row => row.peakPopulation)).toFixed(1)} ${genes}`;
+}
+
+/**
+ * Whether two combinations' runs measured the same (ignoring the grid columns)
+ */
+function sameResults(rowsA, rowsB) {
+    const measured = (row) => JSON.stringify(Object.keys(row).filter(column => !column.includes('.')).map(column => row[column]));
+    return rowsA.every((row, index) => measured(row) === measured(rowsB[index]));
+}
+
+/**
+ * Results as CSV, preceded by '#' comment lines with the batch metadata (like the graph's data export)
+ */
+function toCSV(metadata, rows) {
+    const lines = [];
+    for (const [key, value] of Object.entries(metadata)) {
+        lines.push(`# ${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
+    }
+
+    const columns = Object.keys(rows[0]);
+    lines.push(columns.join(','));
+    for (const row of rows) {
+        lines.push(columns.map(column => row[column] ?? '').join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    let axes;
+    try {
+        axes = parseGrid(args.grid);
+    } catch (error) {
+        exitWithUsage(error.message);
+    }
+    const replicates = args.replicates ?? 3;
+    const seconds = args.seconds ?? 600;
+    const baseSeed = args.seed ?? 1;
+    const sampleInterval = args.sample ?? 10;
+    const outFile = args.out ?? 'batch-results.csv';
+    if (args.preset && !scenarioManager.getPreset(args.preset)) {
+        exitWithUsage(`Unknown scenario preset: ${args.preset} (one of ${SCENARIO_PRESETS.map(preset => preset.id).join(', ')})`);
+    }
+
+    const combinations = expandGrid(axes);
+    const total = combinations.length * replicates;
+    console.log(`${combinations.length} combination(s) x ${replicates} replicate(s) of ${seconds}s = ${total} runs`);
+
+    const startedAt = Date.now();
+    const rows = [];
+    for (const combination of combinations) {
+        const combinationRows = [];
+        for (let replicate = 0; replicate < replicates; replicate++) {
+            const result = runExperiment(args, combination.overrides, baseSeed + replicate, seconds, sampleInterval);
+            const row = { ...combination.label, replicate, ...result };
+            combinationRows.push(row);
+            rows.push(row);
+            console.log(`[${rows.length}/${total}] ${formatLabel(combination.label)} ${formatRun(row)}`);
+        }
+        combination.rows = combinationRows;
+    }
+
+    const metadata = {
+        grid: Object.fromEntries(axes.map(axis => [`${axis.name}.${axis.key}`, axis.values])),
+        replicates,
+        seconds,
+        baseSeed,
+        sampleInterval,
+        scenarioPreset: args.preset ?? 'default',
+        sexualReproduction: args.sexual ?? 'config',
+        brainType: args.neural === undefined ? 'config' : (args.neural ? 'neural' : 'simple'),
+    };
+    const output = outFile.endsWith('.json')
+        ? JSON.stringify({ metadata, runs: rows }, null, 2)
+        : toCSV(metadata, rows);
+    writeFileSync(outFile, output);
+
+    console.log('\nSummary (replicate averages):');
+    for (const combination of combinations) {
+        console.log(formatSummary(combination.label, combination.rows));
+    }
+    if (combinations.length > 1 && combinations.every(combination => sameResults(combination.rows, combinations[0].rows))) {
+        console.warn('\nWarning: every combination gave identical results - the swept values may not be read during a run');
+    }
+    const wallSeconds = (Date.now() - startedAt) / 1000;
+    console.log(`\nWrote ${rows.length} runs to ${outFile} (${wallSeconds.toFixed(1)}s wall time)`);
+}
+
+main();
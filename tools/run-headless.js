@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Headless simulation runner - runs the World without a browser, renderer or GPU
+ *
+ * Usage:
+ *   node tools/run-headless.js [--seconds=600] [--creatures=12] [--carnivores=0] [--trees=25] [--radius=50] [--seed=N] [--report=60] [--sexual=1] [--neural=1] [--preset=id]
+ *
+ * --sexual=1 switches from clonal to sexual reproduction (mate seeking + crossover).
+ * --neural=1 gives herbivores evolvable neural-network brains instead of the state machine.
+ * --preset=id applies a SCENARIO_PRESETS entry (e.g. scarce-food) before the defaults are read.
+ * Prints a statistics line every `report` simulated seconds and a final summary.
+ */
+import { World } from '../client/src/core/World.js';
+import { scenarioManager } from '../client/src/core/ScenarioManager.js';
+import { WORLD_CONFIG, TREE_CONFIG, GENE_REGISTRY, DEATH_CAUSES, SCENARIO_PRESETS } from '../client/src/config.js';
+
+const USAGE = '  node tools/run-headless.js [--seconds=600] [--creatures=12] [--carnivores=0] [--trees=25] [--radius=50] [--seed=N] [--report=60] [--sexual=1] [--neural=1] [--preset=id]';
+
+/**
+ * Parse --key=value arguments into an object (numbers where the value is numeric)
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (const arg of argv) {
+        const match = arg.match(/^--([\w-]+)=(.*)$/);
+        if (match) {
+            const number = Number(match[2]);
+            args[match[1]] = Number.isNaN(number) ? match[2] : number;
+        }
+    }
+    return args;
+}
+
+/**
+ * Print an argument error and the usage, then exit with status 1
+ */
+function exitWithUsage(message) {
+    console.error(`${message}\n\nUsage:\n${USAGE}`);
+    process.exit(1);
+}
+
+/**
+ * Averages of the genes the population graph plots, e.g. "size=1.02 jumpPower=0.97"
+ */
+function formatGenes(stats) {
+    return GENE_REGISTRY
+        .filter(gene => gene.graph)
+        .map(gene => `${gene.name}=${stats.avgGenes[gene.name].toFixed(2)}`)
+        .join(' ');
+}
+
+/**
+ * Deaths per cause, e.g. "deaths=12 (starvation=8 dehydration=0 predation=4)"
+ */
+function formatDeaths(stats) {
+    const causes = DEATH_CAUSES.map(cause => `${cause.name}=${stats.deathsByCause[cause.name]}`).join(' ');
+    return `deaths=${stats.totalDeaths} (${causes})`;
+}
+
+function formatStats(world, stats) {
+    const clock = world.dayNight.enabled ? ` (${world.dayNight.getClockString()})` : '';
+    const season = world.environment.enabled ? ` [${world.environment.getDescription()}]` : '';
+    return `t=${world.time.toFixed(1)}s${clock}${season} herbivores=${stats.herbivoreCount} carnivores=${stats.carnivoreCount} food=${stats.foodCount} trees=${stats.treeCount} ` +
+           `births=${stats.totalBirths} ${formatDeaths(stats)} ` +
+           `avgTreeHeight=${stats.avgTreeHeight.toFixed(2)} ${formatGenes(stats)}`;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.preset) {
+        if (!scenarioManager.getPreset(args.preset)) {
+            exitWithUsage(`Unknown scenario preset: ${args.preset} (one of ${SCENARIO_PRESETS.map(preset => preset.id).join(', ')})`);
+        }
+        scenarioManager.applyPreset(args.preset);
+        console.log(`Preset: ${scenarioManager.getPreset(args.preset).name}`);
+    }
+    const seconds = args.seconds ?? 600;
+    const creatures = args.creatures ?? WORLD_CONFIG.DEFAULT_CREATURE_COUNT;
+    const carnivores = args.carnivores ?? WORLD_CONFIG.DEFAULT_CARNIVORE_COUNT;
+    const trees = args.trees ?? TREE_CONFIG.COUNT;
+    const radius = args.radius ?? WORLD_CONFIG.ISLAND_RADIUS;
+    const seed = args.seed ?? WORLD_CONFIG.SEED;
+    const reportInterval = args.report ?? 60;
+
+    const world = new World();
+    world.logEvents = false;
+    world.setSexualReproduction(Boolean(args.sexual));
+    world.setBrainType(args.neural ? 'neural' : 'simple');
+    world.reset(creatures, trees, radius, seed, carnivores);
+    console.log(`Seed: ${world.seed}`);
+
+    const startedAt = Date.now();
+    for (let elapsed = 0; elapsed < seconds && !world.isExtinct; elapsed += reportInterval) {
+        const stats = world.runFor(Math.min(reportInterval, seconds - elapsed));
+        console.log(formatStats(world, stats));
+    }
+
+    const wallSeconds = (Date.now() - startedAt) / 1000;
+    console.log(world.isExtinct ? `Extinct at ${world.time.toFixed(1)}s` : 'Run complete');
+    console.log(`Simulated ${world.time.toFixed(1)}s in ${wallSeconds.toFixed(2)}s wall time`);
+}
+
+main();